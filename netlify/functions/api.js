@@ -1,112 +1,96 @@
-import { tools } from '../../src/tools.js';
+import { randomUUID } from 'node:crypto';
+import { dispatchJsonRpc, isSupportedProtocolVersion, healthStatus } from '../../src/server.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id, MCP-Protocol-Version',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+};
 
 /**
- * Stateless JSON-RPC handler for serverless environments
+ * JSON response with the CORS headers
  */
-async function handleJsonRpcRequest(request) {
-  const { method, params, id } = request;
-
-  try {
-    let result;
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
 
-    if (method === 'initialize') {
-      result = {
-        protocolVersion: '2024-11-05',
-        capabilities: { tools: {} },
-        serverInfo: { name: 'aria-mcp', version: '1.0.0' }
-      };
-    } else if (method === 'tools/list') {
-      result = {
-        tools: tools.map(tool => ({
-          name: tool.name,
-          description: tool.description,
-          inputSchema: tool.inputSchema
-        }))
-      };
-    } else if (method === 'tools/call') {
-      const tool = tools.find(t => t.name === params.name);
-      if (!tool) throw new Error(`Unknown tool: ${params.name}`);
-      result = await tool.handler(params.arguments || {});
-    } else if (method === 'notifications/initialized') {
-      return null; // Notifications don't get responses
-    } else if (method === 'ping') {
-      result = {};
-    } else {
-      throw new Error(`Unknown method: ${method}`);
-    }
+/**
+ * JSON-RPC error with no request id, matching the Streamable HTTP transport's transport-level errors
+ */
+function jsonRpcError(statusCode, code, message) {
+  return jsonResponse(statusCode, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
 
-    return { jsonrpc: '2.0', id, result };
-  } catch (error) {
-    return { jsonrpc: '2.0', id, error: { code: -32603, message: error.message } };
-  }
+/**
+ * Case-insensitive header lookup (Netlify lower-cases header names, but not every local runner does)
+ */
+function header(event, name) {
+  const entry = Object.entries(event.headers || {}).find(([key]) => key.toLowerCase() === name);
+  return entry?.[1];
 }
 
 /**
- * Netlify Function handler
+ * Netlify Function handler. Functions are stateless, so this speaks Streamable HTTP without
+ * server-side sessions or SSE: every POST is answered with a JSON response from the same
+ * dispatch core the stdio and --http servers use. Initialize still issues an Mcp-Session-Id
+ * so clients that expect one carry it, but any session id is accepted and DELETE is a no-op.
  */
 export const handler = async (event, context) => {
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id',
-  };
-
   // CORS preflight
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers: corsHeaders, body: '' };
   }
 
-  // MCP JSON-RPC requests
-  if (event.httpMethod === 'POST') {
-    try {
-      const request = JSON.parse(event.body);
-      
-      // Handle batch requests
-      if (Array.isArray(request)) {
-        const responses = [];
-        for (const req of request) {
-          const response = await handleJsonRpcRequest(req);
-          if (response !== null) responses.push(response);
-        }
-        return {
-          statusCode: 200,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-          body: JSON.stringify(responses.length === 1 ? responses[0] : responses)
-        };
-      }
-      
-      // Single request
-      const response = await handleJsonRpcRequest(request);
-      if (response === null) {
-        return { statusCode: 202, headers: corsHeaders, body: '' };
-      }
-      return {
-        statusCode: 200,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify(response)
-      };
-    } catch (error) {
-      return {
-        statusCode: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0', id: null,
-          error: { code: -32700, message: 'Parse error: ' + error.message }
-        })
-      };
+  // Ending a session: there is no session state to discard
+  if (event.httpMethod === 'DELETE') {
+    return { statusCode: 204, headers: corsHeaders, body: '' };
+  }
+
+  if (event.httpMethod === 'GET') {
+    // No SSE stream from a function; clients fall back to POST-only when GET is refused
+    if (String(header(event, 'accept') || '').includes('text/event-stream')) {
+      return { statusCode: 405, headers: { ...corsHeaders, Allow: 'POST, DELETE, OPTIONS' }, body: '' };
     }
+    // Health check
+    return jsonResponse(200, healthStatus({ transport: 'netlify-function' }));
   }
 
-  // Health check (GET)
-  return {
-    statusCode: 200,
-    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      name: 'aria-mcp',
-      version: '1.0.0',
-      status: 'healthy',
-      protocol: 'MCP JSON-RPC 2.0',
-      tools: tools.length
-    })
-  };
+  if (event.httpMethod !== 'POST') {
+    return jsonRpcError(405, -32000, 'Method not allowed');
+  }
+
+  // MCP JSON-RPC requests
+  let body;
+  try {
+    body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body);
+  } catch (error) {
+    return jsonRpcError(400, -32700, 'Parse error: ' + error.message);
+  }
+
+  const messages = Array.isArray(body) ? body : [body];
+  if (!messages.length || messages.some(message => !message || typeof message !== 'object' || Array.isArray(message))) {
+    return jsonRpcError(400, -32600, 'Invalid Request: expected a JSON-RPC message or a non-empty batch of messages');
+  }
+  const initializing = messages.some(message => message?.method === 'initialize');
+  const protocolVersion = header(event, 'mcp-protocol-version');
+  if (!initializing && protocolVersion && !isSupportedProtocolVersion(protocolVersion)) {
+    return jsonRpcError(400, -32000, `Bad Request: Unsupported protocol version: ${protocolVersion}`);
+  }
+
+  const responses = [];
+  for (const message of messages) {
+    const response = await dispatchJsonRpc(message);
+    if (response !== null) responses.push(response);
+  }
+
+  const sessionHeaders = initializing ? { 'Mcp-Session-Id': randomUUID() } : {};
+  if (!responses.length) {
+    return { statusCode: 202, headers: { ...corsHeaders, ...sessionHeaders }, body: '' };
+  }
+  return jsonResponse(200, Array.isArray(body) ? responses : responses[0], sessionHeaders);
 };
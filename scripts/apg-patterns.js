@@ -0,0 +1,710 @@
+/**
+ * ARIA Authoring Practices Guide - design patterns
+ * Hand-maintained from https://www.w3.org/WAI/ARIA/apg/patterns/, keyed by the APG
+ * pattern slug (e.g., "tabs" for https://www.w3.org/WAI/ARIA/apg/patterns/tabs/).
+ *
+ * Each pattern lists the roles it uses, the states and properties authors set (on which
+ * role, or null for an element without a pattern role, and whether the pattern requires
+ * them), the keyboard interaction table, and the focus management rules. Keys marked
+ * optional are recommended but not required by APG.
+ */
+
+export const specUrl = 'https://www.w3.org/WAI/ARIA/apg/';
+
+export const patterns = {
+  accordion: {
+    name: 'Accordion',
+    aliases: ['expand collapse sections', 'collapsible sections'],
+    description: 'A vertically stacked set of interactive headings that each reveal a section of content.',
+    roles: ['heading', 'button', 'region'],
+    statesAndProperties: [
+      { role: 'button', attribute: 'aria-expanded', required: true, usage: 'true when the associated panel is shown, false when it is hidden' },
+      { role: 'button', attribute: 'aria-controls', required: true, usage: 'References the panel the header button shows and hides' },
+      { role: 'heading', attribute: 'aria-level', required: false, usage: 'Level that fits the page outline, when not using a native h1-h6 element' },
+      { role: 'button', attribute: 'aria-disabled', required: false, usage: 'true on the header of an expanded panel that is not allowed to collapse' },
+      { role: 'region', attribute: 'aria-labelledby', required: false, usage: 'References the header button; avoid regions when there are more than about six panels' },
+    ],
+    keyboard: [
+      { keys: 'Enter or Space', action: 'Expands the panel of the focused header if collapsed; collapses it if expanded and collapsing is allowed. In single-expand accordions, expanding a panel may collapse the others.' },
+      { keys: 'Tab', action: 'Moves focus to the next focusable element; every focusable element in the accordion is in the page tab sequence.' },
+      { keys: 'Shift + Tab', action: 'Moves focus to the previous focusable element.' },
+      { keys: 'Down Arrow', action: 'Moves focus to the next accordion header, wrapping from the last to the first.', optional: true },
+      { keys: 'Up Arrow', action: 'Moves focus to the previous accordion header, wrapping from the first to the last.', optional: true },
+      { keys: 'Home', action: 'Moves focus to the first accordion header.', optional: true },
+      { keys: 'End', action: 'Moves focus to the last accordion header.', optional: true },
+    ],
+    focusManagement: [
+      'Each header button is in the page tab sequence; there is no roving tabindex.',
+      'Focus stays on the header button when its panel expands or collapses.',
+      'Focusable content inside an expanded panel follows its header in the tab sequence; collapsed panels are hidden and removed from it.',
+    ],
+  },
+
+  alert: {
+    name: 'Alert',
+    aliases: ['notification', 'error message', 'live message'],
+    description: 'A message that conveys brief, important information without interrupting the user\'s task.',
+    roles: ['alert'],
+    statesAndProperties: [],
+    keyboard: [],
+    focusManagement: [
+      'An alert does not move focus; assistive technologies announce it when it is added to the page or its content changes.',
+      'Do not use alerts that disappear automatically before the user can read them.',
+      'Use the alertdialog pattern instead when the user must respond.',
+    ],
+  },
+
+  alertdialog: {
+    name: 'Alert and Message Dialogs',
+    aliases: ['confirmation dialog', 'confirm', 'alert dialog'],
+    description: 'A modal dialog that interrupts the user to communicate an important message and get a response.',
+    roles: ['alertdialog'],
+    statesAndProperties: [
+      { role: 'alertdialog', attribute: 'aria-modal', required: true, usage: 'true, so assistive technologies treat content outside the dialog as inert' },
+      { role: 'alertdialog', attribute: 'aria-labelledby', required: true, usage: 'References the visible dialog title (or use aria-label)' },
+      { role: 'alertdialog', attribute: 'aria-describedby', required: true, usage: 'References the element containing the alert message' },
+    ],
+    keyboard: [
+      { keys: 'Tab', action: 'Moves focus to the next tabbable element inside the dialog, wrapping from the last to the first.' },
+      { keys: 'Shift + Tab', action: 'Moves focus to the previous tabbable element inside the dialog, wrapping from the first to the last.' },
+      { keys: 'Escape', action: 'Closes the dialog.' },
+    ],
+    focusManagement: [
+      'When the dialog opens, focus moves to an element inside it, usually the least destructive action (such as Cancel).',
+      'Focus is trapped inside the dialog while it is open.',
+      'When the dialog closes, focus returns to the element that opened it.',
+    ],
+  },
+
+  breadcrumb: {
+    name: 'Breadcrumb',
+    aliases: ['breadcrumbs', 'breadcrumb trail'],
+    description: 'A list of links to the parent pages of the current page in hierarchical order.',
+    roles: ['navigation', 'link'],
+    statesAndProperties: [
+      { role: 'navigation', attribute: 'aria-label', required: true, usage: 'Names the landmark (e.g., "Breadcrumb")' },
+      { role: 'link', attribute: 'aria-current', required: false, usage: 'page on the link to the current page' },
+    ],
+    keyboard: [],
+    focusManagement: [
+      'No special focus management; each link is in the page tab sequence.',
+    ],
+  },
+
+  button: {
+    name: 'Button',
+    aliases: ['toggle button', 'command button'],
+    description: 'A widget that lets users trigger an action or event, or toggle a state.',
+    roles: ['button'],
+    statesAndProperties: [
+      { role: 'button', attribute: 'aria-pressed', required: false, usage: 'true or false on toggle buttons; do not change the label when the state changes' },
+      { role: 'button', attribute: 'aria-disabled', required: false, usage: 'true when the action is unavailable' },
+      { role: 'button', attribute: 'aria-describedby', required: false, usage: 'References a description of what the button does' },
+    ],
+    keyboard: [
+      { keys: 'Space', action: 'Activates the button.' },
+      { keys: 'Enter', action: 'Activates the button.' },
+    ],
+    focusManagement: [
+      'If the button opens a dialog, focus moves into the dialog.',
+      'If the button closes a dialog, focus usually returns to the element that opened it.',
+      'If the action keeps the same context (e.g., a toggle or Apply), focus stays on the button.',
+      'If the action moves to a new context, focus moves to the start of that context.',
+    ],
+  },
+
+  carousel: {
+    name: 'Carousel',
+    aliases: ['slideshow', 'image rotator', 'slider gallery'],
+    description: 'Presents a set of items (slides) one at a time, with controls to rotate through them.',
+    roles: ['region', 'group', 'button', 'tablist', 'tab', 'tabpanel'],
+    statesAndProperties: [
+      { role: 'region', attribute: 'aria-roledescription', required: true, usage: 'carousel on the container (a region, or a group when it is not a landmark)' },
+      { role: 'region', attribute: 'aria-label', required: true, usage: 'Names the carousel (or use aria-labelledby)' },
+      { role: 'group', attribute: 'aria-roledescription', required: true, usage: 'slide on each slide container, unless the tabbed variant is used' },
+      { role: 'group', attribute: 'aria-label', required: false, usage: 'Names each slide (e.g., "3 of 10")' },
+      { role: null, attribute: 'aria-live', required: false, usage: 'On the element wrapping the slides: off while slides rotate automatically, polite when rotation is stopped' },
+      { role: 'tab', attribute: 'aria-selected', required: false, usage: 'true on the picker tab of the shown slide in the tabbed variant' },
+    ],
+    keyboard: [
+      { keys: 'Tab', action: 'Moves focus through the interactive elements of the carousel in order: rotation control, previous/next controls, then slide content.' },
+      { keys: 'Shift + Tab', action: 'Moves focus backwards through the interactive elements.' },
+      { keys: 'Enter or Space', action: 'On the rotation control, starts or stops automatic rotation; on next/previous controls, shows the next or previous slide.' },
+      { keys: 'Left Arrow / Right Arrow', action: 'In the tabbed variant, moves between the slide picker tabs and shows the corresponding slide.', optional: true },
+    ],
+    focusManagement: [
+      'Automatic rotation stops when keyboard focus enters the carousel and does not resume unless the user restarts it.',
+      'Rotation also pauses while the pointer hovers over the carousel.',
+      'The rotation control is the first element in the carousel tab sequence.',
+      'Focus stays on the next/previous control when the slide changes.',
+    ],
+  },
+
+  checkbox: {
+    name: 'Checkbox',
+    aliases: ['check box', 'tri-state checkbox', 'mixed checkbox'],
+    description: 'A dual-state (checked/unchecked) or tri-state (checked/unchecked/partially checked) option.',
+    roles: ['checkbox', 'group'],
+    statesAndProperties: [
+      { role: 'checkbox', attribute: 'aria-checked', required: true, usage: 'true, false, or mixed for a tri-state checkbox summarizing a group' },
+      { role: 'checkbox', attribute: 'aria-controls', required: false, usage: 'On a mixed checkbox, references the checkboxes it controls' },
+      { role: 'group', attribute: 'aria-labelledby', required: false, usage: 'References the visible label of a group of checkboxes' },
+      { role: 'checkbox', attribute: 'aria-describedby', required: false, usage: 'References additional descriptive text' },
+    ],
+    keyboard: [
+      { keys: 'Space', action: 'Toggles the checkbox; on a mixed checkbox, cycles through the checked states.' },
+    ],
+    focusManagement: [
+      'Each checkbox is in the page tab sequence.',
+      'Focus stays on the checkbox when it is toggled.',
+    ],
+  },
+
+  combobox: {
+    name: 'Combobox',
+    aliases: ['autocomplete', 'autosuggest', 'typeahead', 'select', 'dropdown', 'searchable select'],
+    description: 'An input widget with an associated popup (usually a listbox) that helps the user set its value.',
+    roles: ['combobox', 'listbox', 'option'],
+    statesAndProperties: [
+      { role: 'combobox', attribute: 'aria-expanded', required: true, usage: 'true when the popup is displayed, false when it is hidden' },
+      { role: 'combobox', attribute: 'aria-controls', required: true, usage: 'References the popup element' },
+      { role: 'combobox', attribute: 'aria-autocomplete', required: false, usage: 'list, both, inline or none, describing how suggestions are offered' },
+      { role: 'combobox', attribute: 'aria-activedescendant', required: false, usage: 'References the option with visual focus while DOM focus stays on the combobox' },
+      { role: 'combobox', attribute: 'aria-haspopup', required: false, usage: 'grid, tree or dialog when the popup is not a listbox (listbox is the default)' },
+      { role: 'option', attribute: 'aria-selected', required: true, usage: 'true on the option that is visually focused or selected' },
+      { role: 'listbox', attribute: 'aria-label', required: false, usage: 'Names the popup (or use aria-labelledby)' },
+    ],
+    keyboard: [
+      { keys: 'Down Arrow', action: 'On the combobox: opens the popup if closed and moves visual focus to the first (or next) suggestion. In the popup: moves visual focus to the next option.' },
+      { keys: 'Up Arrow', action: 'On the combobox: opens the popup and moves visual focus to the last suggestion. In the popup: moves visual focus to the previous option.', optional: true },
+      { keys: 'Alt + Down Arrow', action: 'Opens the popup without moving focus.', optional: true },
+      { keys: 'Alt + Up Arrow', action: 'Closes the popup if open and returns visual focus to the combobox.', optional: true },
+      { keys: 'Enter', action: 'In the popup: accepts the focused option, sets the combobox value and closes the popup.' },
+      { keys: 'Escape', action: 'Closes the popup if open; otherwise optionally clears the combobox.' },
+      { keys: 'Right Arrow / Left Arrow', action: 'In the popup: returns visual focus to the combobox and moves the editing cursor.' },
+      { keys: 'Home / End', action: 'Moves the editing cursor to the start or end of the combobox text (or to the first/last option).', optional: true },
+      { keys: 'Printable characters', action: 'Types into the editable combobox and filters or updates the suggestions.' },
+    ],
+    focusManagement: [
+      'DOM focus stays on the combobox input; the highlighted option is conveyed with aria-activedescendant.',
+      'Only the combobox is in the page tab sequence; the popup options are not.',
+      'When an option is accepted, the popup closes and focus remains on the combobox.',
+    ],
+  },
+
+  'dialog-modal': {
+    name: 'Dialog (Modal)',
+    aliases: ['dialog', 'modal', 'modal dialog', 'popup window', 'overlay', 'lightbox'],
+    description: 'A window overlaid on the page that makes the content underneath inert until it is closed.',
+    roles: ['dialog'],
+    statesAndProperties: [
+      { role: 'dialog', attribute: 'aria-modal', required: true, usage: 'true, so assistive technologies treat content outside the dialog as inert' },
+      { role: 'dialog', attribute: 'aria-labelledby', required: true, usage: 'References the visible dialog title (or use aria-label)' },
+      { role: 'dialog', attribute: 'aria-describedby', required: false, usage: 'References text describing the dialog purpose, when it is short' },
+    ],
+    keyboard: [
+      { keys: 'Tab', action: 'Moves focus to the next tabbable element inside the dialog, wrapping from the last to the first.' },
+      { keys: 'Shift + Tab', action: 'Moves focus to the previous tabbable element inside the dialog, wrapping from the first to the last.' },
+      { keys: 'Escape', action: 'Closes the dialog.' },
+    ],
+    focusManagement: [
+      'When the dialog opens, focus moves to an element inside it: usually the first focusable element, a static element with tabindex="-1" at the top for long content, or the least destructive action for irreversible actions.',
+      'Focus is trapped inside the dialog while it is open.',
+      'When the dialog closes, focus returns to the element that opened it, unless that element no longer exists or the workflow makes another target more logical.',
+      'Every dialog needs a visible close control, such as a Close or Cancel button.',
+    ],
+  },
+
+  disclosure: {
+    name: 'Disclosure (Show/Hide)',
+    aliases: ['show hide', 'expand collapse', 'toggle section', 'details summary'],
+    description: 'A button that controls the visibility of a section of content.',
+    roles: ['button'],
+    statesAndProperties: [
+      { role: 'button', attribute: 'aria-expanded', required: true, usage: 'true when the content is shown, false when it is hidden' },
+      { role: 'button', attribute: 'aria-controls', required: false, usage: 'References the element that is shown and hidden' },
+    ],
+    keyboard: [
+      { keys: 'Enter', action: 'Shows or hides the content.' },
+      { keys: 'Space', action: 'Shows or hides the content.' },
+    ],
+    focusManagement: [
+      'Focus stays on the disclosure button when the content is shown or hidden.',
+      'Shown content follows the button in the tab sequence.',
+    ],
+  },
+
+  feed: {
+    name: 'Feed',
+    aliases: ['infinite scroll', 'stream', 'news feed', 'timeline'],
+    description: 'A scrollable list of articles where new articles load as the user scrolls.',
+    roles: ['feed', 'article'],
+    statesAndProperties: [
+      { role: 'feed', attribute: 'aria-labelledby', required: false, usage: 'References a visible title for the feed (or use aria-label)' },
+      { role: 'feed', attribute: 'aria-busy', required: false, usage: 'true while articles are being added or removed, false afterwards' },
+      { role: 'article', attribute: 'aria-labelledby', required: false, usage: 'References the article title' },
+      { role: 'article', attribute: 'aria-describedby', required: false, usage: 'References the main content of the article' },
+      { role: 'article', attribute: 'aria-posinset', required: true, usage: 'Position of the article in the feed' },
+      { role: 'article', attribute: 'aria-setsize', required: true, usage: 'Total number of articles, or -1 when unknown' },
+    ],
+    keyboard: [
+      { keys: 'Page Down', action: 'Moves focus to the next article.' },
+      { keys: 'Page Up', action: 'Moves focus to the previous article.' },
+      { keys: 'Control + End', action: 'Moves focus to the first focusable element after the feed.' },
+      { keys: 'Control + Home', action: 'Moves focus to the first focusable element before the feed.' },
+    ],
+    focusManagement: [
+      'Each article is focusable (tabindex="0" or "-1") and receives focus when the user pages through the feed.',
+      'Loading more articles must not move focus.',
+      'Interactive elements inside an article are reached with Tab after the article has focus.',
+    ],
+  },
+
+  grid: {
+    name: 'Grid (Interactive Tabular Data and Layout Containers)',
+    aliases: ['data grid', 'spreadsheet', 'interactive table', 'layout grid'],
+    description: 'A composite widget of rows and cells that users navigate with the arrow keys, for tabular data or grouping widgets.',
+    roles: ['grid', 'row', 'gridcell', 'columnheader', 'rowheader', 'rowgroup'],
+    statesAndProperties: [
+      { role: 'grid', attribute: 'aria-label', required: true, usage: 'Names the grid (or use aria-labelledby)' },
+      { role: 'grid', attribute: 'aria-multiselectable', required: false, usage: 'true when more than one cell or row can be selected' },
+      { role: 'grid', attribute: 'aria-rowcount', required: false, usage: 'Total number of rows when not all are in the DOM' },
+      { role: 'grid', attribute: 'aria-colcount', required: false, usage: 'Total number of columns when not all are in the DOM' },
+      { role: 'row', attribute: 'aria-rowindex', required: false, usage: 'Position of the row when not all rows are in the DOM' },
+      { role: 'gridcell', attribute: 'aria-colindex', required: false, usage: 'Position of the cell when not all columns are in the DOM' },
+      { role: 'gridcell', attribute: 'aria-selected', required: false, usage: 'true or false on selectable cells' },
+      { role: 'gridcell', attribute: 'aria-readonly', required: false, usage: 'true on cells that cannot be edited in an editable grid' },
+      { role: 'columnheader', attribute: 'aria-sort', required: false, usage: 'ascending or descending on the column the grid is sorted by' },
+    ],
+    keyboard: [
+      { keys: 'Right Arrow', action: 'Moves focus one cell to the right; does nothing in the last cell of the row.' },
+      { keys: 'Left Arrow', action: 'Moves focus one cell to the left; does nothing in the first cell of the row.' },
+      { keys: 'Down Arrow', action: 'Moves focus one cell down; does nothing in the last row.' },
+      { keys: 'Up Arrow', action: 'Moves focus one cell up; does nothing in the first row.' },
+      { keys: 'Page Down', action: 'Moves focus down an author-determined number of rows.', optional: true },
+      { keys: 'Page Up', action: 'Moves focus up an author-determined number of rows.', optional: true },
+      { keys: 'Home', action: 'Moves focus to the first cell in the row.' },
+      { keys: 'End', action: 'Moves focus to the last cell in the row.' },
+      { keys: 'Control + Home', action: 'Moves focus to the first cell in the first row.' },
+      { keys: 'Control + End', action: 'Moves focus to the last cell in the last row.' },
+      { keys: 'Control + Space', action: 'Selects the column of the focused cell.', optional: true },
+      { keys: 'Shift + Space', action: 'Selects the row of the focused cell.', optional: true },
+      { keys: 'Control + A', action: 'Selects all cells.', optional: true },
+      { keys: 'Shift + Arrow keys', action: 'Extends the selection by one cell.', optional: true },
+      { keys: 'Enter or F2', action: 'In a cell with editable content or a widget, moves focus into the cell content.', optional: true },
+      { keys: 'Escape', action: 'Returns focus from cell content back to the cell.', optional: true },
+    ],
+    focusManagement: [
+      'The grid is a single tab stop: only one cell (or the widget in it) is tabbable, using a roving tabindex or aria-activedescendant.',
+      'When focus returns to the grid, it goes to the cell that last had focus.',
+      'Widgets inside cells are not in the tab sequence until the user enters the cell.',
+    ],
+  },
+
+  link: {
+    name: 'Link',
+    aliases: ['hyperlink', 'anchor'],
+    description: 'A reference to a resource that navigates to it when activated.',
+    roles: ['link'],
+    statesAndProperties: [],
+    keyboard: [
+      { keys: 'Enter', action: 'Follows the link.' },
+      { keys: 'Shift + F10', action: 'Opens a context menu for the link.', optional: true },
+    ],
+    focusManagement: [
+      'A custom link must be focusable (tabindex="0"); prefer the native a element with href.',
+    ],
+  },
+
+  listbox: {
+    name: 'Listbox',
+    aliases: ['list box', 'select list', 'multi-select', 'option list'],
+    description: 'A list of options from which the user selects one or more.',
+    roles: ['listbox', 'option', 'group'],
+    statesAndProperties: [
+      { role: 'listbox', attribute: 'aria-label', required: true, usage: 'Names the listbox (or use aria-labelledby)' },
+      { role: 'listbox', attribute: 'aria-multiselectable', required: false, usage: 'true when more than one option can be selected' },
+      { role: 'listbox', attribute: 'aria-activedescendant', required: false, usage: 'References the focused option when DOM focus stays on the listbox' },
+      { role: 'listbox', attribute: 'aria-orientation', required: false, usage: 'horizontal when options are laid out horizontally' },
+      { role: 'option', attribute: 'aria-selected', required: true, usage: 'true on selected options (or use aria-checked in multi-select listboxes)' },
+      { role: 'option', attribute: 'aria-setsize', required: false, usage: 'Total number of options when not all are in the DOM' },
+      { role: 'option', attribute: 'aria-posinset', required: false, usage: 'Position of the option when not all are in the DOM' },
+    ],
+    keyboard: [
+      { keys: 'Down Arrow', action: 'Moves focus to the next option (and selects it in single-select listboxes, optionally).' },
+      { keys: 'Up Arrow', action: 'Moves focus to the previous option.' },
+      { keys: 'Home', action: 'Moves focus to the first option.', optional: true },
+      { keys: 'End', action: 'Moves focus to the last option.', optional: true },
+      { keys: 'Printable characters', action: 'Type-ahead: moves focus to the next option whose name starts with the typed characters.', optional: true },
+      { keys: 'Space', action: 'In multi-select listboxes, toggles selection of the focused option.' },
+      { keys: 'Shift + Down Arrow / Shift + Up Arrow', action: 'In multi-select listboxes, moves focus and toggles selection.', optional: true },
+      { keys: 'Control + A', action: 'In multi-select listboxes, selects all options.', optional: true },
+    ],
+    focusManagement: [
+      'The listbox is a single tab stop.',
+      'When it receives focus, focus goes to the first selected option, or the first option if none is selected.',
+      'Focus within the listbox moves with a roving tabindex or aria-activedescendant.',
+    ],
+  },
+
+  'menu-button': {
+    name: 'Menu Button',
+    aliases: ['dropdown menu', 'actions menu', 'more menu', 'kebab menu'],
+    description: 'A button that opens a menu of actions or options.',
+    roles: ['button', 'menu', 'menuitem'],
+    statesAndProperties: [
+      { role: 'button', attribute: 'aria-haspopup', required: true, usage: 'menu (or true)' },
+      { role: 'button', attribute: 'aria-expanded', required: true, usage: 'true while the menu is open; remove or set false when closed' },
+      { role: 'button', attribute: 'aria-controls', required: false, usage: 'References the menu element' },
+      { role: 'menu', attribute: 'aria-labelledby', required: false, usage: 'References the menu button' },
+    ],
+    keyboard: [
+      { keys: 'Enter', action: 'Opens the menu and moves focus to the first menu item.' },
+      { keys: 'Space', action: 'Opens the menu and moves focus to the first menu item.' },
+      { keys: 'Down Arrow', action: 'Opens the menu and moves focus to the first menu item.', optional: true },
+      { keys: 'Up Arrow', action: 'Opens the menu and moves focus to the last menu item.', optional: true },
+    ],
+    focusManagement: [
+      'Opening the menu moves focus into it; keyboard interaction inside follows the menu pattern.',
+      'Closing the menu (Escape or activating an item) returns focus to the menu button.',
+    ],
+  },
+
+  menubar: {
+    name: 'Menu and Menubar',
+    aliases: ['menu', 'menubar', 'menu bar', 'application menu', 'context menu', 'submenu'],
+    description: 'A list of choices or actions, optionally with submenus, presented in a persistent bar or a popup.',
+    roles: ['menubar', 'menu', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'group', 'separator'],
+    statesAndProperties: [
+      { role: 'menuitem', attribute: 'aria-haspopup', required: false, usage: 'menu (or true) on items that open a submenu' },
+      { role: 'menuitem', attribute: 'aria-expanded', required: false, usage: 'true while the item\'s submenu is open' },
+      { role: 'menuitemcheckbox', attribute: 'aria-checked', required: true, usage: 'true or false' },
+      { role: 'menuitemradio', attribute: 'aria-checked', required: true, usage: 'true on the checked item in its group' },
+      { role: 'menu', attribute: 'aria-labelledby', required: false, usage: 'References the parent menuitem or menu button (or use aria-label)' },
+      { role: 'menubar', attribute: 'aria-orientation', required: false, usage: 'vertical when the menubar is laid out vertically (horizontal is the default)' },
+      { role: 'menuitem', attribute: 'aria-disabled', required: false, usage: 'true on unavailable items, which remain focusable' },
+    ],
+    keyboard: [
+      { keys: 'Enter', action: 'On an item with a submenu, opens it and focuses its first item; otherwise activates the item and closes the menu.' },
+      { keys: 'Space', action: 'Toggles a menuitemcheckbox, checks a menuitemradio, or activates the item.', optional: true },
+      { keys: 'Down Arrow', action: 'In a menu, moves focus to the next item (optionally wrapping). In a menubar, opens the submenu and focuses its first item.' },
+      { keys: 'Up Arrow', action: 'In a menu, moves focus to the previous item (optionally wrapping). In a menubar, opens the submenu and focuses its last item.', optional: true },
+      { keys: 'Right Arrow', action: 'In a menubar, moves focus to the next item. In a menu, opens the submenu of the focused item, or moves to the next menubar item and opens its submenu.' },
+      { keys: 'Left Arrow', action: 'In a menubar, moves focus to the previous item. In a submenu, closes it and returns focus to the parent item.' },
+      { keys: 'Home', action: 'Moves focus to the first item in the current menu or menubar.' },
+      { keys: 'End', action: 'Moves focus to the last item in the current menu or menubar.' },
+      { keys: 'Printable characters', action: 'Moves focus to the next item whose label starts with the typed character.', optional: true },
+      { keys: 'Escape', action: 'Closes the menu and returns focus to the element or item that opened it.' },
+      { keys: 'Tab', action: 'Moves focus out of the menubar to the next tabbable element and closes any open menus.' },
+    ],
+    focusManagement: [
+      'A menubar is a single tab stop; focus moves between its items with a roving tabindex.',
+      'When a menu opens, focus usually moves to its first item.',
+      'Disabled items are focusable but cannot be activated.',
+      'When a menu closes, focus returns to the item or button that opened it.',
+    ],
+  },
+
+  meter: {
+    name: 'Meter',
+    aliases: ['gauge', 'level indicator', 'capacity'],
+    description: 'A graphical display of a numeric value within a known range, such as battery level.',
+    roles: ['meter'],
+    statesAndProperties: [
+      { role: 'meter', attribute: 'aria-valuenow', required: true, usage: 'The current value' },
+      { role: 'meter', attribute: 'aria-valuemin', required: true, usage: 'The minimum value' },
+      { role: 'meter', attribute: 'aria-valuemax', required: true, usage: 'The maximum value' },
+      { role: 'meter', attribute: 'aria-valuetext', required: false, usage: 'A readable form of the value, when the number alone is not meaningful' },
+      { role: 'meter', attribute: 'aria-labelledby', required: true, usage: 'References a visible label (or use aria-label)' },
+    ],
+    keyboard: [],
+    focusManagement: [
+      'A meter is not interactive and is not focusable.',
+    ],
+  },
+
+  radio: {
+    name: 'Radio Group',
+    aliases: ['radio buttons', 'radio', 'option group', 'choose one'],
+    description: 'A set of checkable buttons where only one can be checked at a time.',
+    roles: ['radiogroup', 'radio'],
+    statesAndProperties: [
+      { role: 'radio', attribute: 'aria-checked', required: true, usage: 'true on the checked radio, false on the others' },
+      { role: 'radiogroup', attribute: 'aria-labelledby', required: true, usage: 'References the visible group label (or use aria-label)' },
+      { role: 'radiogroup', attribute: 'aria-required', required: false, usage: 'true when a choice is required' },
+    ],
+    keyboard: [
+      { keys: 'Tab', action: 'Moves focus into the group to the checked radio, or to the first radio if none is checked; pressing again leaves the group.' },
+      { keys: 'Space', action: 'Checks the focused radio if it is not already checked.' },
+      { keys: 'Right Arrow or Down Arrow', action: 'Moves focus to and checks the next radio, wrapping from the last to the first.' },
+      { keys: 'Left Arrow or Up Arrow', action: 'Moves focus to and checks the previous radio, wrapping from the first to the last.' },
+    ],
+    focusManagement: [
+      'The radio group is a single tab stop, managed with a roving tabindex.',
+      'Arrow keys move focus and check in one step; inside a toolbar, arrows move focus only and Space checks.',
+    ],
+  },
+
+  slider: {
+    name: 'Slider',
+    aliases: ['range', 'volume control', 'range slider', 'multi-thumb slider'],
+    description: 'An input where the user selects a value from within a range by moving a thumb.',
+    roles: ['slider'],
+    statesAndProperties: [
+      { role: 'slider', attribute: 'aria-valuenow', required: true, usage: 'The current value' },
+      { role: 'slider', attribute: 'aria-valuemin', required: true, usage: 'The minimum value' },
+      { role: 'slider', attribute: 'aria-valuemax', required: true, usage: 'The maximum value' },
+      { role: 'slider', attribute: 'aria-valuetext', required: false, usage: 'A readable form of the value (e.g., "Monday") when the number is not meaningful' },
+      { role: 'slider', attribute: 'aria-orientation', required: false, usage: 'vertical for vertical sliders (horizontal is the default)' },
+      { role: 'slider', attribute: 'aria-labelledby', required: true, usage: 'References a visible label (or use aria-label)' },
+    ],
+    keyboard: [
+      { keys: 'Right Arrow or Up Arrow', action: 'Increases the value by one step.' },
+      { keys: 'Left Arrow or Down Arrow', action: 'Decreases the value by one step.' },
+      { keys: 'Home', action: 'Sets the slider to its minimum value.' },
+      { keys: 'End', action: 'Sets the slider to its maximum value.' },
+      { keys: 'Page Up', action: 'Increases the value by a larger step.', optional: true },
+      { keys: 'Page Down', action: 'Decreases the value by a larger step.', optional: true },
+    ],
+    focusManagement: [
+      'Each thumb is in the page tab sequence and keeps focus while its value changes.',
+      'In multi-thumb sliders, the tab order of thumbs stays the same as their values change, and each thumb\'s range depends on the others.',
+    ],
+  },
+
+  spinbutton: {
+    name: 'Spinbutton',
+    aliases: ['number input', 'stepper', 'spinner', 'numeric stepper'],
+    description: 'An input that restricts its value to a set or range of discrete values, adjusted with increment and decrement controls.',
+    roles: ['spinbutton'],
+    statesAndProperties: [
+      { role: 'spinbutton', attribute: 'aria-valuenow', required: true, usage: 'The current value; omit when the value is empty' },
+      { role: 'spinbutton', attribute: 'aria-valuemin', required: false, usage: 'The minimum value, when there is one' },
+      { role: 'spinbutton', attribute: 'aria-valuemax', required: false, usage: 'The maximum value, when there is one' },
+      { role: 'spinbutton', attribute: 'aria-valuetext', required: false, usage: 'A readable form of the value (e.g., "Small")' },
+      { role: 'spinbutton', attribute: 'aria-invalid', required: false, usage: 'true when the typed value is out of range or not allowed' },
+      { role: 'spinbutton', attribute: 'aria-labelledby', required: true, usage: 'References a visible label (or use aria-label)' },
+    ],
+    keyboard: [
+      { keys: 'Up Arrow', action: 'Increases the value.' },
+      { keys: 'Down Arrow', action: 'Decreases the value.' },
+      { keys: 'Home', action: 'Sets the value to its minimum, if it has one.', optional: true },
+      { keys: 'End', action: 'Sets the value to its maximum, if it has one.', optional: true },
+      { keys: 'Page Up', action: 'Increases the value by a larger step.', optional: true },
+      { keys: 'Page Down', action: 'Decreases the value by a larger step.', optional: true },
+      { keys: 'Printable characters', action: 'Edits the value when the spinbutton is an editable text field.', optional: true },
+    ],
+    focusManagement: [
+      'Focus stays on the spinbutton text field; the increment and decrement buttons are usually not in the tab sequence (tabindex="-1").',
+    ],
+  },
+
+  switch: {
+    name: 'Switch',
+    aliases: ['toggle', 'toggle switch', 'on off'],
+    description: 'An input that represents an on or off value.',
+    roles: ['switch'],
+    statesAndProperties: [
+      { role: 'switch', attribute: 'aria-checked', required: true, usage: 'true when on, false when off' },
+      { role: 'switch', attribute: 'aria-labelledby', required: false, usage: 'References a visible label (or use aria-label or contents); the label must not change with the state' },
+      { role: 'switch', attribute: 'aria-describedby', required: false, usage: 'References additional descriptive text' },
+    ],
+    keyboard: [
+      { keys: 'Space', action: 'Toggles the switch.' },
+      { keys: 'Enter', action: 'Toggles the switch.', optional: true },
+    ],
+    focusManagement: [
+      'Each switch is in the page tab sequence and keeps focus when toggled.',
+    ],
+  },
+
+  table: {
+    name: 'Table',
+    aliases: ['data table', 'static table', 'sortable table'],
+    description: 'A static tabular structure of rows and columns; unlike a grid, it is not a composite widget.',
+    roles: ['table', 'rowgroup', 'row', 'columnheader', 'rowheader', 'cell'],
+    statesAndProperties: [
+      { role: 'table', attribute: 'aria-labelledby', required: false, usage: 'References a visible caption (or use aria-label)' },
+      { role: 'table', attribute: 'aria-describedby', required: false, usage: 'References a table description' },
+      { role: 'table', attribute: 'aria-rowcount', required: false, usage: 'Total number of rows when not all are in the DOM' },
+      { role: 'table', attribute: 'aria-colcount', required: false, usage: 'Total number of columns when not all are in the DOM' },
+      { role: 'row', attribute: 'aria-rowindex', required: false, usage: 'Position of the row when not all rows are in the DOM' },
+      { role: 'columnheader', attribute: 'aria-sort', required: false, usage: 'ascending or descending on the column the table is sorted by' },
+    ],
+    keyboard: [],
+    focusManagement: [
+      'A table is not a composite widget: it has no keyboard interaction of its own and widgets inside it are in the page tab sequence.',
+      'Use the grid pattern instead when users need to move between cells with the arrow keys.',
+    ],
+  },
+
+  tabs: {
+    name: 'Tabs',
+    aliases: ['tab', 'tab panel', 'tabbed interface', 'tabset'],
+    description: 'A set of layered sections of content (tab panels) that display one panel at a time.',
+    roles: ['tablist', 'tab', 'tabpanel'],
+    statesAndProperties: [
+      { role: 'tab', attribute: 'aria-selected', required: true, usage: 'true on the active tab, false on the others' },
+      { role: 'tab', attribute: 'aria-controls', required: true, usage: 'References the tab panel the tab displays' },
+      { role: 'tabpanel', attribute: 'aria-labelledby', required: true, usage: 'References the tab that controls the panel' },
+      { role: 'tablist', attribute: 'aria-label', required: false, usage: 'Names the tab list (or use aria-labelledby)' },
+      { role: 'tablist', attribute: 'aria-orientation', required: false, usage: 'vertical when tabs are laid out vertically' },
+      { role: 'tab', attribute: 'aria-haspopup', required: false, usage: 'menu (or true) on tabs that open a popup menu' },
+    ],
+    keyboard: [
+      { keys: 'Tab', action: 'When focus moves into the tab list, focuses the active tab; from the tab list, moves focus to the tab panel (or its first focusable element).' },
+      { keys: 'Left Arrow', action: 'Moves focus to the previous tab, wrapping from the first to the last (Up Arrow in vertical tab lists).' },
+      { keys: 'Right Arrow', action: 'Moves focus to the next tab, wrapping from the last to the first (Down Arrow in vertical tab lists).' },
+      { keys: 'Space or Enter', action: 'Activates the focused tab when tabs are not activated automatically on focus.' },
+      { keys: 'Home', action: 'Moves focus to the first tab.', optional: true },
+      { keys: 'End', action: 'Moves focus to the last tab.', optional: true },
+      { keys: 'Shift + F10', action: 'Opens the popup menu of the focused tab, if it has one.', optional: true },
+      { keys: 'Delete', action: 'Closes the focused tab, if tabs can be deleted, and focuses the next tab.', optional: true },
+    ],
+    focusManagement: [
+      'The tab list is a single tab stop, using a roving tabindex: only the active tab has tabindex="0".',
+      'Tabs may activate automatically when they receive focus, when the panel can be displayed without noticeable latency; otherwise they activate manually with Space or Enter.',
+      'A tab panel without focusable content gets tabindex="0" so users can reach it.',
+    ],
+  },
+
+  toolbar: {
+    name: 'Toolbar',
+    aliases: ['button bar', 'formatting toolbar', 'action bar'],
+    description: 'A container that groups a set of controls, such as buttons, menu buttons or checkboxes.',
+    roles: ['toolbar'],
+    statesAndProperties: [
+      { role: 'toolbar', attribute: 'aria-label', required: false, usage: 'Names the toolbar (or use aria-labelledby); required when there is more than one toolbar' },
+      { role: 'toolbar', attribute: 'aria-orientation', required: false, usage: 'vertical when the toolbar is laid out vertically' },
+      { role: 'toolbar', attribute: 'aria-controls', required: false, usage: 'References the element the toolbar controls' },
+    ],
+    keyboard: [
+      { keys: 'Tab', action: 'Moves focus into the toolbar to the first control (or the last focused control), and out of it again.' },
+      { keys: 'Right Arrow', action: 'Moves focus to the next control (Down Arrow in vertical toolbars), optionally wrapping.' },
+      { keys: 'Left Arrow', action: 'Moves focus to the previous control (Up Arrow in vertical toolbars), optionally wrapping.' },
+      { keys: 'Home', action: 'Moves focus to the first control.', optional: true },
+      { keys: 'End', action: 'Moves focus to the last control.', optional: true },
+    ],
+    focusManagement: [
+      'The toolbar is a single tab stop, using a roving tabindex.',
+      'Disabled controls usually remain focusable so users can discover them.',
+      'Avoid controls that need the arrow keys themselves (e.g., text fields), or place them last.',
+    ],
+  },
+
+  tooltip: {
+    name: 'Tooltip',
+    aliases: ['hint', 'help text', 'popover text'],
+    description: 'A popup that shows information about an element when it receives keyboard focus or the mouse hovers over it.',
+    roles: ['tooltip'],
+    statesAndProperties: [
+      { role: null, attribute: 'aria-describedby', required: true, usage: 'On the element that triggers the tooltip, referencing the tooltip' },
+    ],
+    keyboard: [
+      { keys: 'Escape', action: 'Dismisses the tooltip.' },
+    ],
+    focusManagement: [
+      'The tooltip never receives focus; focus stays on the element that triggered it.',
+      'The tooltip appears on focus or hover and disappears on blur or when the pointer leaves.',
+      'Use a non-modal dialog instead when the popup contains interactive content.',
+    ],
+  },
+
+  treeview: {
+    name: 'Tree View',
+    aliases: ['tree', 'file tree', 'folder tree', 'hierarchical list', 'navigation tree'],
+    description: 'A hierarchical list where items with children can be expanded or collapsed.',
+    roles: ['tree', 'treeitem', 'group'],
+    statesAndProperties: [
+      { role: 'tree', attribute: 'aria-label', required: true, usage: 'Names the tree (or use aria-labelledby)' },
+      { role: 'tree', attribute: 'aria-multiselectable', required: false, usage: 'true when more than one node can be selected' },
+      { role: 'treeitem', attribute: 'aria-expanded', required: true, usage: 'true or false on parent nodes; omit on end nodes' },
+      { role: 'treeitem', attribute: 'aria-selected', required: false, usage: 'true or false on selectable nodes (or use aria-checked)' },
+      { role: 'treeitem', attribute: 'aria-level', required: false, usage: 'Node level when the structure is not fully in the DOM' },
+      { role: 'treeitem', attribute: 'aria-setsize', required: false, usage: 'Number of sibling nodes when not all are in the DOM' },
+      { role: 'treeitem', attribute: 'aria-posinset', required: false, usage: 'Position among siblings when not all are in the DOM' },
+    ],
+    keyboard: [
+      { keys: 'Right Arrow', action: 'On a closed node, opens it; on an open node, moves focus to its first child; on an end node, does nothing.' },
+      { keys: 'Left Arrow', action: 'On an open node, closes it; on a child node, moves focus to its parent; on a closed root node, does nothing.' },
+      { keys: 'Down Arrow', action: 'Moves focus to the next visible node.' },
+      { keys: 'Up Arrow', action: 'Moves focus to the previous visible node.' },
+      { keys: 'Home', action: 'Moves focus to the first node.' },
+      { keys: 'End', action: 'Moves focus to the last visible node.' },
+      { keys: 'Enter', action: 'Performs the default action of the node (e.g., activates a link or toggles selection).' },
+      { keys: 'Printable characters', action: 'Type-ahead: moves focus to the next node whose name starts with the typed character.', optional: true },
+      { keys: '* (asterisk)', action: 'Expands all closed sibling nodes at the level of the focused node.', optional: true },
+      { keys: 'Space', action: 'In multi-select trees, toggles selection of the focused node.' },
+      { keys: 'Shift + Down Arrow / Shift + Up Arrow', action: 'In multi-select trees, moves focus and toggles selection.', optional: true },
+      { keys: 'Control + A', action: 'In multi-select trees, selects all nodes.', optional: true },
+    ],
+    focusManagement: [
+      'The tree is a single tab stop.',
+      'When it receives focus, focus goes to the selected node, or the first node if none is selected.',
+      'Focus within the tree moves with a roving tabindex or aria-activedescendant.',
+    ],
+  },
+
+  treegrid: {
+    name: 'Treegrid',
+    aliases: ['tree grid', 'tree table', 'expandable rows', 'email thread list'],
+    description: 'A hierarchical data grid whose rows can be expanded and collapsed like a tree.',
+    roles: ['treegrid', 'row', 'gridcell', 'columnheader', 'rowheader', 'rowgroup'],
+    statesAndProperties: [
+      { role: 'treegrid', attribute: 'aria-label', required: true, usage: 'Names the treegrid (or use aria-labelledby)' },
+      { role: 'treegrid', attribute: 'aria-multiselectable', required: false, usage: 'true when more than one row or cell can be selected' },
+      { role: 'row', attribute: 'aria-expanded', required: true, usage: 'true or false on parent rows; omit on rows without children' },
+      { role: 'row', attribute: 'aria-level', required: true, usage: 'The row level in the hierarchy' },
+      { role: 'row', attribute: 'aria-setsize', required: false, usage: 'Number of sibling rows when not all are in the DOM' },
+      { role: 'row', attribute: 'aria-posinset', required: false, usage: 'Position among sibling rows when not all are in the DOM' },
+      { role: 'row', attribute: 'aria-selected', required: false, usage: 'true or false on selectable rows' },
+      { role: 'treegrid', attribute: 'aria-rowcount', required: false, usage: 'Total number of rows when not all are in the DOM' },
+    ],
+    keyboard: [
+      { keys: 'Right Arrow', action: 'On a collapsed row, expands it; on an expanded row or a row without children, moves focus to the first cell; in a cell, moves one cell right.' },
+      { keys: 'Left Arrow', action: 'On an expanded row, collapses it; on a collapsed or child row, moves focus to the parent row; in the first cell, may move focus to the row; in a cell, moves one cell left.' },
+      { keys: 'Down Arrow', action: 'Moves focus to the next row, or to the cell in the same column of the next row.' },
+      { keys: 'Up Arrow', action: 'Moves focus to the previous row, or to the cell in the same column of the previous row.' },
+      { keys: 'Page Down', action: 'Moves focus down an author-determined number of rows.', optional: true },
+      { keys: 'Page Up', action: 'Moves focus up an author-determined number of rows.', optional: true },
+      { keys: 'Home', action: 'On a row, moves focus to the first row; in a cell, moves focus to the first cell in the row.' },
+      { keys: 'End', action: 'On a row, moves focus to the last row; in a cell, moves focus to the last cell in the row.' },
+      { keys: 'Control + Home', action: 'Moves focus to the first row, or to the cell in the same column of the first row.' },
+      { keys: 'Control + End', action: 'Moves focus to the last row, or to the cell in the same column of the last row.' },
+      { keys: 'Enter', action: 'Performs the default action of the focused row or cell (e.g., opens the item).' },
+      { keys: 'Tab', action: 'Moves focus to the next interactive element in the row, or out of the treegrid.' },
+      { keys: 'Shift + Space', action: 'Selects the focused row.', optional: true },
+      { keys: 'Control + A', action: 'Selects all rows.', optional: true },
+    ],
+    focusManagement: [
+      'The treegrid is a single tab stop; rows and cells are focused with a roving tabindex or aria-activedescendant.',
+      'Focus can be on a row or on a cell, and the arrow keys behave differently in each case.',
+      'When focus returns to the treegrid, it goes to the row or cell that last had focus.',
+    ],
+  },
+
+  windowsplitter: {
+    name: 'Window Splitter',
+    aliases: ['splitter', 'resizable panes', 'pane divider', 'split view'],
+    description: 'A movable separator between two panes that lets users change their relative size.',
+    roles: ['separator'],
+    statesAndProperties: [
+      { role: 'separator', attribute: 'aria-valuenow', required: true, usage: 'Position of the splitter, from 0 (primary pane smallest) to 100 (largest)' },
+      { role: 'separator', attribute: 'aria-valuemin', required: true, usage: 'The minimum position' },
+      { role: 'separator', attribute: 'aria-valuemax', required: true, usage: 'The maximum position' },
+      { role: 'separator', attribute: 'aria-controls', required: true, usage: 'References the primary pane' },
+      { role: 'separator', attribute: 'aria-label', required: true, usage: 'Names the splitter after the primary pane (or use aria-labelledby)' },
+    ],
+    keyboard: [
+      { keys: 'Left Arrow / Right Arrow', action: 'Moves a vertical splitter left or right.' },
+      { keys: 'Up Arrow / Down Arrow', action: 'Moves a horizontal splitter up or down.' },
+      { keys: 'Enter', action: 'Collapses the primary pane if it is not collapsed, or restores it to its previous position.', optional: true },
+      { keys: 'Home', action: 'Moves the splitter to its minimum position, which may collapse the primary pane.', optional: true },
+      { keys: 'End', action: 'Moves the splitter to its maximum position.', optional: true },
+      { keys: 'F6', action: 'Cycles focus through the panes.', optional: true },
+    ],
+    focusManagement: [
+      'The splitter is focusable (tabindex="0") and keeps focus while it is moved.',
+    ],
+  },
+};
@@ -0,0 +1,259 @@
+/**
+ * ARIA in HTML - allowed roles and aria-* attributes per HTML element
+ * Hand-maintained from https://w3c.github.io/html-aria/#docconformance, keyed by the
+ * HTML-AAM element mapping section id (e.g., "el-a" for an `a` element with href).
+ */
+
+export const specUrl = 'https://w3c.github.io/html-aria/';
+
+/**
+ * Allowed roles per element.
+ * 'any' means any role may be used; an empty array means no role other than the
+ * implicit one may be used.
+ */
+const anyRole = 'any';
+
+const listRoles = [
+  'group', 'listbox', 'menu', 'menubar', 'none', 'presentation', 'radiogroup',
+  'tablist', 'toolbar', 'tree'
+];
+
+// DPUB-ARIA roles allowed on section and aside
+const dpubSectionRoles = [
+  'doc-abstract', 'doc-acknowledgments', 'doc-afterword', 'doc-appendix', 'doc-bibliography',
+  'doc-chapter', 'doc-colophon', 'doc-conclusion', 'doc-credit', 'doc-credits', 'doc-dedication',
+  'doc-endnotes', 'doc-epigraph', 'doc-epilogue', 'doc-errata', 'doc-example', 'doc-foreword',
+  'doc-glossary', 'doc-index', 'doc-introduction', 'doc-notice', 'doc-pagelist', 'doc-part',
+  'doc-preface', 'doc-prologue', 'doc-pullquote', 'doc-qna', 'doc-toc'
+];
+
+const dpubAsideRoles = [
+  'doc-dedication', 'doc-example', 'doc-footnote', 'doc-glossary', 'doc-pullquote', 'doc-tip'
+];
+
+export const allowedRoles = {
+  'el-a': [
+    'button', 'checkbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option',
+    'radio', 'switch', 'tab', 'treeitem',
+    'doc-backlink', 'doc-biblioref', 'doc-glossref', 'doc-noteref'
+  ],
+  'el-a-no-href': anyRole,
+  'el-abbr': anyRole,
+  'el-address': anyRole,
+  'el-area': [],
+  'el-area-no-href': ['button', 'link'],
+  'el-article': ['application', 'document', 'feed', 'main', 'none', 'presentation', 'region'],
+  'el-aside-ancestorbodymain': [
+    'feed', 'none', 'note', 'presentation', 'region', 'search',
+    ...dpubAsideRoles
+  ],
+  'el-aside-ancestorsection': [
+    'feed', 'none', 'note', 'presentation', 'region', 'search',
+    ...dpubAsideRoles
+  ],
+  'el-audio': ['application'],
+  'el-b': anyRole,
+  'el-base': [],
+  'el-bdi': anyRole,
+  'el-bdo': anyRole,
+  'el-blockquote': anyRole,
+  'el-body': [],
+  'el-br': ['none', 'presentation'],
+  'el-button': [
+    'checkbox', 'combobox', 'gridcell', 'link', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'separator', 'slider', 'switch', 'tab', 'treeitem'
+  ],
+  'el-canvas': anyRole,
+  'el-caption': [],
+  'el-cite': anyRole,
+  'el-code': anyRole,
+  'el-col': [],
+  'el-colgroup': [],
+  'el-data': anyRole,
+  'el-datalist': [],
+  'el-dd': [],
+  'el-del': anyRole,
+  'el-details': [],
+  'el-dfn': anyRole,
+  'el-dialog': ['alertdialog'],
+  'el-div': anyRole,
+  'el-dl': ['group', 'list', 'none', 'presentation'],
+  'el-dt': ['listitem'],
+  'el-em': anyRole,
+  'el-embed': ['application', 'document', 'img', 'none', 'presentation'],
+  'el-fieldset': ['none', 'presentation', 'radiogroup'],
+  'el-figcaption': ['group', 'none', 'presentation'],
+  'el-figure': anyRole,
+  'el-footer-ancestorbody': ['group', 'none', 'presentation', 'doc-footnote'],
+  'el-footer-ancestormain': ['group', 'none', 'presentation', 'doc-footnote'],
+  'el-form': ['none', 'presentation', 'search'],
+  'el-h1-h6': ['none', 'presentation', 'tab', 'doc-subtitle'],
+  'el-head': [],
+  'el-header-ancestorbody': ['group', 'none', 'presentation'],
+  'el-header-ancestormain': ['group', 'none', 'presentation'],
+  'el-hgroup': anyRole,
+  'el-hr': ['none', 'presentation', 'doc-pagebreak'],
+  'el-html': [],
+  'el-i': anyRole,
+  'el-iframe': ['application', 'document', 'img', 'none', 'presentation'],
+  'el-img': [
+    'button', 'checkbox', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+    'option', 'progressbar', 'radio', 'scrollbar', 'separator', 'slider', 'switch', 'tab',
+    'treeitem', 'doc-cover'
+  ],
+  'el-img-empty-alt': ['none', 'presentation'],
+  'el-img-no-alt': [],
+  'el-input-button': [
+    'checkbox', 'combobox', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+    'option', 'radio', 'switch', 'tab'
+  ],
+  'el-input-checkbox': ['button', 'menuitemcheckbox', 'option', 'switch'],
+  'el-input-color': [],
+  'el-input-date': [],
+  'el-input-datetime-local': [],
+  'el-input-email': [],
+  'el-input-file': [],
+  'el-input-hidden': [],
+  'el-input-image': ['link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'radio', 'switch'],
+  'el-input-month': [],
+  'el-input-number': [],
+  'el-input-password': [],
+  'el-input-radio': ['menuitemradio'],
+  'el-input-range': [],
+  'el-input-reset': [],
+  'el-input-search': [],
+  'el-input-submit': [],
+  'el-input-tel': [],
+  'el-input-text': ['combobox', 'searchbox', 'spinbutton'],
+  'el-input-textetc-autocomplete': [],
+  'el-input-time': [],
+  'el-input-url': [],
+  'el-input-week': [],
+  'el-ins': anyRole,
+  'el-kbd': anyRole,
+  'el-label': [],
+  'el-legend': [],
+  'el-li': [
+    'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'none', 'presentation',
+    'radio', 'separator', 'tab', 'treeitem', 'doc-biblioentry', 'doc-endnote'
+  ],
+  'el-link': [],
+  'el-main': [],
+  'el-map': [],
+  'el-mark': anyRole,
+  'el-math': [],
+  'el-menu': listRoles,
+  'el-meta': [],
+  'el-meter': [],
+  'el-nav': [
+    'menu', 'menubar', 'none', 'presentation', 'tablist',
+    'doc-index', 'doc-pagelist', 'doc-toc'
+  ],
+  'el-noscript': [],
+  'el-object': ['application', 'document', 'img'],
+  'el-ol': listRoles,
+  'el-optgroup': [],
+  'el-option': [],
+  'el-output': anyRole,
+  'el-p': anyRole,
+  'el-picture': [],
+  'el-pre': anyRole,
+  'el-progress': [],
+  'el-q': anyRole,
+  'el-rp': anyRole,
+  'el-rt': anyRole,
+  'el-ruby': anyRole,
+  'el-s': anyRole,
+  'el-samp': anyRole,
+  'el-script': [],
+  'el-search': ['form', 'group', 'none', 'presentation', 'region', 'search'],
+  'el-section': [
+    'alert', 'alertdialog', 'application', 'banner', 'complementary', 'contentinfo',
+    'dialog', 'document', 'feed', 'group', 'log', 'main', 'marquee', 'navigation', 'none',
+    'note', 'presentation', 'search', 'status', 'tabpanel',
+    ...dpubSectionRoles
+  ],
+  'el-select-combobox': ['menu'],
+  'el-select-listbox': [],
+  'el-slot': [],
+  'el-small': anyRole,
+  'el-source': [],
+  'el-span': anyRole,
+  'el-strong': anyRole,
+  'el-style': [],
+  'el-sub': anyRole,
+  'el-summary': [],
+  'el-sup': anyRole,
+  'el-svg': anyRole,
+  'el-table': anyRole,
+  'el-tbody': anyRole,
+  'el-td': anyRole,
+  'el-td-gridcell': anyRole,
+  'el-template': [],
+  'el-textarea': [],
+  'el-tfoot': anyRole,
+  'el-th': anyRole,
+  'el-th-rowheader': anyRole,
+  'el-thead': anyRole,
+  'el-time': anyRole,
+  'el-title': [],
+  'el-tr': anyRole,
+  'el-track': [],
+  'el-u': anyRole,
+  'el-ul': listRoles,
+  'el-var': anyRole,
+  'el-video': ['application'],
+  'el-wbr': ['none', 'presentation'],
+};
+
+/**
+ * aria-* attribute rules per element. Elements without an entry allow global aria-*
+ * attributes plus those supported by their implicit or allowed role.
+ * - ariaAttributes: 'none' for no aria-* at all, or the only aria-* attributes allowed
+ * - disallowed: aria-* attributes authors MUST NOT use on the element
+ * - disallowedValues: aria-* values authors MUST NOT use on the element
+ */
+export const ariaAttributeRules = {
+  'el-base': { ariaAttributes: 'none' },
+  'el-body': { disallowedValues: { 'aria-hidden': ['true'] } },
+  'el-br': { ariaAttributes: ['aria-hidden'] },
+  'el-col': { ariaAttributes: 'none' },
+  'el-colgroup': { ariaAttributes: 'none' },
+  'el-head': { ariaAttributes: 'none' },
+  'el-html': { ariaAttributes: 'none' },
+  'el-img-empty-alt': { ariaAttributes: ['aria-hidden'] },
+  'el-input-checkbox': { disallowed: ['aria-checked'] },
+  'el-input-hidden': { ariaAttributes: 'none' },
+  'el-input-radio': { disallowed: ['aria-checked'] },
+  'el-link': { ariaAttributes: 'none' },
+  'el-map': { ariaAttributes: 'none' },
+  'el-meta': { ariaAttributes: 'none' },
+  'el-noscript': { ariaAttributes: 'none' },
+  'el-picture': { ariaAttributes: 'none' },
+  'el-script': { ariaAttributes: 'none' },
+  'el-slot': { ariaAttributes: 'none' },
+  'el-source': { ariaAttributes: 'none' },
+  'el-style': { ariaAttributes: 'none' },
+  'el-template': { ariaAttributes: 'none' },
+  'el-title': { ariaAttributes: 'none' },
+  'el-track': { ariaAttributes: 'none' },
+  'el-wbr': { ariaAttributes: ['aria-hidden'] },
+};
+
+/**
+ * aria-* attributes with a native HTML equivalent. Authors SHOULD NOT use the aria-*
+ * attribute on an element that has the native attribute.
+ */
+export const nativeAttributeConflicts = [
+  { attribute: 'checked', ariaAttribute: 'aria-checked' },
+  { attribute: 'disabled', ariaAttribute: 'aria-disabled' },
+  { attribute: 'hidden', ariaAttribute: 'aria-hidden' },
+  { attribute: 'placeholder', ariaAttribute: 'aria-placeholder' },
+  { attribute: 'max', ariaAttribute: 'aria-valuemax' },
+  { attribute: 'min', ariaAttribute: 'aria-valuemin' },
+  { attribute: 'readonly', ariaAttribute: 'aria-readonly' },
+  { attribute: 'contenteditable', ariaAttribute: 'aria-readonly' },
+  { attribute: 'required', ariaAttribute: 'aria-required' },
+  { attribute: 'colspan', ariaAttribute: 'aria-colspan' },
+  { attribute: 'rowspan', ariaAttribute: 'aria-rowspan' },
+];
@@ -7,14 +7,78 @@
 
 import * as fs from 'node:fs';
 import * as path from 'node:path';
+import { execFileSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import * as cheerio from 'cheerio';
+import {
+  specUrl as htmlAriaSpecUrl,
+  allowedRoles,
+  ariaAttributeRules,
+  nativeAttributeConflicts,
+} from './html-aria-rules.js';
+import { specUrl as apgSpecUrl, patterns as apgPatterns } from './apg-patterns.js';
+import { categorySections, categorizeRoles } from '../src/categories.js';
+import { buildDeprecations } from '../src/deprecations.js';
+import { annotateProvenance } from '../src/provenance.js';
+import { buildAttributeRoleIndex } from '../src/attribute-roles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const dataDir = path.join(__dirname, '..', 'data');
 const ariaDir = path.join(dataDir, 'aria');
 
+/**
+ * Spec versions we generate datasets for, mapped to a git ref (tag or branch) in the
+ * w3c/aria submodule. The latest version reads the submodule's working tree and is written
+ * to aria-data.json; older versions are written to aria-data-<version>.json.
+ */
+const specVersions = {
+  '1.1': 'aria-1.1',
+  '1.2': 'aria-1.2',
+  '1.3': null,
+};
+const latestSpecVersion = '1.3';
+
+// Git ref the spec sources are read from; null reads the working tree
+let sourceRef = null;
+
+/**
+ * Read a file from the aria submodule, at sourceRef when set. Returns null if it does not exist.
+ */
+function readSpecFile(...segments) {
+  const relPath = segments.join('/');
+  if (!sourceRef) {
+    const filePath = path.join(ariaDir, ...segments);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+  }
+  
+  try {
+    return execFileSync('git', ['-C', ariaDir, 'show', `${sourceRef}:${relPath}`], {
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The aria submodule commit the spec sources are read from (sourceRef, or HEAD for the
+ * working tree) as { sha, date, subject }, or null when it is not a git checkout
+ */
+function readSourceCommit() {
+  try {
+    const [sha, date, subject] = execFileSync('git', ['-C', ariaDir, 'log', '-1', '--format=%H%n%cI%n%s', sourceRef || 'HEAD'], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim().split('\n');
+    return { sha, date, subject };
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Clean text by removing excess whitespace and normalizing
  */
@@ -27,9 +91,25 @@ function cleanText(text) {
 }
 
 /**
- * Parse roles from the main ARIA spec
+ * Parse a list of role references from a characteristics table cell.
+ * List items that name more than one role are "with child" forms, such as
+ * "group → option" (a group that owns options), and are kept in that notation.
+ */
+function parseRoleRefList($, $value) {
+  const roleRefs = ($el) => $el.find('rref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
+  
+  const $items = $value.find('li');
+  if ($items.length) {
+    return $items.map((_, li) => roleRefs($(li)).join(' → ')).get().filter(Boolean);
+  }
+  
+  return roleRefs($value);
+}
+
+/**
+ * Parse roles from an ARIA spec document (the core spec or a role module such as DPUB-ARIA)
  */
-function parseRoles($) {
+function parseRoles($, module = 'core') {
   const roles = {};
   
   // Find all role definitions
@@ -40,6 +120,7 @@ function parseRoles($) {
     
     const role = {
       name: id,
+      module,
       description: cleanText($role.find('.role-description').text()),
       isAbstract: false,
       superclassRoles: [],
@@ -70,10 +151,10 @@ function parseRoles($) {
         role.subclassRoles = $value.find('rref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
       } else if (header.includes('related concept')) {
         role.relatedConcepts = $value.find('a, code').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
-      } else if (header.includes('required context')) {
-        role.requiredContextRole = $value.find('rref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
-      } else if (header.includes('required owned') || header.includes('required children')) {
-        role.requiredOwnedElements = $value.find('rref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
+      } else if (header.includes('required context') || header.includes('required accessibility parent')) {
+        role.requiredContextRole = parseRoleRefList($, $value);
+      } else if (header.includes('required owned') || header.includes('required children') || header.includes('allowed accessibility child')) {
+        role.requiredOwnedElements = parseRoleRefList($, $value);
       } else if (header.includes('required state') || header.includes('required properties')) {
         role.requiredStates = $value.find('sref, pref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
       } else if (header.includes('supported state') || header.includes('supported properties')) {
@@ -108,6 +189,62 @@ function parseRoles($) {
   return roles;
 }
 
+/**
+ * Value types defined in the spec's "Value" characteristic, matched longest first
+ */
+const valueTypes = [
+  'true/false/undefined',
+  'true/false',
+  'tristate',
+  'ID reference list',
+  'ID reference',
+  'integer',
+  'number',
+  'string',
+  'token list',
+  'token',
+];
+
+/**
+ * Read the lower bound the spec states in prose for an integer attribute, e.g.
+ * "Authors MUST set the value of aria-level to an integer greater than or equal to 1", or the
+ * -1 sentinel for an unknown total ("authors MUST set the value of aria-colcount to -1").
+ * Returns the smallest value the prose allows, or undefined when it states none.
+ */
+function parseIntegerMinimum(name, description) {
+  const bounds = [
+    ...description.matchAll(/\binteger greater than or equal to (-?\d+)/gi),
+    ...description.matchAll(new RegExp(`\\bset the value (?:of|for) ${name} to (-?\\d+)\\b`, 'gi')),
+  ].map(match => Number(match[1]));
+  return bounds.length ? Math.min(...bounds) : undefined;
+}
+
+/**
+ * Normalize a "Value" characteristic (e.g., "true/false", "ID reference list") to a known value type
+ */
+function parseValueType(value) {
+  const text = cleanText(value).toLowerCase();
+  return valueTypes.find(type => text.startsWith(type.toLowerCase())) || '';
+}
+
+/**
+ * Parse an attribute's value descriptions table. Rows look like
+ * "false (default): The element is enabled." and yield { value, description, isDefault }.
+ */
+function parseValueDescriptions($, $attr) {
+  return $attr.find('table.value-descriptions tbody tr').map((_, row) => {
+    const $row = $(row);
+    const label = cleanText($row.find('th').text()).replace(/:$/, '');
+    const match = label.match(/^(.+?)(\s*\(default\))?$/i);
+    if (!match) return null;
+    return {
+      value: match[1].trim().toLowerCase(),
+      description: cleanText($row.find('td').text()),
+      isDefault: Boolean(match[2]),
+    };
+  }).get().filter(Boolean);
+}
+
 /**
  * Parse states and properties from the main ARIA spec
  */
@@ -130,27 +267,23 @@ function parseStatesAndProperties($) {
       defaultValue: '',
       applicableRoles: [],
       inheritedIntoRoles: [],
+      requiredInRoles: [],
+      prohibitedInRoles: [],
       relatedConcepts: [],
       values: [],
+      valueDescriptions: {},
       isGlobal: false,
     };
     
-    // Parse characteristics table
-    $attr.find('table.def tbody tr, table.def tr').each((_, row) => {
+    // Parse characteristics table (the value descriptions table is parsed separately below)
+    $attr.find('table.def').not('.value-descriptions').find('tr').each((_, row) => {
       const $row = $(row);
       const header = cleanText($row.find('th').text()).toLowerCase();
       const $value = $row.find('td');
       const value = cleanText($value.text());
       
-      if (header.includes('value type') || header.includes('value')) {
-        attr.valueType = value;
-        // Extract enum values if present
-        const enumMatches = value.match(/token(?:s)?\s*:?\s*([^|]+(?:\|[^|]+)*)/i);
-        if (enumMatches) {
-          attr.values = enumMatches[1].split('|').map(v => v.trim()).filter(Boolean);
-        }
-      } else if (header.includes('default')) {
-        attr.defaultValue = value;
+      if (header.startsWith('value')) {
+        attr.valueType = parseValueType(value);
       } else if (header.includes('used in role') || header.includes('applicable to')) {
         attr.applicableRoles = $value.find('rref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
         if (value.toLowerCase().includes('all elements')) {
@@ -163,6 +296,30 @@ function parseStatesAndProperties($) {
       }
     });
     
+    // Allowed values and the default come from the value descriptions table.
+    // Rows such as "additions text" describe a combination of tokens, not a new token.
+    const valueDescriptions = parseValueDescriptions($, $attr);
+    valueDescriptions.forEach(({ value, description }) => {
+      attr.valueDescriptions[value] = description;
+    });
+    attr.defaultValue = valueDescriptions.find(v => v.isDefault)?.value || '';
+    if (attr.valueType === 'token' || attr.valueType === 'token list') {
+      attr.values = valueDescriptions.map(v => v.value).filter(v => !/\s/.test(v));
+    }
+    
+    if (attr.valueType === 'integer') {
+      const minimum = parseIntegerMinimum(id, attr.description);
+      if (minimum === undefined) {
+        console.warn(`  No lower bound found in the prose for integer ${id}`);
+      } else {
+        attr.minimum = minimum;
+      }
+    }
+    
+    if (!attr.valueType) {
+      console.warn(`  No value type found for ${id}`);
+    }
+    
     attributes[id] = attr;
   });
   
@@ -173,13 +330,12 @@ function parseStatesAndProperties($) {
  * Parse the roleInfo.js file for additional role details
  */
 function parseRoleInfoJS() {
-  const roleInfoPath = path.join(ariaDir, 'common', 'script', 'roleInfo.js');
-  if (!fs.existsSync(roleInfoPath)) {
+  const content = readSpecFile('common', 'script', 'roleInfo.js');
+  if (!content) {
     console.warn('roleInfo.js not found, skipping');
     return {};
   }
   
-  const content = fs.readFileSync(roleInfoPath, 'utf-8');
   // Extract JSON from the JS file
   const jsonMatch = content.match(/var roleInfo = (\{[\s\S]*\});?\s*$/);
   if (!jsonMatch) {
@@ -229,13 +385,12 @@ function buildAllProps(roleName, roleInfo, visited = new Set()) {
  * Parse AccName spec for accessible name computation
  */
 function parseAccName() {
-  const accnamePath = path.join(ariaDir, 'accname', 'index.html');
-  if (!fs.existsSync(accnamePath)) {
+  const html = readSpecFile('accname', 'index.html');
+  if (!html) {
     console.warn('accname/index.html not found');
     return null;
   }
   
-  const html = fs.readFileSync(accnamePath, 'utf-8');
   const $ = cheerio.load(html);
   
   return {
@@ -246,206 +401,400 @@ function parseAccName() {
 }
 
 /**
- * Parse HTML-AAM for HTML element to role mappings
+ * Map HTML-AAM input "state" names to type attribute keywords
+ */
+const inputTypeStates = {
+  'text': 'text',
+  'search': 'search',
+  'telephone': 'tel',
+  'url': 'url',
+  'e-mail': 'email',
+  'email': 'email',
+  'password': 'password',
+  'date': 'date',
+  'month': 'month',
+  'week': 'week',
+  'time': 'time',
+  'local date and time': 'datetime-local',
+  'number': 'number',
+  'range': 'range',
+  'color': 'color',
+  'checkbox': 'checkbox',
+  'radio button': 'radio',
+  'file upload': 'file',
+  'submit button': 'submit',
+  'image button': 'image',
+  'reset button': 'reset',
+  'button': 'button',
+  'hidden': 'hidden',
+};
+
+const sectioningContent = ['article', 'aside', 'nav', 'section'];
+
+/**
+ * Turn an HTML-AAM section heading condition (the parenthetical after the element name)
+ * into structured conditions that tools can evaluate against real markup
+ */
+function parseHtmlAamCondition(element, condition) {
+  const text = condition.toLowerCase();
+  const result = {};
+  const attributes = {};
+  
+  if (/no href|without (an? )?href/.test(text)) {
+    attributes.href = false;
+  } else if (/represents a hyperlink|with (an? )?href/.test(text)) {
+    attributes.href = true;
+  }
+  
+  const typeMatch = text.match(/type attribute in the (.+?) states?\b/);
+  if (typeMatch) {
+    attributes.type = typeMatch[1]
+      .split(/,|\bor\b/)
+      .map(s => inputTypeStates[s.trim()])
+      .filter(Boolean);
+  }
+  
+  if (/no suggestions source|without a list attribute|no list attribute/.test(text)) {
+    attributes.list = false;
+  } else if (/suggestions source|with a list attribute/.test(text)) {
+    attributes.list = true;
+  }
+  
+  // select with multiple or a display size greater than 1 is a listbox; either one is enough
+  if (/multiple attribute|size greater than 1/.test(text) && !/no multiple/.test(text)) {
+    result.attributesAny = { multiple: true, size: { min: 2 } };
+  }
+  
+  if (element === 'img') {
+    if (/alt="?"|empty alt|alt attribute value is empty/.test(text)) {
+      attributes.alt = [''];
+    } else if (/no alt/.test(text)) {
+      attributes.alt = false;
+    }
+  }
+  
+  if (element === 'th' && /row/.test(text)) {
+    attributes.scope = ['row', 'rowgroup'];
+  }
+  
+  if (Object.keys(attributes).length) {
+    result.attributes = attributes;
+  }
+  
+  if (/scoped to the body/.test(text)) {
+    result.notInside = element === 'aside' ? sectioningContent : ['main', ...sectioningContent];
+  } else if (/scoped to the main element|sectioning content/.test(text)) {
+    result.insideAny = element === 'aside' ? sectioningContent : ['main', ...sectioningContent];
+  }
+  
+  if (/ancestor table element has (?:a )?(?:grid|treegrid)/.test(text) || /gridcell/.test(text)) {
+    result.ancestorRole = ['grid', 'treegrid'];
+  }
+  
+  if (/without an accessible name|no accessible name/.test(text)) {
+    result.accessibleName = false;
+  } else if (/with an accessible name/.test(text)) {
+    result.accessibleName = true;
+  }
+  
+  return result;
+}
+
+/**
+ * Count the conditions on a mapping so the most specific mapping is evaluated first
+ */
+function countHtmlConditions(mapping) {
+  return Object.keys(mapping.attributes || {}).length +
+    (mapping.attributesAny ? 1 : 0) +
+    (mapping.insideAny ? 1 : 0) +
+    (mapping.notInside ? 1 : 0) +
+    (mapping.ancestorRole ? 1 : 0) +
+    (mapping.accessibleName !== undefined ? 1 : 0);
+}
+
+/**
+ * Parse HTML-AAM for HTML element to role mappings.
+ * Each element section (id="el-*") has a heading such as "a (represents a hyperlink)"
+ * and a table whose [[wai-aria-1.2]] row names the implicit role.
  */
 function parseHtmlAam() {
-  const htmlAamPath = path.join(ariaDir, 'html-aam', 'index.html');
-  if (!fs.existsSync(htmlAamPath)) {
+  const html = readSpecFile('html-aam', 'index.html');
+  if (!html) {
     console.warn('html-aam/index.html not found');
     return {};
   }
   
-  const html = fs.readFileSync(htmlAamPath, 'utf-8');
   const $ = cheerio.load(html);
   
   const mappings = {};
   
-  // Find mapping tables
-  $('table').each((_, table) => {
-    const $table = $(table);
-    const caption = cleanText($table.find('caption').text());
+  $('section[id^="el-"]').each((_, section) => {
+    const $section = $(section);
+    const id = $section.attr('id');
+    const heading = cleanText($section.children('h2, h3, h4, h5, h6').first().text());
+    if (!heading) return;
+    
+    // "h1, h2, h3, h4, h5, h6" or "input (type attribute in the Checkbox state)"
+    const conditionMatch = heading.match(/\((.+)\)\s*$/);
+    const condition = conditionMatch ? cleanText(conditionMatch[1]) : '';
+    const elements = heading
+      .replace(/\(.+\)\s*$/, '')
+      .split(',')
+      .map(e => e.replace(/`/g, '').trim().toLowerCase())
+      .filter(e => /^[a-z][a-z0-9-]*$/.test(e));
+    if (!elements.length) return;
+    
+    // Find the WAI-ARIA row of the mapping table
+    let $ariaCell = null;
+    $section.find('table tr').each((_, row) => {
+      const $row = $(row);
+      if (!$ariaCell && /wai-aria/i.test($row.find('th').text())) {
+        $ariaCell = $row.find('td').first();
+      }
+    });
+    if (!$ariaCell) return;
     
-    if (caption.toLowerCase().includes('html element') || caption.toLowerCase().includes('role mapping')) {
-      $table.find('tbody tr').each((_, row) => {
-        const $row = $(row);
-        const cells = $row.find('td, th');
-        if (cells.length >= 2) {
-          const element = cleanText($(cells[0]).text());
-          const role = cleanText($(cells[1]).text());
-          if (element && role) {
-            mappings[element] = {
-              element,
-              implicitRole: role,
-            };
-          }
+    const ariaText = cleanText($ariaCell.text());
+    const roleRef = cleanText($ariaCell.find('a.core-mapping, rref, code').first().text()).replace(/`/g, '');
+    const implicitRole = /no corresponding role/i.test(ariaText) || !roleRef ? null : roleRef;
+    
+    const implicitValues = {};
+    const valueMatches = ariaText.matchAll(/(aria-[a-z]+)\s+(?:property|state)\s+set\s+to\s+"?([a-z0-9]+)"?/gi);
+    for (const [, prop, val] of valueMatches) {
+      implicitValues[prop] = val;
+    }
+    
+    // "region role if the section element has an accessible name. Otherwise, generic role"
+    const otherwiseMatch = ariaText.match(/accessible name.*otherwise,?\s+(?:the\s+)?([a-z-]+)\s+role/i);
+    const variants = otherwiseMatch
+      ? [
+          { suffix: 'with an accessible name', accessibleName: true, implicitRole },
+          { suffix: 'without an accessible name', accessibleName: false, implicitRole: otherwiseMatch[1].toLowerCase() },
+        ]
+      : [{ implicitRole }];
+    
+    elements.forEach(element => {
+      variants.forEach(variant => {
+        const variantCondition = [condition, variant.suffix].filter(Boolean).join(', ');
+        const mapping = {
+          id,
+          element,
+          condition: variantCondition,
+          ...parseHtmlAamCondition(element, variantCondition),
+          implicitRole: variant.implicitRole,
+          implicitValues: /^h[1-6]$/.test(element)
+            ? { ...implicitValues, 'aria-level': element.charAt(1) }
+            : implicitValues,
+          allowedRoles: allowedRoles[id] ?? allowedRoles[`el-${element}`] ?? 'any',
+        };
+        
+        if (!mappings[element]) {
+          mappings[element] = { element, mappings: [] };
         }
+        mappings[element].mappings.push(mapping);
       });
-    }
+    });
+  });
+  
+  Object.values(mappings).forEach(entry => {
+    entry.mappings.sort((a, b) => countHtmlConditions(b) - countHtmlConditions(a));
   });
   
   return mappings;
 }
 
+/**
+ * Build the ARIA in HTML conformance dataset, checking every role and attribute it
+ * names against the parsed spec so stale rules are caught at parse time
+ */
+function buildHtmlAriaRules(roles, attributes, htmlMappings) {
+  Object.values(htmlMappings).forEach(({ mappings }) => {
+    mappings.forEach(mapping => {
+      if (!Array.isArray(mapping.allowedRoles)) return;
+      const unknown = mapping.allowedRoles.filter(r => !roles[r]);
+      if (unknown.length) {
+        console.warn(`  ${mapping.id}: unknown allowed roles ${unknown.join(', ')}`);
+        mapping.allowedRoles = mapping.allowedRoles.filter(r => roles[r]);
+      }
+    });
+  });
+  
+  const attributeNames = [
+    ...Object.values(ariaAttributeRules).flatMap(rule => [
+      ...(Array.isArray(rule.ariaAttributes) ? rule.ariaAttributes : []),
+      ...(rule.disallowed || []),
+      ...Object.keys(rule.disallowedValues || {}),
+    ]),
+    ...nativeAttributeConflicts.map(c => c.ariaAttribute),
+  ];
+  [...new Set(attributeNames)]
+    .filter(name => !attributes[name])
+    .forEach(name => console.warn(`  ARIA in HTML rules reference unknown attribute ${name}`));
+  
+  return {
+    specUrl: htmlAriaSpecUrl,
+    elements: ariaAttributeRules,
+    nativeAttributeConflicts,
+  };
+}
+
+/**
+ * Build the APG design pattern dataset, checking the roles and attributes each pattern
+ * names against the parsed spec so stale patterns are caught at parse time
+ */
+function buildApgPatterns(roles, attributes) {
+  const patterns = {};
+  
+  Object.entries(apgPatterns).forEach(([id, pattern]) => {
+    const roleNames = [...pattern.roles, ...pattern.statesAndProperties.map(entry => entry.role).filter(Boolean)];
+    [...new Set(roleNames)]
+      .filter(name => !roles[name])
+      .forEach(name => console.warn(`  APG pattern ${id} references unknown role ${name}`));
+    [...new Set(pattern.statesAndProperties.map(entry => entry.attribute))]
+      .filter(name => !attributes[name])
+      .forEach(name => console.warn(`  APG pattern ${id} references unknown attribute ${name}`));
+    
+    const { name, ...details } = pattern;
+    patterns[id] = { id, name, url: `${apgSpecUrl}patterns/${id}/`, ...details };
+  });
+  
+  return {
+    specUrl: apgSpecUrl,
+    patterns,
+  };
+}
+
 /**
  * Parse DPUB-ARIA for digital publishing roles
  */
 function parseDpubAria() {
-  const dpubPath = path.join(ariaDir, 'dpub-aria', 'index.html');
-  if (!fs.existsSync(dpubPath)) {
+  const html = readSpecFile('dpub-aria', 'index.html');
+  if (!html) {
     console.warn('dpub-aria/index.html not found');
     return {};
   }
   
-  const html = fs.readFileSync(dpubPath, 'utf-8');
-  const $ = cheerio.load(html);
-  
-  const roles = {};
-  
-  $('div.role').each((_, roleDiv) => {
-    const $role = $(roleDiv);
-    const id = $role.attr('id');
-    if (!id) return;
-    
-    roles[id] = {
-      name: id,
-      module: 'dpub-aria',
-      description: cleanText($role.find('.role-description').text()),
-    };
-  });
-  
-  return roles;
+  return parseRoles(cheerio.load(html), 'dpub');
 }
 
 /**
  * Parse Graphics-ARIA for graphics roles
  */
 function parseGraphicsAria() {
-  const graphicsPath = path.join(ariaDir, 'graphics-aria', 'index.html');
-  if (!fs.existsSync(graphicsPath)) {
+  const html = readSpecFile('graphics-aria', 'index.html');
+  if (!html) {
     console.warn('graphics-aria/index.html not found');
     return {};
   }
   
-  const html = fs.readFileSync(graphicsPath, 'utf-8');
-  const $ = cheerio.load(html);
-  
-  const roles = {};
-  
-  $('div.role').each((_, roleDiv) => {
-    const $role = $(roleDiv);
-    const id = $role.attr('id');
-    if (!id) return;
-    
-    roles[id] = {
-      name: id,
-      module: 'graphics-aria',
-      description: cleanText($role.find('.role-description').text()),
-    };
-  });
-  
-  return roles;
+  return parseRoles(cheerio.load(html), 'graphics');
 }
 
 /**
- * Categorize roles by their type
+ * Core role synonyms whose characteristics are only defined on the preferred name
  */
-function categorizeRoles(roles) {
-  const categories = {
-    abstract: [],
-    widget: [],
-    document: [],
-    landmark: [],
-    liveRegion: [],
-    window: [],
-    composite: [],
-  };
-  
-  // Abstract roles
-  const abstractRoleNames = [
-    'roletype', 'structure', 'widget', 'window', 'input', 'range', 'command',
-    'composite', 'section', 'sectionhead', 'select', 'landmark'
-  ];
-  
-  // Widget roles
-  const widgetRoleNames = [
-    'button', 'checkbox', 'gridcell', 'link', 'menuitem', 'menuitemcheckbox',
-    'menuitemradio', 'option', 'progressbar', 'radio', 'scrollbar', 'searchbox',
-    'separator', 'slider', 'spinbutton', 'switch', 'tab', 'tabpanel', 'textbox',
-    'treeitem'
-  ];
-  
-  // Composite widget roles
-  const compositeRoleNames = [
-    'combobox', 'grid', 'listbox', 'menu', 'menubar', 'radiogroup', 'tablist',
-    'tree', 'treegrid'
-  ];
-  
-  // Document structure roles
-  const documentRoleNames = [
-    'application', 'article', 'blockquote', 'caption', 'cell', 'code',
-    'columnheader', 'definition', 'deletion', 'directory', 'document', 'emphasis',
-    'feed', 'figure', 'generic', 'group', 'heading', 'img', 'insertion', 'list',
-    'listitem', 'math', 'meter', 'none', 'note', 'paragraph', 'presentation',
-    'row', 'rowgroup', 'rowheader', 'strong', 'subscript', 'superscript',
-    'table', 'term', 'time', 'toolbar', 'tooltip'
-  ];
+const roleSynonyms = {
+  img: 'image',
+  presentation: 'none',
+};
+
+/**
+ * Inherited props for a module role, taken from the nearest superclass with props
+ * (core roles come from roleInfo.js; module roles from their own characteristics tables)
+ */
+function inheritedModuleProps(roleName, roles, visited = new Set()) {
+  if (visited.has(roleName)) return [];
+  visited.add(roleName);
   
-  // Landmark roles
-  const landmarkRoleNames = [
-    'banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation',
-    'region', 'search'
-  ];
+  const role = roles[roleName];
+  if (!role) return [];
+  if (role.allProps?.length) return role.allProps;
+  if (roleSynonyms[roleName]) return inheritedModuleProps(roleSynonyms[roleName], roles, visited);
   
-  // Live region roles
-  const liveRegionRoleNames = ['alert', 'log', 'marquee', 'status', 'timer'];
+  return (role.superclassRoles || []).flatMap(sup => inheritedModuleProps(sup, roles, visited));
+}
+
+/**
+ * Give module roles the same shape as core roles: parentRoles, localProps and allProps
+ */
+function resolveModuleRoles(moduleRoles, coreRoles, attributes) {
+  const roles = { ...coreRoles, ...moduleRoles };
+  const propType = (name) => attributes[name]?.type || 'property';
+  const toProp = (name, flags = {}) => ({
+    is: propType(name),
+    name,
+    required: false,
+    disallowed: false,
+    deprecated: false,
+    ...flags,
+  });
   
-  // Window roles
-  const windowRoleNames = ['alertdialog', 'dialog'];
+  Object.values(moduleRoles).forEach(role => {
+    role.parentRoles = [...role.superclassRoles];
+    role.localProps = [
+      ...role.requiredStates.map(name => toProp(name, { required: true })),
+      ...role.supportedStates.map(name => toProp(name)),
+      ...role.prohibitedStates.map(name => toProp(name, { disallowed: true })),
+    ];
+  });
   
-  Object.keys(roles).forEach(roleName => {
-    const role = roles[roleName];
+  // Resolve in superclass order so module roles can inherit from each other
+  const resolve = (role, visited = new Set()) => {
+    if (role.allProps || visited.has(role.name)) return;
+    visited.add(role.name);
+    role.superclassRoles.forEach(sup => moduleRoles[sup] && resolve(moduleRoles[sup], visited));
     
-    if (role.isAbstract || abstractRoleNames.includes(roleName)) {
-      categories.abstract.push(roleName);
-      role.category = 'abstract';
-    } else if (landmarkRoleNames.includes(roleName)) {
-      categories.landmark.push(roleName);
-      role.category = 'landmark';
-    } else if (liveRegionRoleNames.includes(roleName)) {
-      categories.liveRegion.push(roleName);
-      role.category = 'liveRegion';
-    } else if (windowRoleNames.includes(roleName)) {
-      categories.window.push(roleName);
-      role.category = 'window';
-    } else if (compositeRoleNames.includes(roleName)) {
-      categories.composite.push(roleName);
-      role.category = 'composite';
-    } else if (widgetRoleNames.includes(roleName)) {
-      categories.widget.push(roleName);
-      role.category = 'widget';
-    } else {
-      categories.document.push(roleName);
-      role.category = 'document';
-    }
+    const props = [...role.localProps];
+    role.superclassRoles
+      .flatMap(sup => inheritedModuleProps(sup, roles))
+      .forEach(prop => {
+        if (!props.find(p => p.name === prop.name)) props.push(prop);
+      });
+    role.allProps = props;
+  };
+  Object.values(moduleRoles).forEach(role => resolve(role));
+  
+  return moduleRoles;
+}
+
+/**
+ * Role lists from the spec's "Categorization of Roles" sections, keyed by category.
+ * The Widget Roles section has a second list, introduced as composite widgets.
+ */
+function parseRoleCategorization($) {
+  const sections = {};
+  
+  Object.entries(categorySections).forEach(([id, category]) => {
+    let current = category;
+    $(`section#${id}`).children().each((_, child) => {
+      const $child = $(child);
+      // "...standalone user interface widgets or as part of larger, composite widgets" stays widget
+      if ($child.is('p') && category === 'widget' && /composite/i.test($child.text()) && !/standalone/i.test($child.text())) {
+        current = 'composite';
+      }
+      if ($child.is('ul, ol')) {
+        const names = $child.find('rref, a').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
+        sections[current] = [...(sections[current] || []), ...names];
+      }
+    });
   });
   
-  return categories;
+  return sections;
 }
 
 /**
- * Main function to parse all ARIA specs and generate JSON
+ * Parse all ARIA specs for one spec version and write its dataset
  */
-async function main() {
-  console.log('Parsing ARIA Specification...\n');
+function generateDataset(version, ref) {
+  sourceRef = ref;
+  console.log(`Parsing ARIA ${version} Specification${ref ? ` at ${ref}` : ''}...\n`);
   
   // Read main ARIA spec
-  const ariaHtmlPath = path.join(ariaDir, 'index.html');
-  if (!fs.existsSync(ariaHtmlPath)) {
-    console.error('ARIA index.html not found at:', ariaHtmlPath);
-    process.exit(1);
+  const ariaHtml = readSpecFile('index.html');
+  if (!ariaHtml) {
+    throw new Error(`ARIA index.html not found in ${ariaDir}${ref ? ` at ${ref}` : ''}`);
   }
   
-  const ariaHtml = fs.readFileSync(ariaHtmlPath, 'utf-8');
   const $ = cheerio.load(ariaHtml);
   
   // Parse main components
@@ -483,10 +832,6 @@ async function main() {
     }
   });
   
-  // Categorize roles
-  console.log('Categorizing roles...');
-  const categories = categorizeRoles(roles);
-  
   // Parse related specs
   console.log('Parsing AccName...');
   const accname = parseAccName();
@@ -496,29 +841,63 @@ async function main() {
   console.log(`  Found ${Object.keys(htmlMappings).length} HTML element mappings`);
   
   console.log('Parsing DPUB-ARIA...');
-  const dpubRoles = parseDpubAria();
+  const dpubRoles = resolveModuleRoles(parseDpubAria(), roles, statesAndProperties);
   console.log(`  Found ${Object.keys(dpubRoles).length} DPUB roles`);
   
   console.log('Parsing Graphics-ARIA...');
-  const graphicsRoles = parseGraphicsAria();
+  const graphicsRoles = resolveModuleRoles(parseGraphicsAria(), roles, statesAndProperties);
   console.log(`  Found ${Object.keys(graphicsRoles).length} Graphics roles`);
   
+  // Reverse index: which roles use, inherit, require or prohibit each attribute,
+  // built once the module roles have their allProps so they are indexed too
+  buildAttributeRoleIndex({ ...roles, ...dpubRoles, ...graphicsRoles }, statesAndProperties)
+    .forEach(({ role, attribute }) => console.warn(`  Role ${role} references unknown attribute ${attribute}`));
+  
+  // Record where each allProps entry comes from (local, inherited, global or prohibited)
+  annotateProvenance({ ...roles, ...dpubRoles, ...graphicsRoles });
+  
+  // Categories come from the spec's categorization sections, then superclass ancestry
+  // for roles those sections do not list (including every module role)
+  console.log('Categorizing roles...');
+  const categorySectionLists = parseRoleCategorization($);
+  const categories = categorizeRoles({ ...roles, ...dpubRoles, ...graphicsRoles }, categorySectionLists, roles);
+  Object.entries(categories).forEach(([category, names]) => console.log(`  ${category}: ${names.length}`));
+  
+  // Deprecation notes ("[Deprecated in ARIA 1.2] ...") and roles' deprecated props
+  console.log('Collecting deprecations...');
+  const deprecations = buildDeprecations({ ...roles, ...dpubRoles, ...graphicsRoles }, statesAndProperties);
+  console.log(`  Found ${Object.keys(deprecations.roles).length} deprecated roles and ${Object.keys(deprecations.attributes).length} deprecated attributes`);
+  
+  // ARIA in HTML allows some module roles (e.g., doc-chapter on section)
+  console.log('Building ARIA in HTML rules...');
+  const htmlAriaRules = buildHtmlAriaRules({ ...roles, ...dpubRoles, ...graphicsRoles }, statesAndProperties, htmlMappings);
+  console.log(`  Found ${Object.keys(htmlAriaRules.elements).length} element attribute rules`);
+  
+  console.log('Building APG patterns...');
+  const patterns = buildApgPatterns(roles, statesAndProperties);
+  console.log(`  Found ${Object.keys(patterns.patterns).length} design patterns`);
+  
   // Build the complete data structure
   const ariaData = {
     metadata: {
-      version: '1.3',
+      version,
       generatedAt: new Date().toISOString(),
       sourceUrl: 'https://github.com/w3c/aria',
+      sourceCommit: readSourceCommit(),
       specUrl: 'https://w3c.github.io/aria/',
     },
     roles,
     roleCategories: categories,
+    roleCategorySections: categorySectionLists,
     states,
     properties,
     globalStatesAndProperties: Object.keys(statesAndProperties)
       .filter(name => statesAndProperties[name].isGlobal)
       .sort(),
+    deprecations,
     htmlMappings,
+    htmlAriaRules,
+    apgPatterns: patterns,
     extensions: {
       dpub: dpubRoles,
       graphics: graphicsRoles,
@@ -532,13 +911,86 @@ async function main() {
   };
   
   // Write output
-  const outputPath = path.join(dataDir, 'aria-data.json');
+  const fileName = version === latestSpecVersion ? 'aria-data.json' : `aria-data-${version}.json`;
+  const outputPath = path.join(dataDir, fileName);
+  const previous = readDataset(outputPath);
   fs.writeFileSync(outputPath, JSON.stringify(ariaData, null, 2));
-  console.log(`\nGenerated ${outputPath}`);
+  console.log(`\nGenerated ${outputPath}\n`);
+  
+  return { ariaData, previous };
+}
+
+/**
+ * Read a previously generated dataset, or null if there is none (or it is unreadable)
+ */
+function readDataset(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Append what changed semantically between the previous and new latest dataset to
+ * aria-changelog.json, so spec drift shows up in get-spec-changes rather than a JSON diff
+ */
+async function recordChanges(previous, current) {
+  if (!previous) {
+    console.log('No previous dataset; nothing to compare for the changelog\n');
+    return;
+  }
+  
+  // Imported late: the server modules load aria-data.json, which may not exist before the first parse
+  const { changelogEntry } = await import('../src/changelog.js');
+  const entry = changelogEntry(previous, current);
+  if (!entry.changes.length) {
+    console.log('No semantic changes since the previous dataset\n');
+    return;
+  }
+  
+  const changelogPath = path.join(dataDir, 'aria-changelog.json');
+  const changelog = readDataset(changelogPath) || { entries: [] };
+  changelog.entries.push(entry);
+  fs.writeFileSync(changelogPath, JSON.stringify(changelog, null, 2) + '\n');
+  console.log(`Recorded ${entry.changes.length} spec changes in ${changelogPath}\n`);
+}
+
+/**
+ * Main function: parse the latest spec, one --spec-version (optionally at --ref), or --all versions.
+ * Regenerating the latest spec records its changes in aria-changelog.json unless --no-changelog is given.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  
+  const generate = async (version, ref) => {
+    const { ariaData, previous } = generateDataset(version, ref);
+    if (version === latestSpecVersion && !args.includes('--no-changelog')) {
+      await recordChanges(previous, ariaData);
+    }
+  };
+  
+  if (args.includes('--all')) {
+    for (const [version, ref] of Object.entries(specVersions)) {
+      await generate(version, ref);
+    }
+  } else {
+    const version = option('--spec-version') || latestSpecVersion;
+    if (!(version in specVersions) && !option('--ref')) {
+      throw new Error(`Unknown spec version "${version}". Known versions: ${Object.keys(specVersions).join(', ')} (or pass --ref)`);
+    }
+    await generate(version, option('--ref') ?? specVersions[version] ?? null);
+  }
   
-  // Also update content.json to point to aria-data.json
   console.log('Done!');
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
 
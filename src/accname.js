@@ -0,0 +1,350 @@
+// Accessible name and description computation - AccName 1.2 (https://w3c.github.io/accname/)
+import { findRole } from './data.js';
+import { parseFragment, describeElement } from './audit.js';
+import { getImplicitMapping } from './html.js';
+
+// Elements that are never rendered
+const unrenderedTags = new Set(['script', 'style', 'template', 'head', 'title', 'meta', 'link', 'noscript']);
+
+// Elements rendered as blocks; their content is separated by spaces when flattened
+const blockTags = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'td', 'th', 'tr', 'ul'
+]);
+
+const rangeRoles = new Set(['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter']);
+const textboxRoles = new Set(['textbox', 'searchbox']);
+const labelableTags = new Set(['input', 'textarea', 'select', 'button', 'meter', 'output', 'progress']);
+
+/**
+ * Collapse whitespace the way the computation does for the final result
+ */
+function flatten(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve the role of an element: first valid explicit role token, otherwise implicit
+ */
+export function getRole(el) {
+  const tokens = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const explicit = tokens.map(t => findRole(t)).find(r => r && !r.isAbstract);
+  return explicit?.name || getImplicitMapping(el)?.implicitRole || null;
+}
+
+/**
+ * Whether an element is hidden from all users (hidden, aria-hidden, display:none, etc.)
+ */
+export function isHidden(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (unrenderedTags.has(node.localName)) return true;
+    if (node.hasAttribute('hidden')) return true;
+    if ((node.getAttribute('aria-hidden') || '').trim().toLowerCase() === 'true') return true;
+    const style = (node.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+    if (/display:none|visibility:hidden/.test(style)) return true;
+  }
+  return false;
+}
+
+/**
+ * Text alternative from an embedded control's value (step 2C)
+ */
+function embeddedControlValue(el, role) {
+  if (textboxRoles.has(role)) {
+    return el.localName === 'input' || el.localName === 'textarea'
+      ? (el.getAttribute('value') ?? el.textContent ?? '')
+      : el.textContent;
+  }
+
+  if (role === 'combobox' || role === 'listbox') {
+    if (el.localName === 'select') {
+      const selected = [...el.querySelectorAll('option')].filter(o => o.hasAttribute('selected'));
+      const options = selected.length ? selected : [...el.querySelectorAll('option')].slice(0, 1);
+      return options.map(o => flatten(o.textContent)).join(' ');
+    }
+    if (el.localName === 'input') {
+      return el.getAttribute('value') || '';
+    }
+    const selected = [...el.querySelectorAll('[role="option"]')]
+      .filter(o => (o.getAttribute('aria-selected') || '').toLowerCase() === 'true');
+    return selected.map(o => flatten(o.textContent)).join(' ');
+  }
+
+  if (rangeRoles.has(role)) {
+    return el.getAttribute('aria-valuetext') ??
+      el.getAttribute('aria-valuenow') ??
+      el.getAttribute('value') ?? '';
+  }
+
+  return null;
+}
+
+/**
+ * Labels associated with a labelable element (label[for] and wrapping label)
+ */
+function associatedLabels(el, document) {
+  if (!labelableTags.has(el.localName)) return [];
+  const labels = [];
+  const id = el.getAttribute('id');
+  if (id) {
+    labels.push(...[...document.querySelectorAll('label')].filter(l => l.getAttribute('for') === id));
+  }
+  const wrapping = el.closest('label');
+  if (wrapping && !labels.includes(wrapping)) labels.push(wrapping);
+  return labels;
+}
+
+/**
+ * Native text alternative for the element (step 2E), as { source, text }
+ */
+function nativeTextAlternative(el, role, state, ctx) {
+  const tag = el.localName;
+  const type = (el.getAttribute('type') || '').toLowerCase();
+
+  if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+    const value = el.getAttribute('value');
+    if (value !== null) return { source: 'value attribute', text: value };
+    if (type === 'submit') return { source: 'default button label', text: 'Submit' };
+    if (type === 'reset') return { source: 'default button label', text: 'Reset' };
+    return null;
+  }
+
+  if (tag === 'input' && type === 'image') {
+    const alt = el.getAttribute('alt');
+    if (alt !== null) return { source: 'alt attribute', text: alt };
+    return null;
+  }
+
+  const labels = associatedLabels(el, ctx.document);
+  if (labels.length) {
+    const text = labels
+      .map(label => computeTextAlternative(label, { ...state, inRecursion: true, origin: el }, ctx))
+      .join(' ');
+    if (flatten(text)) return { source: `<label> element${labels.length > 1 ? 's' : ''}`, text };
+  }
+
+  if ((tag === 'img' || tag === 'area') && el.getAttribute('alt') !== null) {
+    return { source: 'alt attribute', text: el.getAttribute('alt') };
+  }
+
+  const captionTag = { fieldset: 'legend', figure: 'figcaption', table: 'caption' }[tag];
+  if (captionTag) {
+    const caption = [...el.children].find(c => c.localName === captionTag);
+    if (caption) {
+      const text = computeTextAlternative(caption, { ...state, inRecursion: true }, ctx);
+      if (flatten(text)) return { source: `<${captionTag}> element`, text };
+    }
+  }
+
+  if (tag === 'svg') {
+    const title = [...el.children].find(c => c.localName === 'title');
+    if (title && flatten(title.textContent)) return { source: 'SVG <title> element', text: title.textContent };
+  }
+
+  return null;
+}
+
+/**
+ * Compute the text alternative of a node, following AccName 1.2 step 2
+ */
+function computeTextAlternative(node, state, ctx) {
+  // 2G: text node
+  if (node.nodeType === 3) {
+    return node.textContent;
+  }
+  if (node.nodeType !== 1) return '';
+
+  const el = node;
+  const label = describeElement(el);
+  const trace = (step, rule, text) => {
+    ctx.trace.push({ step, rule, element: label, depth: state.depth, text: flatten(text) });
+  };
+
+  if (ctx.visited.has(el)) return '';
+  ctx.visited.add(el);
+
+  // 2A: hidden, unless part of an aria-labelledby/aria-describedby traversal whose directly
+  // referenced node is hidden (referencedHidden is carried down to that node's descendants)
+  if (isHidden(el) && !state.referencedHidden) {
+    trace('2A', 'hidden, skipped', '');
+    return '';
+  }
+
+  const role = ctx.getRole(el);
+  const roleData = role ? findRole(role) : null;
+
+  // 2B: aria-labelledby
+  const labelledby = (el.getAttribute('aria-labelledby') || '').trim();
+  if (ctx.mode === 'name' && !state.inLabelledBy && labelledby) {
+    const targets = labelledby.split(/\s+/).map(id => ctx.document.getElementById(id)).filter(Boolean);
+    if (targets.length) {
+      const text = targets
+        .map(target => {
+          ctx.visited.delete(target);
+          return flatten(computeTextAlternative(target, {
+            depth: state.depth + 1,
+            origin: state.origin,
+            inRecursion: true,
+            inLabelledBy: true,
+            referenced: true,
+            referencedHidden: isHidden(target),
+          }, ctx));
+        })
+        .filter(Boolean)
+        .join(' ');
+      if (text) {
+        trace('2B', 'aria-labelledby', text);
+        return text;
+      }
+    }
+  }
+
+  // 2C: embedded control inside a label or content being used as a name
+  if (state.inRecursion && el !== state.origin) {
+    const value = embeddedControlValue(el, role);
+    if (value !== null) {
+      trace('2C', `embedded ${role} value`, value);
+      return value;
+    }
+  }
+
+  // 2D: aria-label
+  const ariaLabel = el.getAttribute('aria-label');
+  if (ariaLabel !== null && flatten(ariaLabel)) {
+    trace('2D', 'aria-label', ariaLabel);
+    return ariaLabel;
+  }
+
+  // 2E: native host language text alternative (label, alt, legend, caption, ...)
+  if (!roleData || !['none', 'presentation'].includes(role)) {
+    const native = nativeTextAlternative(el, role, state, ctx);
+    if (native && flatten(native.text)) {
+      trace('2E', native.source, native.text);
+      return native.text;
+    }
+  }
+
+  // 2F: name from content, for roles that allow it or when recursing
+  const fromContent = roleData?.nameFrom?.includes('contents') || state.inRecursion || state.referenced;
+  if (fromContent) {
+    const parts = [];
+    for (const child of el.childNodes) {
+      const text = computeTextAlternative(child, {
+        ...state,
+        depth: state.depth + 1,
+        inRecursion: true,
+        referenced: false,
+      }, ctx);
+      const isBlock = child.nodeType === 1 && blockTags.has(child.localName);
+      parts.push(isBlock ? ` ${text} ` : text);
+    }
+    const text = parts.join('');
+    if (flatten(text)) {
+      if (state.depth === 0 || state.referenced) trace('2F', 'name from content', text);
+      return text;
+    }
+  }
+
+  // 2I: tooltip attribute, then placeholder as the HTML-AAM last resort
+  const title = el.getAttribute('title');
+  if (title !== null && flatten(title)) {
+    trace('2I', 'title attribute', title);
+    if (state.depth === 0) ctx.usedTitle = el;
+    return title;
+  }
+  const placeholder = el.getAttribute('placeholder') ?? el.getAttribute('aria-placeholder');
+  if (placeholder !== null && flatten(placeholder)) {
+    trace('2I', 'placeholder attribute', placeholder);
+    return placeholder;
+  }
+
+  return '';
+}
+
+/**
+ * Compute the accessible description (aria-describedby, aria-description, then title)
+ */
+function computeDescription(el, ctx) {
+  const describedby = (el.getAttribute('aria-describedby') || '').trim();
+  if (describedby) {
+    const targets = describedby.split(/\s+/).map(id => ctx.document.getElementById(id)).filter(Boolean);
+    const text = targets
+      .map(target => {
+        ctx.visited = new Set();
+        return flatten(computeTextAlternative(target, {
+          depth: 1,
+          inRecursion: true,
+          inLabelledBy: true,
+          referenced: true,
+          referencedHidden: isHidden(target),
+        }, ctx));
+      })
+      .filter(Boolean)
+      .join(' ');
+    if (text) {
+      ctx.trace.push({ step: 'description', rule: 'aria-describedby', element: describeElement(el), depth: 0, text });
+      return text;
+    }
+  }
+
+  const description = el.getAttribute('aria-description');
+  if (description !== null && flatten(description)) {
+    ctx.trace.push({ step: 'description', rule: 'aria-description', element: describeElement(el), depth: 0, text: flatten(description) });
+    return flatten(description);
+  }
+
+  const title = el.getAttribute('title');
+  if (title !== null && flatten(title) && ctx.usedTitle !== el) {
+    ctx.trace.push({ step: 'description', rule: 'title attribute', element: describeElement(el), depth: 0, text: flatten(title) });
+    return flatten(title);
+  }
+
+  return '';
+}
+
+/**
+ * Compute the accessible name and description of an element in a parsed document.
+ * Callers that have already resolved roles (e.g., the accessibility tree) can pass their own getRole.
+ */
+export function computeAccessibleNameForElement(el, document, options = {}) {
+  const ctx = { document, mode: 'name', visited: new Set(), trace: [], usedTitle: null, getRole: options.getRole || getRole };
+  const role = ctx.getRole(el);
+  const roleData = role ? findRole(role) : null;
+
+  const name = flatten(computeTextAlternative(el, { depth: 0, origin: el }, ctx));
+  const nameTrace = ctx.trace;
+
+  ctx.mode = 'description';
+  ctx.trace = [];
+  const description = computeDescription(el, ctx);
+
+  const warnings = [];
+  if (roleData?.nameFrom?.includes('prohibited') && name) {
+    warnings.push(`Naming is prohibited on role "${role}"; assistive technologies may ignore this name`);
+  }
+  if (roleData?.accessibleNameRequired && !name) {
+    warnings.push(`Role "${role}" requires an accessible name, but none was computed`);
+  }
+
+  return {
+    element: describeElement(el),
+    role,
+    nameFrom: roleData?.nameFrom || [],
+    name,
+    description,
+    trace: [...nameTrace, ...ctx.trace],
+    warnings,
+  };
+}
+
+/**
+ * Compute the accessible name and description for the element matching a selector
+ */
+export function computeAccessibleName(html, selector) {
+  const document = parseFragment(html);
+  const el = document.querySelector(selector);
+  if (!el) return null;
+  return computeAccessibleNameForElement(el, document);
+}
@@ -0,0 +1,45 @@
+// Attribute role index - which roles use, inherit, require or prohibit each attribute
+
+/**
+ * Build the attribute -> role reverse index from each role's allProps (core and module roles).
+ * A role where the attribute is a local prop is a "used in" role; a role that gets it
+ * from a superclass is an "inherited into" role. Prohibited roles are listed separately.
+ * Returns the references to unknown attributes as [{ role, attribute }].
+ */
+export function buildAttributeRoleIndex(roles, attributes) {
+  const unknown = [];
+  Object.values(attributes).forEach(attr => {
+    attr.applicableRoles = [];
+    attr.inheritedIntoRoles = [];
+    attr.requiredInRoles = [];
+    attr.prohibitedInRoles = [];
+  });
+  
+  Object.keys(roles).sort().forEach(roleName => {
+    const role = roles[roleName];
+    const localNames = new Set((role.localProps || []).map(p => p.name));
+    
+    (role.allProps || []).forEach(prop => {
+      const attr = attributes[prop.name];
+      if (!attr) {
+        unknown.push({ role: roleName, attribute: prop.name });
+        return;
+      }
+      
+      if (prop.disallowed) {
+        attr.prohibitedInRoles.push(roleName);
+        return;
+      }
+      if (localNames.has(prop.name)) {
+        attr.applicableRoles.push(roleName);
+      } else {
+        attr.inheritedIntoRoles.push(roleName);
+      }
+      if (prop.required) {
+        attr.requiredInRoles.push(roleName);
+      }
+    });
+  });
+  
+  return unknown;
+}
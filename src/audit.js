@@ -0,0 +1,143 @@
+// HTML snippet auditing - checks real markup against the ARIA role and attribute data
+import { parseHTML } from 'linkedom';
+import {
+  findRole,
+  findAttribute,
+  checkRoleAttribute,
+  findDeprecation,
+  validateAttributeValue,
+} from './data.js';
+import { deprecationWarning } from './deprecations.js';
+import { getImplicitMapping, getElementContext, checkElementConformance } from './html.js';
+import { suggestRoles, suggestAttributes } from './search.js';
+
+/**
+ * Parse an HTML fragment into a document whose body holds the fragment
+ */
+export function parseFragment(html) {
+  const { document } = parseHTML(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`);
+  return document;
+}
+
+/**
+ * Short, selector-like label for an element (e.g., div#menu.open)
+ */
+export function describeElement(el) {
+  let label = el.localName;
+  const id = el.getAttribute('id');
+  if (id) label += `#${id}`;
+  const className = el.getAttribute('class');
+  if (className) label += className.trim().split(/\s+/).map(c => `.${c}`).join('');
+  const role = el.getAttribute('role');
+  if (role !== null) label += `[role="${role}"]`;
+  return label;
+}
+
+/**
+ * List the aria-* attributes present on an element
+ */
+function getAriaAttributes(el) {
+  return [...el.attributes]
+    .filter(a => a.name.toLowerCase().startsWith('aria-'))
+    .map(a => ({ name: a.name.toLowerCase(), value: a.value }));
+}
+
+/**
+ * Audit a single element of a parsed document, returning its role and a list of issues
+ */
+export function auditElement(el, document) {
+  const issues = [];
+  const ariaAttrs = getAriaAttributes(el);
+  const roleAttr = el.getAttribute('role');
+  let role = null;
+
+  if (roleAttr !== null) {
+    const tokens = roleAttr.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (!tokens.length) {
+      issues.push({ severity: 'error', rule: 'empty-role', message: 'The role attribute is empty' });
+    }
+
+    for (const token of tokens) {
+      const candidate = findRole(token);
+      if (!candidate) {
+        const similar = suggestRoles(token, 'all', 3);
+        issues.push({ severity: 'error', rule: 'unknown-role', message: `Unknown role "${token}"${similar.length ? ` (did you mean ${similar.join(', ')}?)` : ''}` });
+      } else if (candidate.isAbstract) {
+        issues.push({ severity: 'error', rule: 'abstract-role', message: `Abstract role "${token}" must not be used by authors` });
+      } else {
+        role = candidate;
+        break;
+      }
+    }
+  }
+
+  // Without a usable explicit role the element keeps its implicit (HTML-AAM) role
+  const implicitRole = getImplicitMapping(el)?.implicitRole;
+  const implicit = !role || role.name === implicitRole;
+  if (!role) {
+    role = findRole(implicitRole);
+  }
+
+  for (const { name, value } of ariaAttrs) {
+    const attr = findAttribute(name);
+
+    if (!attr) {
+      const similar = suggestAttributes(name, 3);
+      issues.push({ severity: 'error', rule: 'unknown-attribute', attribute: name, message: `Unknown ARIA attribute "${name}"${similar.length ? ` (did you mean ${similar.join(', ')}?)` : ''}` });
+      continue;
+    }
+
+    if (role) {
+      const { status } = checkRoleAttribute(role, name);
+      if (status === 'not-applicable') {
+        issues.push({ severity: 'error', rule: 'unsupported-attribute', attribute: name, message: `"${name}" is not supported on role "${role.name}"` });
+      } else if (status === 'prohibited') {
+        issues.push({ severity: 'error', rule: 'prohibited-attribute', attribute: name, message: `"${name}" is prohibited on role "${role.name}"` });
+      } else if (status === 'deprecated') {
+        issues.push({ severity: 'warning', rule: 'deprecated-attribute', attribute: name, message: deprecationWarning(findDeprecation('attribute', name), role.name) || `"${name}" is deprecated on role "${role.name}"` });
+      }
+    }
+
+    const invalid = validateAttributeValue(attr, value);
+    if (invalid) {
+      issues.push({ severity: 'error', rule: 'invalid-value', attribute: name, message: `Invalid value for "${name}": ${invalid}` });
+    } else if (/^id reference/i.test(attr.valueType || '')) {
+      const missing = value.trim().split(/\s+/).filter(id => id && !document.getElementById(id));
+      if (missing.length) {
+        issues.push({ severity: 'warning', rule: 'missing-id-reference', attribute: name, message: `"${name}" references ID(s) not found in the markup: ${missing.join(', ')}` });
+      }
+    }
+  }
+
+  // ARIA in HTML: is the role allowed on this element, and are its aria-* attributes?
+  const { tag, attributes, ancestors } = getElementContext(el);
+  issues.push(...checkElementConformance(tag, attributes, { ancestors }).issues);
+
+  // Native elements supply their own required states (e.g., checked on input type=checkbox)
+  if (role && !implicit) {
+    const present = new Set(ariaAttrs.map(a => a.name));
+    (role.allProps || [])
+      .filter(p => p.required && !present.has(p.name))
+      .forEach(p => {
+        issues.push({ severity: 'error', rule: 'missing-required-attribute', attribute: p.name, message: `Role "${role.name}" requires "${p.name}"` });
+      });
+  }
+
+  return { element: describeElement(el), role: role?.name || null, implicit: implicit && !!role, issues };
+}
+
+/**
+ * Audit every element in an HTML snippet that uses a role or aria-* attribute
+ */
+export function auditHtml(html) {
+  const document = parseFragment(html);
+  const results = [];
+
+  for (const el of document.body.querySelectorAll('*')) {
+    if (el.getAttribute('role') === null && !getAriaAttributes(el).length) continue;
+    results.push(auditElement(el, document));
+  }
+
+  return results;
+}
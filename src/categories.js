@@ -0,0 +1,215 @@
+// Role categories - derived from the spec's "Categorization of Roles" sections and superclass ancestry
+
+/**
+ * Every category, in the order used to pick a role's primary category. Spec categories come from
+ * a "Categorization of Roles" section (section id); families group the concrete descendants of an
+ * abstract role. Roles the sections do not list inherit from their superclasses, where an abstract
+ * superclass with a `superclass` entry maps straight to that category. A category `within` another
+ * is a subset of it, so its roles are in both (every composite widget is also a widget).
+ */
+export const roleCategoryInfo = {
+  abstract: {
+    title: 'Abstract Roles',
+    description: 'Roles that define the taxonomy and shared characteristics; authors must not use them',
+    section: 'abstract_roles',
+  },
+  landmark: {
+    title: 'Landmark Roles',
+    description: 'Regions of the page intended as navigational landmarks',
+    section: 'landmark_roles',
+    superclass: 'landmark',
+  },
+  liveRegion: {
+    title: 'Live Region Roles',
+    description: 'Regions whose content changes and is announced by assistive technologies',
+    section: 'live_region_roles',
+  },
+  window: {
+    title: 'Window Roles',
+    description: 'Browser or application windows, such as dialogs',
+    section: 'window_roles',
+    superclass: 'window',
+  },
+  composite: {
+    title: 'Composite Widget Roles',
+    description: 'Widgets that contain and manage other, owned widgets',
+    section: 'widget_roles',
+    superclass: 'composite',
+    within: 'widget',
+  },
+  generic: {
+    title: 'Generic Roles',
+    description: 'Roles with no semantics of their own: generic containers and presentational roles',
+    section: 'generic_roles',
+  },
+  document: {
+    title: 'Document Structure Roles',
+    description: 'Structures that organize content in a page; usually not interactive',
+    section: 'document_structure_roles',
+    superclass: 'structure',
+  },
+  widget: {
+    title: 'Widget Roles',
+    description: 'Standalone interactive user interface widgets, or parts of composite widgets',
+    section: 'widget_roles',
+    superclass: 'widget',
+  },
+  range: {
+    title: 'Range Widgets',
+    description: 'Roles whose value is a number within a range (descendants of the abstract range role)',
+    family: 'range',
+  },
+  input: {
+    title: 'Input Widgets',
+    description: 'Roles that take user input (descendants of the abstract input role)',
+    family: 'input',
+  },
+  command: {
+    title: 'Command Widgets',
+    description: 'Roles that perform an action but take no input (descendants of the abstract command role)',
+    family: 'command',
+  },
+};
+
+const primaryCategories = Object.keys(roleCategoryInfo).filter(name => !roleCategoryInfo[name].family);
+
+/**
+ * Which category each spec section id feeds (the Widget Roles section feeds widget and composite)
+ */
+export const categorySections = Object.fromEntries(
+  Object.entries(roleCategoryInfo)
+    .filter(([name, info]) => info.section && name !== 'composite')
+    .map(([name, info]) => [info.section, name])
+);
+
+/**
+ * The role a synonym-only record points at (img → image, presentation → none), from its description
+ */
+export function synonymOf(role, roles) {
+  if (role.superclassRoles?.length) return null;
+  const name = role.description?.match(/\bsynonym (?:role )?([a-z-]+)/i)?.[1]?.toLowerCase();
+  return name && name !== role.name && roles[name] ? name : null;
+}
+
+/**
+ * Work out every role's categories, each with the reason it applies:
+ * listed in a spec section, inherited from a superclass or synonym, or descended from an abstract role.
+ * sections maps a category to the role names the spec lists under it.
+ */
+function classify(roles, sections) {
+  const listed = new Map();
+  Object.entries(sections).forEach(([category, names]) => {
+    names.forEach(name => listed.set(name, [...(listed.get(name) || []), category]));
+  });
+
+  const primary = new Map();
+  const resolve = (name, visiting = new Set()) => {
+    if (primary.has(name)) return primary.get(name);
+    const role = roles[name];
+    if (!role || visiting.has(name)) return [];
+    visiting.add(name);
+
+    let result;
+    if (role.isAbstract) {
+      result = [{ category: 'abstract', reason: 'abstract role' }];
+    } else if (listed.has(name)) {
+      result = listed.get(name).map(category => ({ category, reason: `listed under ${roleCategoryInfo[category].title}` }));
+    } else if (synonymOf(role, roles)) {
+      const synonym = synonymOf(role, roles);
+      result = resolve(synonym, visiting).map(({ category }) => ({ category, reason: `synonym of ${synonym}` }));
+    } else {
+      result = [];
+      (role.superclassRoles || []).forEach(superclass => {
+        const superRole = roles[superclass];
+        if (!superRole) return;
+        const mapped = superRole.isAbstract && primaryCategories.find(c => roleCategoryInfo[c].superclass === superclass);
+        const inherited = mapped
+          ? [mapped]
+          : superRole.isAbstract
+            ? resolveAbstract(superclass)
+            : resolve(superclass, visiting).map(entry => entry.category);
+        inherited.forEach(category => {
+          if (!result.some(entry => entry.category === category)) {
+            result.push({ category, reason: `inherited from ${superclass}` });
+          }
+        });
+      });
+      if (!result.length) result = [{ category: 'document', reason: 'no categorized superclass' }];
+    }
+
+    // Roles with no semantics of their own, when the spec has no section for them
+    if (!sections.generic && !role.isAbstract && isGenericRole(role)) {
+      result = [{ category: 'generic', reason: 'no semantics of its own (naming prohibited, directly under structure)' }];
+    }
+
+    primary.set(name, result);
+    return result;
+  };
+
+  // An abstract superclass without its own category passes on what its superclasses map to
+  const resolveAbstract = (name) => (roles[name]?.superclassRoles || []).flatMap(superclass => {
+    const mapped = primaryCategories.find(c => roleCategoryInfo[c].superclass === superclass);
+    return mapped ? [mapped] : resolveAbstract(superclass);
+  });
+
+  const isGenericRole = (role) => {
+    const target = roles[synonymOf(role, roles)] || role;
+    return (target.superclassRoles || []).join() === 'structure' && (target.nameFrom || []).includes('prohibited');
+  };
+
+  const ancestors = (name, seen = new Set()) => {
+    const role = roles[name];
+    const supers = role?.superclassRoles?.length ? role.superclassRoles : [synonymOf(role || {}, roles)].filter(Boolean);
+    supers.forEach(superclass => {
+      if (seen.has(superclass)) return;
+      seen.add(superclass);
+      ancestors(superclass, seen);
+    });
+    return seen;
+  };
+
+  const result = new Map();
+  Object.keys(roles).forEach(name => {
+    const entries = [...resolve(name)];
+    entries.forEach(({ category }) => {
+      const broader = roleCategoryInfo[category].within;
+      if (broader && !entries.some(entry => entry.category === broader)) {
+        entries.push({ category: broader, reason: `${roleCategoryInfo[category].title} are also ${roleCategoryInfo[broader].title}` });
+      }
+    });
+    if (!roles[name].isAbstract) {
+      const inherited = ancestors(name);
+      Object.entries(roleCategoryInfo)
+        .filter(([, info]) => info.family && inherited.has(info.family))
+        .forEach(([category, info]) => entries.push({ category, reason: `descends from ${info.family}` }));
+    }
+    result.set(name, entries);
+  });
+  return result;
+}
+
+/**
+ * Set `categories` (all that apply) and `category` (the primary one) on every role and return
+ * the category lists for the roles in `listed` (the core roles, by default all of them)
+ */
+export function categorizeRoles(roles, sections = {}, listed = roles) {
+  const classified = classify(roles, sections);
+  const categories = Object.fromEntries(Object.keys(roleCategoryInfo).map(name => [name, []]));
+
+  Object.values(roles).forEach(role => {
+    const names = classified.get(role.name).map(entry => entry.category);
+    role.categories = Object.keys(roleCategoryInfo).filter(name => names.includes(name));
+    role.category = role.categories.find(name => primaryCategories.includes(name)) || 'document';
+    if (listed[role.name]) role.categories.forEach(name => categories[name].push(role.name));
+  });
+
+  Object.values(categories).forEach(names => names.sort());
+  return categories;
+}
+
+/**
+ * Why a role is in each of its categories, as [{ category, reason }]
+ */
+export function explainRoleCategories(roles, sections, name) {
+  return classify(roles, sections || {}).get(name) || [];
+}
@@ -0,0 +1,69 @@
+// Spec change feed - semantic changes recorded each time the latest dataset is regenerated
+import { changelog } from './data.js';
+import { listSpecChanges } from './versions.js';
+
+/**
+ * Build a changelog entry for regenerating the latest dataset: where the previous and new data
+ * came from (upstream w3c/aria commit and generation time) and what changed between them
+ */
+export function changelogEntry(previous, current) {
+  const source = (dataset) => ({
+    version: dataset.metadata?.version || null,
+    commit: dataset.metadata?.sourceCommit?.sha || null,
+    date: dataset.metadata?.sourceCommit?.date || null,
+    subject: dataset.metadata?.sourceCommit?.subject || null,
+    generatedAt: dataset.metadata?.generatedAt || null,
+  });
+
+  return {
+    from: source(previous),
+    to: source(current),
+    changes: listSpecChanges(previous, current),
+  };
+}
+
+/**
+ * When an entry's changes landed upstream: the new commit's date, else when it was generated
+ */
+function entryDate(entry) {
+  return entry.to.date || entry.to.generatedAt || '';
+}
+
+/**
+ * Changelog entries newer than a date (YYYY-MM-DD or ISO timestamp) or an upstream commit
+ * (full or abbreviated SHA), oldest first. Every entry when since is empty.
+ * Throws when since is neither, or names a commit the changelog does not know.
+ */
+export function getSpecChanges(since) {
+  const entries = changelog.entries || [];
+  const value = String(since || '').trim();
+  if (!value) return entries;
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`"${value}" is not a valid date`);
+    return entries.filter(entry => Date.parse(entryDate(entry)) > time);
+  }
+
+  if (/^[0-9a-f]{4,40}$/i.test(value)) {
+    const sha = value.toLowerCase();
+    const matches = (commit) => !!commit && commit.toLowerCase().startsWith(sha);
+    const index = entries.findIndex(entry => matches(entry.from.commit) || matches(entry.to.commit));
+    if (index === -1) throw new Error(`Commit "${value}" does not appear in the spec changelog`);
+    return entries.slice(matches(entries[index].from.commit) ? index : index + 1);
+  }
+
+  throw new Error(`"${value}" is neither a date (YYYY-MM-DD) nor a commit SHA`);
+}
+
+/**
+ * Every recorded change to one role or attribute, oldest first, with the entry it came from.
+ * An attribute's history includes changes to how roles support it.
+ */
+export function getEntityHistory(entity, name) {
+  return (changelog.entries || []).flatMap(entry => entry.changes
+    .filter(change => entity === 'attribute'
+      ? (change.entity === 'attribute' && change.name === name) || change.attribute === name
+      : change.entity === 'role' && change.name === name)
+    .map(change => ({ ...change, date: entryDate(entry), commit: entry.to.commit })));
+}
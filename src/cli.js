@@ -0,0 +1,404 @@
+// Command line - server options and direct tool queries for the aria-mcp binary
+import fs from 'node:fs';
+import { loadDataFile, setDefaultVersion } from './data.js';
+import { log, logLevels, setLogLevel } from './log.js';
+import { closestMatches, didYouMean } from './search.js';
+
+/**
+ * Thrown for bad command line input; the CLI exits with status 2
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+    this.exitCode = 2;
+  }
+}
+
+/**
+ * Options understood before any command; the rest of the arguments go to the tool
+ */
+const globalOptions = {
+  '--data': { value: 'path', description: 'Load a custom or older aria-data.json and serve it by default' },
+  '--spec-version': { value: 'version', description: 'ARIA spec version to serve when a request names none' },
+  '--tools': { value: 'list', description: 'Only expose these tools (comma-separated names)' },
+  '--exclude-tools': { value: 'list', description: 'Expose every tool except these' },
+  '--transport': { value: 'stdio|http', description: 'Server transport (default: stdio)' },
+  '--http': { description: 'Shorthand for --transport http' },
+  '--port': { value: 'port', description: 'HTTP port (default: $PORT or 3000)' },
+  '--host': { value: 'host', description: 'HTTP host (default: $HOST or 127.0.0.1)' },
+  '--session-timeout': { value: 'seconds', description: 'Close HTTP sessions idle this long (default: 1800)' },
+  '--max-sessions': { value: 'count', description: 'Most HTTP sessions kept open at once (default: 1000)' },
+  '--log-level': { value: logLevels.join('|'), description: 'Diagnostics written to stderr (default: info)' },
+  '--json': { description: 'Print a command\'s structured result as JSON instead of Markdown' },
+  '--help': { description: 'Show this help' },
+  '--version': { description: 'Show the server version' },
+};
+
+const optionAliases = { '-h': '--help', '-v': '--version' };
+
+/**
+ * Shorthand commands for the most common tools. `positional` names the arguments filled from
+ * the words after the command, `rest` joins every word into the last one, `files` reads the
+ * argument from each file named (or stdin for "-"), and `failed` marks a result that should
+ * exit non-zero, so the commands work in pre-commit hooks.
+ */
+const commands = {
+  role: { tool: 'get-role', positional: ['role'] },
+  attribute: { tool: 'get-attribute', positional: ['attribute'] },
+  element: { tool: 'get-html-element', positional: ['element'] },
+  pattern: { tool: 'get-pattern', positional: ['pattern'], rest: true },
+  search: { tool: 'search-spec', positional: ['query'], rest: true },
+  suggest: { tool: 'suggest-role', positional: ['description'], rest: true },
+  diff: { tool: 'diff-spec-versions', positional: ['from', 'to'] },
+  audit: { tool: 'audit-html', files: 'html', failed: result => result.errors > 0 },
+  validate: { tool: 'validate-structure', files: 'html', failed: result => result.problems.some(p => p.severity === 'error') },
+  tree: { tool: 'get-accessibility-tree', files: 'html' },
+};
+
+/**
+ * Split the arguments into global options and the command with its own arguments
+ */
+export function parseArgs(argv) {
+  const options = {};
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [optionAliases[argv[i]] || argv[i]];
+    const option = globalOptions[flag];
+    if (!option) {
+      rest.push(argv[i]);
+      continue;
+    }
+    const key = flag.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    if (!option.value) {
+      options[key] = true;
+      continue;
+    }
+    const value = inline ?? argv[++i];
+    if (value === undefined || (inline === undefined && value.startsWith('--'))) {
+      throw new UsageError(`${flag} needs a value (${option.value})`);
+    }
+    options[key] = value;
+  }
+  return { options, command: rest[0], args: rest.slice(1) };
+}
+
+const splitList = (value) => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Convert a command line value to the type a tool's input schema declares
+ */
+function coerce(value, schema = {}, flag) {
+  const types = [].concat(schema.type || 'string');
+  if (types.includes('boolean') && types.length === 1) {
+    return value !== 'false';
+  }
+  if (types.includes('integer') || types.includes('number')) {
+    const number = Number(value);
+    if (Number.isNaN(number)) throw new UsageError(`${flag} expects a number, got "${value}"`);
+    return number;
+  }
+  if (types.includes('object') || (types.includes('array') && schema.items?.type !== 'string')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      if (types.includes('string')) return value;
+      throw new UsageError(`${flag} expects JSON: ${error.message}`);
+    }
+  }
+  if (types.includes('array')) {
+    return splitList(value);
+  }
+  return value;
+}
+
+/**
+ * Build a tool's arguments from positional words and --name value flags. Words beyond the
+ * positional arguments are returned as extra, for commands that take a list of files.
+ */
+function toolArguments(tool, words, { positional = [], rest = false, preset = {} } = {}) {
+  const properties = tool.inputSchema.properties || {};
+  const args = { ...preset };
+  const values = [];
+
+  for (let i = 0; i < words.length; i++) {
+    if (!words[i].startsWith('--')) {
+      values.push(words[i]);
+      continue;
+    }
+    const [flag, inline] = words[i].split(/=(.*)/s);
+    const name = flag.slice(2);
+    const schema = properties[name];
+    // format is --json and version is --spec-version on the command line
+    if (!schema || name === 'format' || name === 'version') {
+      const names = Object.keys(properties).filter(p => p !== 'format' && p !== 'version');
+      throw new UsageError(`Unknown option ${flag} for ${tool.name}. Options: ${names.map(p => `--${p}`).join(', ') || 'none'}`);
+    }
+    // A boolean flag takes an explicit true/false only when one follows (--verbose, --verbose false)
+    const boolean = [].concat(schema.type).join() === 'boolean';
+    let value = inline;
+    if (value === undefined) {
+      value = boolean && !/^(true|false)$/.test(words[i + 1] || '') ? 'true' : words[++i];
+    }
+    if (value === undefined) throw new UsageError(`${flag} needs a value`);
+    args[name] = coerce(value, schema, flag);
+  }
+
+  positional.forEach((name, i) => {
+    const value = rest && i === positional.length - 1 ? values.slice(i).join(' ') : values[i];
+    if (value) args[name] = coerce(value, properties[name], `<${name}>`);
+  });
+
+  const missing = (tool.inputSchema.required || []).filter(name => args[name] === undefined);
+  if (missing.length) {
+    throw new UsageError(`${tool.name} requires ${missing.map(name => `<${name}>`).join(' ')}`);
+  }
+  return { args, extra: rest ? [] : values.slice(positional.length) };
+}
+
+/**
+ * Read a file argument, or stdin for "-"
+ */
+function readInput(file) {
+  try {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf-8');
+  } catch (error) {
+    throw new UsageError(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Run a tool from the command line and print its result. Resolves to the exit status:
+ * 0 on success, 1 when the tool fails or a check command finds errors.
+ */
+async function runCommand(name, words, options, { tools, allTools }) {
+  // A tool run by its own name takes the positional arguments of its shorthand, if it has one
+  const shorthand = commands[name] || Object.values(commands).find(c => c.tool === name && !c.files);
+  const toolName = shorthand?.tool || name;
+  const tool = tools.find(t => t.name === toolName);
+  if (!tool) {
+    if (allTools.some(t => t.name === toolName)) {
+      throw new UsageError(`Tool ${toolName} is not enabled (see --tools and --exclude-tools)`);
+    }
+    const candidates = [...Object.keys(commands), 'tools', ...tools.map(t => t.name)];
+    throw new UsageError(`Unknown command "${name}".${didYouMean(closestMatches(name, candidates, { limit: 3 }))} Run aria-mcp --help for usage.`);
+  }
+
+  const format = options.json ? 'json' : 'markdown';
+  const call = async (args) => {
+    const result = await tool.handler({ ...args, format });
+    const text = result.content.map(c => c.text).join('\n');
+    const failed = result.isError || !!(shorthand?.failed && result.structuredContent && shorthand.failed(result.structuredContent));
+    return { result, text, failed };
+  };
+
+  if (!shorthand?.files) {
+    const positional = shorthand?.positional || tool.inputSchema.required || [];
+    const { args, extra } = toolArguments(tool, words, { positional, rest: shorthand?.rest });
+    if (extra.length) {
+      throw new UsageError(`${name} takes ${positional.map(p => `<${p}>`).join(' ') || 'no positional arguments'}; unexpected "${extra.join(' ')}"`);
+    }
+    const { result, text, failed } = await call(args);
+    (result.isError ? process.stderr : process.stdout).write(text + '\n');
+    return failed ? 1 : 0;
+  }
+
+  // Every positional word is a file; the flags apply to each of them
+  const { args, extra: files } = toolArguments(tool, words, { preset: { [shorthand.files]: '' } });
+  if (!files.length) {
+    throw new UsageError(`${name} needs one or more files (or - for stdin)`);
+  }
+  const outcomes = [];
+  for (const file of files) {
+    outcomes.push({ file, ...(await call({ ...args, [shorthand.files]: readInput(file) })) });
+  }
+
+  if (options.json) {
+    const results = outcomes.map(({ file, result }) => ({ file, ...(result.structuredContent || { error: result.content[0]?.text }) }));
+    process.stdout.write(JSON.stringify(results.length === 1 ? results[0] : results, null, 2) + '\n');
+  } else {
+    const sections = outcomes.map(({ file, text }) => files.length > 1 ? `${file}\n\n${text}` : text);
+    process.stdout.write(sections.join('\n\n') + '\n');
+  }
+  return outcomes.some(o => o.failed) ? 1 : 0;
+}
+
+const lintFormats = ['stylish', 'json', 'sarif'];
+
+/**
+ * Lint files and print the report. Resolves to 1 when there are errors, or more warnings
+ * than --max-warnings allows.
+ */
+async function runLint(words, options, serverInfo) {
+  const lintOptions = { format: options.json ? 'json' : 'stylish' };
+  const patterns = [];
+  for (let i = 0; i < words.length; i++) {
+    const [flag, inline] = words[i].split(/=(.*)/s);
+    if (!['--format', '--config', '--output', '--max-warnings'].includes(flag)) {
+      if (flag.startsWith('--')) throw new UsageError(`Unknown lint option ${flag}. Options: --format, --config, --output, --max-warnings`);
+      patterns.push(words[i]);
+      continue;
+    }
+    const value = inline ?? words[++i];
+    if (value === undefined) throw new UsageError(`${flag} needs a value`);
+    lintOptions[flag.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value;
+  }
+  if (!lintFormats.includes(lintOptions.format)) {
+    throw new UsageError(`Unknown lint format "${lintOptions.format}". Use ${lintFormats.join(', ')}`);
+  }
+  const maxWarnings = lintOptions.maxWarnings === undefined ? Infinity : Number(lintOptions.maxWarnings);
+  if (Number.isNaN(maxWarnings)) {
+    throw new UsageError(`--max-warnings expects a number, got "${lintOptions.maxWarnings}"`);
+  }
+
+  const { loadLintConfig, lintFiles, formatStylish, formatSarif } = await import('./lint.js');
+  const config = configure(() => loadLintConfig(lintOptions.config));
+  const report = configure(() => lintFiles(patterns.length ? patterns : ['.'], { config }));
+  if (!report.results.length) {
+    throw new UsageError(`No files to lint match ${(patterns.length ? patterns : ['.']).join(', ')}`);
+  }
+  log.debug(`Linted ${report.results.length} file(s)${config.path ? ` with ${config.path}` : ''}`);
+
+  const output = {
+    stylish: () => formatStylish(report),
+    json: () => JSON.stringify(report, null, 2),
+    sarif: () => JSON.stringify(formatSarif(report, { name: serverInfo.name, version: serverInfo.version, informationUri: 'https://github.com/joe-watkins/aria-mcp' }), null, 2),
+  }[lintOptions.format]();
+  if (lintOptions.output) {
+    fs.writeFileSync(lintOptions.output, output + '\n');
+    if (lintOptions.format !== 'stylish') process.stderr.write(formatStylish(report) + '\n');
+  } else {
+    process.stdout.write(output + '\n');
+  }
+
+  return report.errorCount > 0 || report.warningCount > maxWarnings ? 1 : 0;
+}
+
+/**
+ * The --help text
+ */
+function usage(tools) {
+  const width = Math.max(...Object.entries(globalOptions).map(([flag, o]) => flag.length + (o.value ? o.value.length + 1 : 0)));
+  const optionLines = Object.entries(globalOptions)
+    .map(([flag, o]) => `  ${`${flag}${o.value ? ` ${o.value}` : ''}`.padEnd(width)}  ${o.description}`);
+  const commandLines = Object.entries(commands)
+    .map(([name, c]) => `  ${`${name} ${c.files ? '<file...>' : c.positional.map(p => `<${p}>`).join(' ')}`.padEnd(26)}  ${c.tool}`);
+
+  return [
+    'Usage:',
+    '  aria-mcp [options]                      Start the MCP server (stdio, or HTTP with --http)',
+    '  aria-mcp <command> [args] [--json]      Run a query and print the result',
+    '  aria-mcp <tool-name> [args] [--name v]  Run any tool; positional args fill its required inputs',
+    '',
+    'Commands:',
+    ...commandLines,
+    '  tools                       List the available tools',
+    '  lint <file|dir|glob...>     Lint HTML, Vue and JSX/TSX files (--format stylish|json|sarif,',
+    '                              --config file, --output file, --max-warnings n)',
+    '',
+    'Options:',
+    ...optionLines,
+    '',
+    'Tool inputs are passed as --name value (e.g., aria-mcp role button --verbose --module core).',
+    'audit, validate and lint exit with status 1 when they find errors.',
+    '',
+    `Tools: ${tools.map(t => t.name).join(', ')}`,
+  ].join('\n');
+}
+
+/**
+ * Apply a configuration option, reporting a bad value as a usage error
+ */
+function configure(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Run the aria-mcp binary. Resolves to an exit status for commands, or undefined once a server is listening.
+ */
+export async function run(argv) {
+  const { options, command, args } = parseArgs(argv);
+
+  if (options.data && options.specVersion) {
+    throw new UsageError('Use either --data or --spec-version, not both');
+  }
+  configure(() => {
+    if (options.logLevel) setLogLevel(options.logLevel);
+    if (options.data) {
+      const version = loadDataFile(options.data);
+      log.debug(`Loaded ARIA ${version} data from ${options.data}`);
+    }
+    if (options.specVersion) setDefaultVersion(options.specVersion);
+  });
+
+  // Tool definitions read the data configuration (versions, defaults) when they load, so they
+  // are imported only after --data and --spec-version have been applied
+  const { tools: allTools } = await import('./tools.js');
+  const { serverInfo, selectTools, getTools, createServer } = await import('./server.js');
+  if (options.tools || options.excludeTools) {
+    configure(() => selectTools({ include: splitList(options.tools), exclude: splitList(options.excludeTools) }));
+  }
+  const tools = getTools();
+
+  if (options.help) {
+    process.stdout.write(usage(tools) + '\n');
+    return 0;
+  }
+  if (options.version) {
+    process.stdout.write(`${serverInfo.name} ${serverInfo.version}\n`);
+    return 0;
+  }
+  if (command === 'tools') {
+    const output = options.json
+      ? JSON.stringify(tools.map(t => ({ name: t.name, description: t.description })), null, 2)
+      : tools.map(t => `${t.name.padEnd(28)} ${t.description.split(/(?<=\.)\s/)[0]}`).join('\n');
+    process.stdout.write(output + '\n');
+    return 0;
+  }
+  if (command === 'lint') {
+    return runLint(args, options, serverInfo);
+  }
+  if (command) {
+    return runCommand(command, args, options, { tools, allTools });
+  }
+
+  const transport = options.http ? 'http' : options.transport || 'stdio';
+  if (transport === 'stdio') {
+    const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+    await createServer().connect(new StdioServerTransport());
+    log.info('aria-mcp MCP server running on stdio');
+    return undefined;
+  }
+  if (transport !== 'http') {
+    throw new UsageError(`Unknown transport "${transport}". Use stdio or http`);
+  }
+
+  const port = Number(options.port || process.env.PORT || 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`Invalid port "${options.port || process.env.PORT}"`);
+  }
+  const host = options.host || process.env.HOST || '127.0.0.1';
+  const sessionTimeout = Number(options.sessionTimeout ?? 1800);
+  if (!(sessionTimeout > 0)) {
+    throw new UsageError(`Invalid session timeout "${options.sessionTimeout}"`);
+  }
+  const maxSessions = Number(options.maxSessions ?? 1000);
+  if (!Number.isInteger(maxSessions) || maxSessions < 1) {
+    throw new UsageError(`Invalid session limit "${options.maxSessions}"`);
+  }
+  const { startHttpServer } = await import('./http.js');
+  const { close } = await startHttpServer({ port, host, sessionTimeoutMs: sessionTimeout * 1000, maxSessions });
+  log.info(`aria-mcp MCP server listening on http://${host.includes(':') ? `[${host}]` : host}:${port}/mcp (health check at /health)`);
+
+  const shutdown = async () => {
+    await close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  return undefined;
+}
@@ -0,0 +1,366 @@
+// ARIA data access - shared role and attribute lookups used by every tool
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import latestData from '../data/aria-data.json' with { type: 'json' };
+import { log } from './log.js';
+import { categorizeRoles } from './categories.js';
+import { buildDeprecations } from './deprecations.js';
+import { annotateProvenance } from './provenance.js';
+import { buildAttributeRoleIndex } from './attribute-roles.js';
+
+/**
+ * Find the data directory, both when run from source and when bundled (e.g., Netlify)
+ */
+function findDataDir() {
+  const candidates = [path.resolve('data')];
+  try {
+    candidates.unshift(fileURLToPath(new URL('../data/', import.meta.url)));
+  } catch {
+    // import.meta.url is unavailable in some bundles; fall back to the working directory
+  }
+  return candidates.find(dir => fs.existsSync(dir)) || null;
+}
+
+/**
+ * Give datasets generated before roles could be in several categories their role.categories,
+ * treating the old single-category lists (apart from the document catch-all) as the spec sections
+ */
+function ensureRoleCategories(dataset) {
+  const roles = { ...dataset.roles, ...dataset.extensions?.dpub, ...dataset.extensions?.graphics };
+  if (Object.values(roles).every(role => Array.isArray(role.categories))) return dataset;
+  const { document, ...sections } = dataset.roleCategories || {};
+  dataset.roleCategorySections = sections;
+  // The lists predate the parser reading the Categorization of Roles sections, so they are not the spec's own
+  dataset.legacyRoleCategorySections = true;
+  dataset.roleCategories = categorizeRoles(roles, sections, dataset.roles);
+  return dataset;
+}
+
+/**
+ * Give datasets generated before the deprecation registry their deprecations,
+ * read from the same description notes the parser uses
+ */
+function ensureDeprecations(dataset) {
+  if (dataset.deprecations) return dataset;
+  const roles = { ...dataset.roles, ...dataset.extensions?.dpub, ...dataset.extensions?.graphics };
+  dataset.deprecations = buildDeprecations(roles, { ...dataset.states, ...dataset.properties });
+  return dataset;
+}
+
+/**
+ * Give datasets generated before allProps kept provenance their source, from, path and overrides
+ */
+function ensureProvenance(dataset) {
+  const roles = { ...dataset.roles, ...dataset.extensions?.dpub, ...dataset.extensions?.graphics };
+  if (Object.values(roles).every(role => (role.allProps || []).every(prop => prop.source))) return dataset;
+  annotateProvenance(roles);
+  return dataset;
+}
+
+/**
+ * Give datasets whose attribute role index was built before the module roles were parsed
+ * the DPUB and Graphics roles in applicableRoles, inheritedIntoRoles and the other lists
+ */
+function ensureAttributeRoleIndex(dataset) {
+  const moduleRoles = { ...dataset.extensions?.dpub, ...dataset.extensions?.graphics };
+  const attributes = { ...dataset.states, ...dataset.properties };
+  const indexed = Object.values(attributes).some(attr => [
+    ...(attr.applicableRoles || []), ...(attr.inheritedIntoRoles || []), ...(attr.prohibitedInRoles || []),
+  ].some(name => moduleRoles[name]));
+  if (indexed || !Object.keys(moduleRoles).length) return dataset;
+  buildAttributeRoleIndex({ ...dataset.roles, ...moduleRoles }, attributes);
+  return dataset;
+}
+
+/**
+ * Fill in what older datasets lack
+ */
+function upgradeDataset(dataset) {
+  return ensureProvenance(ensureDeprecations(ensureAttributeRoleIndex(ensureRoleCategories(dataset))));
+}
+
+/**
+ * Load every generated dataset: aria-data.json (latest) plus aria-data-<version>.json files
+ */
+function loadDatasets() {
+  const datasets = { [latestData.metadata.version]: upgradeDataset(latestData) };
+  const dataDir = findDataDir();
+  if (!dataDir) return datasets;
+
+  fs.readdirSync(dataDir)
+    .filter(file => /^aria-data-.+\.json$/.test(file))
+    .forEach(file => {
+      try {
+        const dataset = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+        const version = dataset.metadata?.version || file.match(/^aria-data-(.+)\.json$/)[1];
+        if (!datasets[version]) datasets[version] = upgradeDataset(dataset);
+      } catch (error) {
+        log.warn(`Could not load ${file}: ${error.message}`);
+      }
+    });
+
+  return datasets;
+}
+
+const datasets = loadDatasets();
+
+/**
+ * Load the spec change feed (aria-changelog.json) written by the parser, if there is one
+ */
+function loadChangelog() {
+  const dataDir = findDataDir();
+  const file = dataDir && path.join(dataDir, 'aria-changelog.json');
+  if (!file || !fs.existsSync(file)) return { entries: [] };
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    log.warn(`Could not load aria-changelog.json: ${error.message}`);
+    return { entries: [] };
+  }
+}
+
+/**
+ * Semantic spec changes recorded each time the latest dataset was regenerated, oldest first
+ */
+export const changelog = loadChangelog();
+
+/**
+ * The newest spec version bundled with the server
+ */
+export const latestVersion = latestData.metadata.version;
+
+/**
+ * Every spec version with a dataset, oldest first
+ */
+export const specVersions = [];
+
+const sortSpecVersions = () => {
+  specVersions.splice(0, specVersions.length, ...Object.keys(datasets)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true })));
+};
+sortSpecVersions();
+
+let defaultData = latestData;
+
+/**
+ * The spec version served when no version is requested: the latest unless the CLI chose another
+ */
+export let defaultVersion = latestVersion;
+
+/**
+ * Serve a different spec version when no version is requested (e.g., --spec-version 1.2)
+ */
+export function setDefaultVersion(version) {
+  if (!datasets[version]) {
+    throw new Error(`ARIA version "${version}" is not available. Available versions: ${specVersions.join(', ')}`);
+  }
+  defaultData = datasets[version];
+  defaultVersion = version;
+}
+
+/**
+ * Load a dataset from a file (e.g., a custom or older aria-data.json) and serve it by default.
+ * It replaces any bundled dataset for the same spec version.
+ */
+export function loadDataFile(file) {
+  let dataset;
+  try {
+    dataset = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not load ${file}: ${error.message}`);
+  }
+  const version = dataset.metadata?.version;
+  if (!version || !dataset.roles || !dataset.states || !dataset.properties) {
+    throw new Error(`${file} is not an aria-data.json dataset (expected metadata.version, roles, states and properties)`);
+  }
+  datasets[version] = upgradeDataset(dataset);
+  sortSpecVersions();
+  setDefaultVersion(version);
+  return version;
+}
+
+/**
+ * Get the dataset for a spec version (the default when no version is given)
+ */
+export function getDataset(version) {
+  return version ? datasets[version] || null : defaultData;
+}
+
+const versionContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with `data` (and every lookup below) reading from the given spec version
+ */
+export function withSpecVersion(version, fn) {
+  return versionContext.run(getDataset(version) || defaultData, fn);
+}
+
+const currentData = () => versionContext.getStore() || defaultData;
+
+/**
+ * The dataset for the spec version of the current call
+ */
+export const data = new Proxy({}, {
+  get: (_, key) => currentData()[key],
+  has: (_, key) => key in currentData(),
+  ownKeys: () => Reflect.ownKeys(currentData()),
+  getOwnPropertyDescriptor: (_, key) => {
+    const descriptor = Reflect.getOwnPropertyDescriptor(currentData(), key);
+    return descriptor && { ...descriptor, configurable: true };
+  },
+});
+
+/**
+ * Normalize a role name as typed by a user (e.g., "Role:Button" -> "button")
+ */
+export function normalizeRoleName(name) {
+  return String(name || '').toLowerCase().replace('role:', '').trim();
+}
+
+/**
+ * Normalize an attribute name, adding the aria- prefix when it is missing
+ */
+export function normalizeAttributeName(name) {
+  let attrName = String(name || '').toLowerCase().trim();
+  if (!attrName.startsWith('aria-')) {
+    attrName = 'aria-' + attrName;
+  }
+  return attrName;
+}
+
+/**
+ * Role modules: core WAI-ARIA plus the DPUB-ARIA and Graphics-ARIA extension modules
+ */
+export const roleModules = ['core', 'dpub', 'graphics'];
+
+const allRolesCache = new WeakMap();
+
+/**
+ * Get the roles defined by one module ('core', 'dpub', 'graphics'), or by every module ('all')
+ */
+export function getRoles(module = 'all') {
+  if (module === 'all') {
+    const dataset = currentData();
+    if (!allRolesCache.has(dataset)) {
+      allRolesCache.set(dataset, {
+        ...dataset.roles,
+        ...dataset.extensions?.dpub,
+        ...dataset.extensions?.graphics,
+      });
+    }
+    return allRolesCache.get(dataset);
+  }
+  if (module === 'core') return data.roles;
+  return data.extensions?.[module] || {};
+}
+
+/**
+ * Look up a role by name, optionally only within one module
+ */
+export function findRole(name, module = 'all') {
+  return getRoles(module)[normalizeRoleName(name)] || null;
+}
+
+/**
+ * Look up a state or property by name
+ */
+export function findAttribute(name) {
+  const attrName = normalizeAttributeName(name);
+  return data.states[attrName] || data.properties[attrName] || null;
+}
+
+/**
+ * The deprecation registry entry for a role or attribute, or null when it is not deprecated
+ */
+export function findDeprecation(entity, name) {
+  const registry = entity === 'role' ? data.deprecations?.roles : data.deprecations?.attributes;
+  const key = entity === 'role' ? normalizeRoleName(name) : normalizeAttributeName(name);
+  return registry?.[key] || null;
+}
+
+/**
+ * Classify an attribute against a role's allProps (attributes deprecated outright are deprecated everywhere).
+ * Returns one of: required, prohibited, deprecated, supported, not-applicable
+ */
+export function checkRoleAttribute(role, name) {
+  const attrName = normalizeAttributeName(name);
+  const prop = (role.allProps || []).find(p => p.name === attrName);
+
+  if (!prop) return { name: attrName, status: 'not-applicable', prop: null };
+  if (prop.required) return { name: attrName, status: 'required', prop };
+  if (prop.disallowed) return { name: attrName, status: 'prohibited', prop };
+  if (prop.deprecated || findDeprecation('attribute', attrName)?.scope === 'everywhere') return { name: attrName, status: 'deprecated', prop };
+  return { name: attrName, status: 'supported', prop };
+}
+
+/**
+ * Tokens accepted by the boolean-like value types
+ */
+const booleanTypeTokens = {
+  'true/false': ['true', 'false'],
+  'tristate': ['true', 'false', 'mixed', 'undefined'],
+  'true/false/undefined': ['true', 'false', 'undefined'],
+};
+
+/**
+ * Validate an attribute value against the attribute's value type, allowed tokens and bounds.
+ * Returns null when the value is acceptable, or a reason string when it is not.
+ */
+export function validateAttributeValue(attr, value) {
+  const type = (attr.valueType || '').toLowerCase();
+  const trimmed = String(value ?? '').trim();
+  const token = trimmed.toLowerCase();
+  const quoteAll = list => list.map(v => `"${v}"`).join(', ');
+
+  if (booleanTypeTokens[type]) {
+    const allowed = booleanTypeTokens[type];
+    if (!trimmed) {
+      return `An empty value is treated as the default${attr.defaultValue ? ` ("${attr.defaultValue}")` : ''}; use one of ${quoteAll(allowed)}`;
+    }
+    if (!allowed.includes(token)) {
+      return `"${value}" is not a ${type} value; use one of ${quoteAll(allowed)}`;
+    }
+  } else if (type === 'token') {
+    if (!trimmed) {
+      return `An empty value is treated as the default${attr.defaultValue ? ` ("${attr.defaultValue}")` : ''}; use one of ${quoteAll(attr.values || [])}`;
+    }
+    if (/\s/.test(trimmed)) {
+      return `${attr.name} takes a single token, got "${value}"; use one of ${quoteAll(attr.values || [])}`;
+    }
+    if (attr.values?.length && !attr.values.includes(token)) {
+      return `"${value}" is not an allowed token for ${attr.name}; use one of ${quoteAll(attr.values)}`;
+    }
+  } else if (type === 'token list') {
+    if (!trimmed) {
+      return `Expected one or more of ${quoteAll(attr.values || [])}, got an empty value`;
+    }
+    const unknown = token.split(/\s+/).filter(t => attr.values?.length && !attr.values.includes(t));
+    if (unknown.length) {
+      return `${quoteAll(unknown)} ${unknown.length > 1 ? 'are not allowed tokens' : 'is not an allowed token'} for ${attr.name}; use one or more of ${quoteAll(attr.values)}`;
+    }
+  } else if (type === 'integer') {
+    if (!/^-?\d+$/.test(trimmed)) {
+      return `Expected an integer, got "${value}"`;
+    }
+    if (attr.minimum !== undefined && Number(trimmed) < attr.minimum) {
+      return `${attr.name} must be an integer greater than or equal to ${attr.minimum}, got ${trimmed}`;
+    }
+  } else if (type === 'number') {
+    // A decimal number as ARIA defines it: no hex, Infinity or NaN
+    if (!/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) || !Number.isFinite(Number(trimmed))) {
+      return `Expected a decimal number, got "${value}"`;
+    }
+  } else if (type === 'id reference') {
+    if (!trimmed || /\s/.test(trimmed)) {
+      return `Expected a single ID reference, got "${value}"`;
+    }
+  } else if (type === 'id reference list') {
+    if (!trimmed) {
+      return 'Expected one or more ID references, got an empty value';
+    }
+  }
+
+  return null;
+}
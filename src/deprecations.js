@@ -0,0 +1,114 @@
+// Deprecations - registry of deprecated roles and attributes parsed from the spec's deprecation notes
+
+/**
+ * "[Deprecated in ARIA 1.2]" prefix on a role or attribute deprecated outright
+ */
+const deprecatedInPattern = /\[Deprecated in ((?:[A-Z]+-)?(?:WAI-)?ARIA \d+(?:\.\d+)*)\]/i;
+
+/**
+ * "This state is being deprecated as a global state in ARIA 1.2" on an attribute that stays
+ * supported on the roles that list it
+ */
+const globalDeprecationPattern = /(?:is being|has been) deprecated as a global (?:state|property) in ((?:WAI-)?ARIA \d+(?:\.\d+)*)/i;
+
+/**
+ * Sentences of a deprecation note worth passing on as migration guidance
+ */
+const guidancePattern = /deprecat|replaced|instead|in future versions/i;
+
+/**
+ * Split a description into sentences, keeping the "[Deprecated in ...]" prefix out of them
+ */
+function sentences(text) {
+  return String(text || '')
+    .replace(deprecatedInPattern, '')
+    .split(/(?<=[.!?])\s+(?=[A-Z[])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read one role or attribute's deprecation note: when it was deprecated, whether outright
+ * ('everywhere') or only as a global attribute ('global'), the replacement the note names
+ * (a known role or attribute) and the guidance sentences. Null when it is not deprecated.
+ */
+export function parseDeprecationNote(name, description, known = {}) {
+  const outright = description?.match(deprecatedInPattern);
+  const global = !outright && description?.match(globalDeprecationPattern);
+  if (!outright && !global) return null;
+
+  const guidance = sentences(description)
+    .filter(sentence => guidancePattern.test(sentence) && !globalDeprecationPattern.test(sentence));
+  const replacement = guidance
+    .map(sentence => sentence.match(/\b(?:use|replaced by|in favou?r of|superseded by)\s+(?:the\s+)?([a-z][a-z-]*)/i)?.[1]?.toLowerCase())
+    .find(candidate => candidate && candidate !== name && known[candidate]) || null;
+
+  return {
+    since: (outright || global)[1].replace(/^WAI-/i, ''),
+    scope: outright ? 'everywhere' : 'global',
+    replacement,
+    guidance: guidance.join(' '),
+  };
+}
+
+/**
+ * Build the deprecation registry from every role (core and module) and attribute:
+ * { roles: { name: entry }, attributes: { name: entry } }. An attribute entry lists the roles
+ * it is deprecated on, from the roles' allProps, so attributes deprecated only on some
+ * roles are recorded even without a note of their own.
+ */
+export function buildDeprecations(roles, attributes) {
+  const registry = { roles: {}, attributes: {} };
+
+  Object.values(roles).forEach(role => {
+    const note = parseDeprecationNote(role.name, role.description, roles);
+    if (note) {
+      registry.roles[role.name] = { name: role.name, entity: 'role', module: role.module || 'core', ...note, roles: [] };
+    }
+  });
+
+  const deprecatedOn = {};
+  Object.values(roles).forEach(role => {
+    (role.allProps || []).filter(prop => prop.deprecated).forEach(prop => {
+      (deprecatedOn[prop.name] ||= []).push(role.name);
+    });
+  });
+
+  Object.values(attributes).forEach(attr => {
+    const note = parseDeprecationNote(attr.name, attr.description, attributes);
+    const onRoles = (deprecatedOn[attr.name] || []).sort();
+    if (!note && !onRoles.length) return;
+    registry.attributes[attr.name] = {
+      name: attr.name,
+      entity: 'attribute',
+      module: 'core',
+      ...(note || { since: null, scope: 'roles', replacement: null, guidance: '' }),
+      roles: onRoles,
+    };
+  });
+
+  return registry;
+}
+
+/**
+ * A warning for a deprecated role or attribute naming the replacement, e.g.
+ * `Role "directory" is deprecated since ARIA 1.2; use "list" instead.`
+ * For an attribute looked up on a role, only warns when it is deprecated on that role.
+ */
+export function deprecationWarning(entry, role) {
+  if (!entry) return null;
+  const subject = entry.entity === 'role' ? `Role "${entry.name}"` : `"${entry.name}"`;
+  const since = entry.since ? ` since ${entry.since}` : '';
+
+  if (entry.scope === 'everywhere') {
+    const replacement = entry.replacement ? `use "${entry.replacement}" instead` : 'the spec names no replacement yet';
+    return `${subject} is deprecated${since}; ${replacement}.${entry.guidance ? ` ${entry.guidance}` : ''}`;
+  }
+  if (role && !entry.roles.includes(role)) return null;
+
+  if (entry.scope !== 'global') return `${subject} is deprecated on ${role ? `role "${role}"` : `roles ${entry.roles.join(', ')}`}.`;
+  const deprecated = role
+    ? `is deprecated on role "${role}" (deprecated as a global attribute${since})`
+    : `is deprecated as a global attribute${since} (on ${entry.roles.length} roles)`;
+  return `${subject} ${deprecated}; use it only on roles that explicitly support it.`;
+}
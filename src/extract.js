@@ -0,0 +1,378 @@
+// Markup extraction - finds elements and their role/aria-* attributes, with source positions, in HTML, Vue and JSX/TSX files
+//
+// This is a tolerant scanner, not a full parser: it reads start and end tags with their
+// attributes and skips everything else (text, comments, scripts, JavaScript code around JSX).
+// Attribute values that are expressions ({open}, :aria-expanded="open") are marked dynamic,
+// since only their presence, not their value, is known before the code runs.
+
+/**
+ * The syntax a file is scanned with, from its extension
+ */
+export const syntaxes = {
+  '.html': 'html',
+  '.htm': 'html',
+  '.vue': 'vue',
+  '.jsx': 'jsx',
+  '.tsx': 'jsx',
+  '.js': 'jsx',
+};
+
+// Elements whose content is not markup
+const rawTextElements = new Set(['script', 'style', 'textarea', 'title']);
+
+// JSX spells some attributes as DOM properties
+const jsxAttributeNames = { classname: 'class', htmlfor: 'for' };
+
+/**
+ * Line and column (both 1-based) of every offset in a source
+ */
+function positionsOf(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * A Vue binding or JSX expression value when it is a literal (e.g., 'menu', true, 3), otherwise undefined
+ */
+function literalValue(expression) {
+  const text = expression.trim();
+  const quoted = text.match(/^(['"`])([^'"`$\\]*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^(true|false|-?\d+(\.\d+)?)$/.test(text)) return text;
+  return undefined;
+}
+
+/**
+ * Scan HTML markup, or a Vue single-file component's template, into tags
+ */
+function scanMarkup(source, syntax, tags) {
+  let i = 0;
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) break;
+    i = lt;
+
+    if (source.startsWith('<!--', i)) {
+      const end = source.indexOf('-->', i + 4);
+      i = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[i + 1] === '!' || source[i + 1] === '?') {
+      const end = source.indexOf('>', i);
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    const close = source.slice(i).match(/^<\/([A-Za-z][\w.:-]*)[^>]*>/);
+    if (close) {
+      tags.push({ type: 'close', name: close[1] });
+      i += close[0].length;
+      continue;
+    }
+
+    const open = source.slice(i).match(/^<([A-Za-z][\w.:-]*)/);
+    if (!open) {
+      i++;
+      continue;
+    }
+
+    const tag = { type: 'open', name: open[1], offset: i, attributes: [], selfClosing: false };
+    i += open[0].length;
+    while (i < source.length) {
+      const rest = source.slice(i);
+      const space = rest.match(/^\s+/);
+      if (space) {
+        i += space[0].length;
+        continue;
+      }
+      if (rest.startsWith('/>')) {
+        tag.selfClosing = true;
+        i += 2;
+        break;
+      }
+      if (rest[0] === '>') {
+        i++;
+        break;
+      }
+      const attr = rest.match(/^([^\s"'>/=]+|\/)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/);
+      if (!attr) {
+        i++;
+        continue;
+      }
+      if (attr[1] !== '/') {
+        const value = attr[2] ?? attr[3] ?? attr[4];
+        tag.attributes.push(markupAttribute(attr[1], value, syntax, i));
+      }
+      i += attr[0].length;
+    }
+    tags.push(tag);
+
+    const name = tag.name.toLowerCase();
+    if (rawTextElements.has(name) && !tag.selfClosing) {
+      const end = source.toLowerCase().indexOf(`</${name}`, i);
+      i = end === -1 ? source.length : end;
+    }
+  }
+}
+
+/**
+ * An HTML or Vue attribute; Vue bindings (:name, v-bind:name) are dynamic unless their expression is a literal
+ */
+function markupAttribute(rawName, value, syntax, offset) {
+  const binding = syntax === 'vue' && rawName.match(/^(?::|v-bind:)([^.]+)/);
+  if (binding) {
+    const literal = literalValue(value ?? '');
+    return { name: binding[1].toLowerCase(), value: literal ?? '', dynamic: literal === undefined, offset };
+  }
+  if (syntax === 'vue' && /^(v-|@|#)/.test(rawName)) {
+    return { name: rawName, value: value ?? '', directive: true, offset };
+  }
+  return { name: rawName.toLowerCase(), value: value ?? '', dynamic: false, offset };
+}
+
+/**
+ * Scan JavaScript or TypeScript source for JSX elements. Strings, comments and template
+ * literals are skipped; a "<" starts JSX only where an expression can begin.
+ */
+function scanJsx(source, tags) {
+  let i = 0;
+
+  const skipString = (quote) => {
+    i++;
+    while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    i++;
+  };
+
+  const skipTemplate = () => {
+    i++;
+    while (i < source.length && source[i] !== '`') {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source.startsWith('${', i)) {
+        i += 2;
+        scanCode('}');
+      } else {
+        i++;
+      }
+    }
+    i++;
+  };
+
+  // The last significant character (or keyword) before offset decides whether "<" can start JSX
+  const expressionCanStart = (offset) => {
+    let j = offset - 1;
+    while (j >= 0 && /\s/.test(source[j])) j--;
+    if (j < 0) return true;
+    if ('([{,=:?!&|;'.includes(source[j])) return true;
+    if (source[j] === '>' && source[j - 1] === '=') return true;
+    return /(?:^|[^\w$])(return|yield|default|case|else|do|in|of)$/.test(source.slice(Math.max(0, j - 8), j + 1));
+  };
+
+  // Code until the unmatched closing character (e.g., the "}" ending a JSX expression container)
+  function scanCode(end) {
+    let depth = 0;
+    while (i < source.length) {
+      const char = source[i];
+      if (char === end && depth === 0) {
+        i++;
+        return;
+      }
+      if (source.startsWith('//', i)) {
+        const newline = source.indexOf('\n', i);
+        i = newline === -1 ? source.length : newline + 1;
+      } else if (source.startsWith('/*', i)) {
+        const close = source.indexOf('*/', i + 2);
+        i = close === -1 ? source.length : close + 2;
+      } else if (char === '"' || char === "'") {
+        skipString(char);
+      } else if (char === '`') {
+        skipTemplate();
+      } else if (char === '<' && /[A-Za-z>]/.test(source[i + 1] || '') && expressionCanStart(i) && scanElement()) {
+        continue;
+      } else {
+        if (char === '{' || char === '(' || char === '[') depth++;
+        if (char === '}' || char === ')' || char === ']') depth--;
+        i++;
+      }
+    }
+  }
+
+  // A JSX element or fragment starting at "<"; returns false (without moving) when it is not JSX
+  function scanElement() {
+    const start = i;
+    if (source[i + 1] === '>') {
+      i += 2;
+      scanChildren();
+      return true;
+    }
+    const name = source.slice(i + 1).match(/^[A-Za-z_$][\w$.:-]*/)[0];
+    const after = source.slice(i + 1 + name.length).match(/^\s*(\S+)/)?.[1] || '';
+    // TypeScript generics in .tsx (<T,>(x: T) => x, <T extends U>) are not elements
+    if (after.startsWith(',') || after.startsWith('extends')) return false;
+
+    const tag = { type: 'open', name, offset: start, attributes: [], selfClosing: false };
+    i += 1 + name.length;
+    while (i < source.length) {
+      const rest = source.slice(i, i + 2);
+      if (/^\s/.test(rest)) {
+        i++;
+      } else if (rest === '//') {
+        const newline = source.indexOf('\n', i);
+        i = newline === -1 ? source.length : newline + 1;
+      } else if (rest === '/*') {
+        const close = source.indexOf('*/', i + 2);
+        i = close === -1 ? source.length : close + 2;
+      } else if (rest === '/>') {
+        tag.selfClosing = true;
+        i += 2;
+        break;
+      } else if (rest[0] === '>') {
+        i++;
+        break;
+      } else if (rest[0] === '{') {
+        // Spread props ({...props}) may supply any attribute
+        const from = i + 1;
+        i++;
+        scanCode('}');
+        if (/^\s*\.\.\./.test(source.slice(from, i - 1))) tag.spread = true;
+      } else {
+        tag.attributes.push(jsxAttribute());
+      }
+    }
+    tags.push(tag);
+    if (!tag.selfClosing) scanChildren();
+    return true;
+  }
+
+  function jsxAttribute() {
+    const offset = i;
+    const rawName = source.slice(i).match(/^[^\s=/>{]+/)?.[0] || source[i];
+    i += rawName.length;
+    const name = jsxAttributeNames[rawName.toLowerCase()] || rawName.toLowerCase();
+    while (/\s/.test(source[i] || '')) i++;
+    if (source[i] !== '=') {
+      // A bare JSX attribute is true
+      return { name, value: 'true', dynamic: false, offset };
+    }
+    i++;
+    while (/\s/.test(source[i] || '')) i++;
+    const quote = source[i];
+    if (quote === '"' || quote === "'") {
+      const end = source.indexOf(quote, i + 1);
+      const value = source.slice(i + 1, end === -1 ? source.length : end);
+      i = end === -1 ? source.length : end + 1;
+      return { name, value, dynamic: false, offset };
+    }
+    if (quote === '{') {
+      const from = i + 1;
+      i++;
+      scanCode('}');
+      const literal = literalValue(source.slice(from, i - 1));
+      return { name, value: literal ?? '', dynamic: literal === undefined, offset };
+    }
+    if (quote === '<') {
+      scanElement();
+    }
+    return { name, value: '', dynamic: true, offset };
+  }
+
+  // Children until the closing tag of the current element: text, nested elements and {expressions}
+  function scanChildren() {
+    while (i < source.length) {
+      if (source.startsWith('</', i)) {
+        const close = source.slice(i).match(/^<\/\s*([\w$.:-]*)\s*>/);
+        if (close?.[1]) tags.push({ type: 'close', name: close[1] });
+        i += close ? close[0].length : 2;
+        return;
+      }
+      if (source[i] === '<') {
+        if (!scanElement()) i++;
+      } else if (source[i] === '{') {
+        i++;
+        scanCode('}');
+      } else {
+        i++;
+      }
+    }
+  }
+
+  while (i < source.length) {
+    scanCode(null);
+  }
+}
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+/**
+ * Extract the elements of a file. Returns the elements with their source positions, plus
+ * an HTML rendering of just the tags (no text) whose elements carry a data-aria-lint index,
+ * so the audit can check them with their real ancestors and implicit roles.
+ */
+export function extractElements(source, syntax) {
+  const tags = [];
+  if (syntax === 'jsx') {
+    scanJsx(source, tags);
+  } else {
+    scanMarkup(source, syntax, tags);
+  }
+
+  const position = positionsOf(source);
+  const elements = [];
+  const html = [];
+  const open = [];
+  // Components (<Button>, <Menu.Item>) have no native semantics: they render as custom elements
+  const componentTag = (name) => (syntax !== 'html' && /^[A-Z]|\./.test(name)) ? 'aria-lint-component' : name.toLowerCase();
+
+  tags.forEach(tag => {
+    // <template> content is inert in the DOM, and in Vue it is only a wrapper
+    if (tag.name.toLowerCase() === 'template') return;
+    if (tag.type === 'close') {
+      const index = open.lastIndexOf(tag.name);
+      if (index !== -1) {
+        open.splice(index).reverse().forEach(name => html.push(`</${componentTag(name)}>`));
+      }
+      return;
+    }
+
+    const index = elements.length;
+    const attributes = {};
+    tag.attributes.filter(a => !a.directive).forEach(a => {
+      attributes[a.name] = { value: a.value, dynamic: a.dynamic, ...position(a.offset) };
+    });
+    elements.push({
+      name: tag.name,
+      component: componentTag(tag.name) === 'aria-lint-component',
+      attributes,
+      spread: !!tag.spread,
+      ...position(tag.offset),
+    });
+
+    const rendered = Object.entries(attributes)
+      .filter(([name, attr]) => /^[a-z][\w-]*$/.test(name) && !(name === 'role' && attr.dynamic))
+      .map(([name, attr]) => ` ${name}="${escapeAttribute(attr.value)}"`)
+      .join('');
+    html.push(`<${componentTag(tag.name)} data-aria-lint="${index}"${rendered}>`);
+    if (tag.selfClosing) {
+      html.push(`</${componentTag(tag.name)}>`);
+    } else {
+      open.push(tag.name);
+    }
+  });
+
+  open.reverse().forEach(name => html.push(`</${componentTag(name)}>`));
+  return { elements, html: html.join('') };
+}
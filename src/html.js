@@ -0,0 +1,292 @@
+// HTML element semantics - implicit role lookups built on the HTML-AAM mappings in aria-data.json
+import { data, findRole } from './data.js';
+
+/**
+ * Roles that remove an element's semantics
+ */
+export const presentationalRoles = new Set(['none', 'presentation']);
+
+/**
+ * Get the HTML-AAM mappings for an element, most specific first
+ */
+export function getElementMappings(tag) {
+  return data.htmlMappings?.[String(tag || '').toLowerCase().trim()]?.mappings || [];
+}
+
+/**
+ * Check one attribute condition against an actual attribute value (undefined when absent).
+ * true = present, false = absent, array = one of the listed values, { min } = numeric lower bound
+ */
+function matchesAttribute(expected, actual) {
+  if (expected === true) return actual !== undefined;
+  if (expected === false) return actual === undefined;
+  if (Array.isArray(expected)) {
+    return actual !== undefined && expected.includes(String(actual).trim().toLowerCase());
+  }
+  if (expected && typeof expected === 'object' && expected.min !== undefined) {
+    return actual !== undefined && Number(actual) >= expected.min;
+  }
+  return false;
+}
+
+/**
+ * Normalize attribute values the way the browser would before mapping
+ * (e.g., an input with a missing or unknown type is a text input)
+ */
+function normalizeAttributes(tag, attributes) {
+  const attrs = {};
+  Object.entries(attributes || {}).forEach(([name, value]) => {
+    if (value === false || value === null || value === undefined) return;
+    attrs[name.toLowerCase()] = value === true ? '' : String(value);
+  });
+
+  if (tag === 'input') {
+    const knownTypes = new Set(getElementMappings('input').flatMap(m => m.attributes?.type || []));
+    const type = (attrs.type || '').trim().toLowerCase();
+    attrs.type = knownTypes.has(type) ? type : 'text';
+  }
+
+  return attrs;
+}
+
+/**
+ * Find the HTML-AAM mapping that applies to an element.
+ * context.ancestors lists ancestor elements (nearest first) as { tag, role } objects;
+ * context.hasAccessibleName overrides the name check used by section and aside.
+ */
+export function matchHtmlMapping(tag, attributes = {}, context = {}) {
+  const element = String(tag || '').toLowerCase().trim();
+  const attrs = normalizeAttributes(element, attributes);
+  const ancestors = context.ancestors || [];
+  const hasAccessibleName = context.hasAccessibleName ??
+    ['aria-label', 'aria-labelledby', 'title'].some(a => attrs[a]?.trim());
+
+  return getElementMappings(element).find(mapping => {
+    const attrsMatch = Object.entries(mapping.attributes || {})
+      .every(([name, expected]) => matchesAttribute(expected, attrs[name]));
+    if (!attrsMatch) return false;
+
+    if (mapping.attributesAny && !Object.entries(mapping.attributesAny)
+      .some(([name, expected]) => matchesAttribute(expected, attrs[name]))) {
+      return false;
+    }
+
+    if (mapping.insideAny && !ancestors.some(a => mapping.insideAny.includes(a.tag))) return false;
+    if (mapping.notInside && ancestors.some(a => mapping.notInside.includes(a.tag))) return false;
+    if (mapping.ancestorRole && !ancestors.some(a => mapping.ancestorRole.includes(a.role))) return false;
+    if (mapping.accessibleName !== undefined && mapping.accessibleName !== hasAccessibleName) return false;
+
+    return true;
+  }) || null;
+}
+
+/**
+ * Collect tag, attributes and ancestor context for a parsed DOM element
+ */
+export function getElementContext(el) {
+  const attributes = {};
+  for (const attr of el.attributes) {
+    attributes[attr.name.toLowerCase()] = attr.value;
+  }
+
+  const ancestors = [];
+  for (let node = el.parentElement; node; node = node.parentElement) {
+    ancestors.push({
+      tag: node.localName,
+      role: (node.getAttribute('role') || '').trim().toLowerCase().split(/\s+/)[0] || null,
+    });
+  }
+
+  return { tag: el.localName, attributes, ancestors };
+}
+
+/**
+ * Get the HTML-AAM mapping for a parsed DOM element
+ */
+export function getImplicitMapping(el) {
+  const { tag, attributes, ancestors } = getElementContext(el);
+  return matchHtmlMapping(tag, attributes, { ancestors });
+}
+
+/**
+ * The element to recommend first when HTML has several with the same implicit role:
+ * the everyday control or container rather than a specialized one (an email input, a
+ * <textarea>, <menu>, <address>) or one that is only a data source
+ */
+const preferredNativeElements = {
+  textbox: '<input type="text">',
+  listbox: '<select multiple>',
+  list: '<ul>',
+  group: '<fieldset>',
+  generic: '<div>',
+};
+
+// Elements that only supply data to other controls and are never rendered themselves
+const dataSourceElements = new Set(['datalist']);
+
+/**
+ * HTML elements whose implicit role is the given role, as markup (e.g., <input type="checkbox">,
+ * <select multiple>) with their remaining conditions. Ranked for recommending: the preferred
+ * element first, then elements that need no conditions, data-only elements such as <datalist> last.
+ */
+export function nativeElementsFor(roleName) {
+  const found = new Map();
+  Object.values(data.htmlMappings || {})
+    .flatMap(entry => entry.mappings || [])
+    .filter(mapping => mapping.implicitRole === roleName)
+    .forEach(mapping => {
+      const attributes = Object.entries(mapping.attributes || {})
+        .filter(([, expected]) => expected === true || (Array.isArray(expected) && expected.length === 1))
+        .map(([name, expected]) => expected === true ? ` ${name}` : ` ${name}="${expected[0]}"`)
+        .join('');
+      // Of alternative conditions (e.g., select with multiple or size >= 2), show a boolean one
+      const anyOf = Object.entries(mapping.attributesAny || {}).find(([, expected]) => expected === true)?.[0];
+      const markup = `<${mapping.element}${attributes}${anyOf ? ` ${anyOf}` : ''}>`;
+      const conditions = describeMappingConditions(mapping);
+      const existing = found.get(markup);
+      if (!existing || conditions.length < existing.conditions.length) {
+        found.set(markup, { element: mapping.element, markup, conditions });
+      }
+    });
+
+  const rank = ({ element, markup }) => {
+    if (markup === preferredNativeElements[roleName]) return 0;
+    return dataSourceElements.has(element) ? 2 : 1;
+  };
+  return [...found.values()].sort((a, b) => rank(a) - rank(b) || a.conditions.length - b.conditions.length);
+}
+
+/**
+ * Describe a mapping's conditions in plain words
+ */
+export function describeMappingConditions(mapping) {
+  const parts = [];
+
+  Object.entries(mapping.attributes || {}).forEach(([name, expected]) => {
+    if (expected === true) parts.push(`has \`${name}\``);
+    else if (expected === false) parts.push(`no \`${name}\``);
+    else if (Array.isArray(expected)) parts.push(`\`${name}\` is ${expected.map(v => `"${v}"`).join(' or ')}`);
+  });
+
+  if (mapping.attributesAny) {
+    parts.push(Object.entries(mapping.attributesAny)
+      .map(([name, expected]) => expected.min !== undefined ? `\`${name}\` >= ${expected.min}` : `has \`${name}\``)
+      .join(' or '));
+  }
+
+  if (mapping.insideAny) parts.push(`inside ${mapping.insideAny.join('/')}`);
+  if (mapping.notInside) parts.push(`not inside ${mapping.notInside.join('/')}`);
+  if (mapping.ancestorRole) parts.push(`inside role ${mapping.ancestorRole.join('/')}`);
+  if (mapping.accessibleName !== undefined) {
+    parts.push(mapping.accessibleName ? 'has an accessible name' : 'has no accessible name');
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Resolve a role attribute value the way user agents do: the first token that is a known,
+ * non-abstract role wins and later tokens are unused fallbacks; with no usable token the
+ * implicit role applies. role="none"/"presentation" is ignored, and the implicit role exposed,
+ * when the element is focusable or has global ARIA attributes.
+ */
+export function resolveRoleAttribute(value, { implicitRole = null, focusable = false, globalAttributes = [] } = {}) {
+  const tokens = String(value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const skipped = [];
+  let explicitRole = null;
+  let index = -1;
+
+  for (const [i, token] of tokens.entries()) {
+    const role = findRole(token);
+    if (role && !role.isAbstract) {
+      explicitRole = role.name;
+      index = i;
+      break;
+    }
+    skipped.push({ token, reason: role ? 'abstract' : 'unknown' });
+  }
+
+  let presentational = null;
+  if (presentationalRoles.has(explicitRole)) {
+    const reasons = [
+      ...(focusable ? ['the element is focusable'] : []),
+      ...(globalAttributes.length ? [`it has global ARIA attributes (${globalAttributes.join(', ')})`] : []),
+    ];
+    presentational = { role: explicitRole, ignored: reasons.length > 0, reasons };
+  }
+
+  let role = explicitRole || implicitRole;
+  let source = explicitRole ? (index === 0 ? 'explicit' : 'fallback') : implicitRole ? 'implicit' : 'none';
+  if (presentational?.ignored) {
+    role = implicitRole;
+    source = 'implicit';
+  }
+
+  return {
+    tokens,
+    role,
+    source,
+    explicitRole,
+    implicitRole,
+    skipped,
+    unusedFallbacks: index === -1 ? [] : tokens.slice(index + 1),
+    presentational,
+  };
+}
+
+/**
+ * Check an element's role and aria-* attributes against the ARIA in HTML rules.
+ * Returns the matched mapping, the effective role and a list of issues.
+ */
+export function checkElementConformance(tag, attributes = {}, context = {}) {
+  const element = String(tag || '').toLowerCase().trim();
+  const mapping = matchHtmlMapping(element, attributes, context);
+  const rules = data.htmlAriaRules?.elements?.[mapping?.id] || {};
+  const allowedRoles = mapping?.allowedRoles ?? 'any';
+  const implicitRole = mapping?.implicitRole || null;
+  const issues = [];
+  let effectiveRole = implicitRole;
+
+  const attrs = {};
+  Object.entries(attributes || {}).forEach(([name, value]) => {
+    if (value === false || value === null || value === undefined) return;
+    attrs[name.toLowerCase()] = value === true ? '' : String(value);
+  });
+
+  // The first known, non-abstract token is the role that applies; unknown and abstract
+  // tokens before it are skipped, the same way resolve-role treats fallback lists
+  const resolved = resolveRoleAttribute(attrs.role, { implicitRole });
+  const roleToken = resolved.explicitRole || resolved.tokens[0];
+  if (roleToken) {
+    if (roleToken === implicitRole) {
+      issues.push({ severity: 'warning', rule: 'redundant-role', message: `role="${roleToken}" is redundant: <${element}> already has this implicit role` });
+    } else if (allowedRoles !== 'any' && !allowedRoles.includes(roleToken)) {
+      issues.push({ severity: 'error', rule: 'role-not-allowed', message: `role="${roleToken}" is not allowed on <${element}>${mapping?.condition ? ` (${mapping.condition})` : ''}` });
+    }
+    if (resolved.explicitRole) {
+      effectiveRole = resolved.explicitRole;
+    }
+  }
+
+  Object.entries(attrs)
+    .filter(([name]) => name.startsWith('aria-'))
+    .forEach(([name, value]) => {
+      if (rules.ariaAttributes === 'none') {
+        issues.push({ severity: 'error', rule: 'aria-not-allowed', attribute: name, message: `<${element}> must not have any aria-* attributes` });
+      } else if (Array.isArray(rules.ariaAttributes) && !rules.ariaAttributes.includes(name)) {
+        issues.push({ severity: 'error', rule: 'aria-not-allowed', attribute: name, message: `"${name}" is not allowed on <${element}>; only ${rules.ariaAttributes.join(', ')} may be used` });
+      } else if (rules.disallowed?.includes(name)) {
+        issues.push({ severity: 'error', rule: 'aria-not-allowed', attribute: name, message: `"${name}" must not be used on <${element}>${mapping?.condition ? ` (${mapping.condition})` : ''}` });
+      } else if (rules.disallowedValues?.[name]?.includes(value.trim().toLowerCase())) {
+        issues.push({ severity: 'error', rule: 'aria-value-not-allowed', attribute: name, message: `${name}="${value}" must not be used on <${element}>` });
+      }
+
+      (data.htmlAriaRules?.nativeAttributeConflicts || [])
+        .filter(c => c.ariaAttribute === name && attrs[c.attribute] !== undefined)
+        .forEach(c => {
+          issues.push({ severity: 'warning', rule: 'native-attribute-conflict', attribute: name, message: `"${name}" should not be used together with the native \`${c.attribute}\` attribute; use \`${c.attribute}\` alone` });
+        });
+    });
+
+  return { element, mapping, implicitRole, effectiveRole, allowedRoles, rules, issues };
+}
@@ -0,0 +1,230 @@
+// Streamable HTTP server - serves the MCP server over HTTP with sessions, SSE streaming and a health endpoint
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, healthStatus } from './server.js';
+import { log } from './log.js';
+
+const mcpPath = '/mcp';
+const healthPath = '/health';
+// Larger bodies are refused before parsing; audit-html markup is the biggest legitimate input
+const maxBodyBytes = 4 * 1024 * 1024;
+// Sessions a client abandons without DELETE are closed after this long with no requests,
+// and the least recently used session is closed when a new one would exceed the limit
+const defaultSessionTimeoutMs = 30 * 60 * 1000;
+const defaultMaxSessions = 1000;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+};
+
+/**
+ * Thrown for a request body that is too large or not JSON
+ */
+class RequestBodyError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'RequestBodyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Write a JSON-RPC error with no request id, as the SDK transport does for transport-level failures
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodyBytes) {
+      throw new RequestBodyError(`Request body exceeds ${maxBodyBytes} bytes`, 413, -32600);
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new RequestBodyError(`Parse error: ${error.message}`, 400, -32700);
+  }
+}
+
+/**
+ * Whether a POST body opens a session: an initialize request, alone or in a batch
+ */
+function opensSession(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+/**
+ * Start the Streamable HTTP server. Every initialize request opens a session with its own
+ * MCP server and transport; later requests carry the issued Mcp-Session-Id header, GET opens
+ * the session's SSE stream and DELETE ends it. Sessions idle for sessionTimeoutMs (with no
+ * open request or stream) are closed, as is the least recently used one beyond maxSessions.
+ */
+export async function startHttpServer({
+  port = 3000,
+  host = '127.0.0.1',
+  sessionTimeoutMs = defaultSessionTimeoutMs,
+  maxSessions = defaultMaxSessions,
+} = {}) {
+  const sessions = new Map();
+  // Per session: when its last request ended and how many of its requests are still open
+  const activity = new Map();
+  // Browsers on other sites can reach a loopback server, so check the Host header there
+  const loopback = ['127.0.0.1', 'localhost', '::1'].includes(host);
+  const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`];
+
+  const openSession = async () => {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, transport);
+        activity.set(sessionId, { lastActive: Date.now(), open: 0 });
+        log.debug(`Session ${sessionId} opened`);
+      },
+      enableDnsRebindingProtection: loopback,
+      allowedHosts: loopback ? allowedHosts : undefined,
+    });
+    transport.onclose = () => {
+      activity.delete(transport.sessionId);
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        log.debug(`Session ${transport.sessionId} closed`);
+      }
+    };
+    await createServer().connect(transport);
+    return transport;
+  };
+
+  const evict = (sessionId, reason) => {
+    const transport = sessions.get(sessionId);
+    if (!transport) return Promise.resolve();
+    log.debug(`Session ${sessionId} ${reason}; closing it`);
+    sessions.delete(sessionId);
+    activity.delete(sessionId);
+    return transport.close().catch(error => log.warn(`Could not close session ${sessionId}: ${error.message}`));
+  };
+
+  // Close sessions nothing has used for sessionTimeoutMs; an open SSE stream keeps a session alive
+  const sweepIdleSessions = () => {
+    const cutoff = Date.now() - sessionTimeoutMs;
+    activity.forEach(({ lastActive, open }, sessionId) => {
+      if (!open && lastActive < cutoff) evict(sessionId, `idle for ${Math.round(sessionTimeoutMs / 1000)}s`);
+    });
+  };
+  const sweepTimer = setInterval(sweepIdleSessions, Math.min(sessionTimeoutMs, 60 * 1000));
+  sweepTimer.unref();
+
+  // Make room for a new session by closing the least recently used idle ones (any, if none is idle)
+  const makeRoom = async () => {
+    const excess = sessions.size - maxSessions + 1;
+    if (excess <= 0) return;
+    const byAge = [...activity.entries()]
+      .sort(([, a], [, b]) => (a.open > 0) - (b.open > 0) || a.lastActive - b.lastActive)
+      .slice(0, excess);
+    await Promise.all(byAge.map(([sessionId]) => evict(sessionId, `evicted to stay within ${maxSessions} sessions`)));
+  };
+
+  // Count a request as open until its response ends, so long-lived SSE streams are not idle
+  const trackRequest = (sessionId, res) => {
+    const entry = activity.get(sessionId);
+    if (!entry) return;
+    entry.open += 1;
+    entry.lastActive = Date.now();
+    res.once('close', () => {
+      entry.open -= 1;
+      entry.lastActive = Date.now();
+    });
+  };
+
+  const handleMcpRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const transport = sessionId && sessions.get(sessionId);
+    if (transport) trackRequest(sessionId, res);
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      if (transport) {
+        return transport.handleRequest(req, res, body);
+      }
+      if (sessionId) {
+        return sendJsonRpcError(res, 404, -32001, 'Session not found');
+      }
+      if (!opensSession(body)) {
+        return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      }
+      await makeRoom();
+      return (await openSession()).handleRequest(req, res, body);
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (transport) {
+        return transport.handleRequest(req, res);
+      }
+      return sessionId
+        ? sendJsonRpcError(res, 404, -32001, 'Session not found')
+        : sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE, OPTIONS');
+    return sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+  };
+
+  const httpServer = createHttpServer(async (req, res) => {
+    Object.entries(corsHeaders).forEach(([name, value]) => res.setHeader(name, value));
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+      } else if (pathname === healthPath && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+          .end(JSON.stringify(healthStatus({ transport: 'streamable-http', sessions: sessions.size })));
+      } else if (pathname === mcpPath) {
+        await handleMcpRequest(req, res);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' })
+          .end(JSON.stringify({ error: `Not found: ${pathname}. MCP is served at ${mcpPath}` }));
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+      } else if (error instanceof RequestBodyError) {
+        sendJsonRpcError(res, error.status, error.code, error.message);
+      } else {
+        log.error('Error handling MCP request:', error);
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const close = async () => {
+    clearInterval(sweepTimer);
+    await Promise.all([...sessions.values()].map(transport => transport.close()));
+    sessions.clear();
+    await new Promise(resolve => httpServer.close(resolve));
+  };
+
+  return { httpServer, sessions, close };
+}
@@ -1,61 +1,19 @@
 #!/usr/bin/env node
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { tools } from './tools.js';
+import { run } from './cli.js';
 
 /**
- * Create and configure the MCP server for local (stdio) use
+ * Start the MCP server, or run a command and exit with its status (see aria-mcp --help)
  */
-const server = new Server(
-  {
-    name: 'aria-mcp',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
-
-/**
- * Handler for listing available tools
- */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: tools.map(tool => ({
-      name: tool.name,
-      description: tool.description,
-      inputSchema: tool.inputSchema
-    }))
-  };
-});
-
-/**
- * Handler for calling tools
- */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const tool = tools.find(t => t.name === request.params.name);
-  
-  if (!tool) {
-    throw new Error(`Unknown tool: ${request.params.name}`);
-  }
-  
-  // Execute tool handler
-  return await tool.handler(request.params.arguments);
-});
-
-/**
- * Start the server with stdio transport
- */
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('aria-mcp MCP server running on stdio');
-}
-
-main().catch((error) => {
-  console.error('Fatal error in main():', error);
-  process.exit(1);
-});
+run(process.argv.slice(2))
+  .then((status) => {
+    if (status !== undefined) process.exitCode = status;
+  })
+  .catch((error) => {
+    if (error.exitCode) {
+      console.error(`aria-mcp: ${error.message}`);
+      process.exitCode = error.exitCode;
+      return;
+    }
+    console.error('Fatal error in main():', error);
+    process.exit(1);
+  });
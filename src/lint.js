@@ -0,0 +1,359 @@
+// ARIA linter - checks role and aria-* usage in HTML, Vue and JSX/TSX files, with inline disable comments, rule severities and SARIF output
+import fs from 'node:fs';
+import path from 'node:path';
+import { data } from './data.js';
+import { auditElement, parseFragment } from './audit.js';
+import { extractElements, syntaxes } from './extract.js';
+import { closestMatches, didYouMean } from './search.js';
+
+/**
+ * Every rule the linter reports, with its default severity and which spec it comes from
+ */
+export const lintRules = {
+  'empty-role': { severity: 'error', spec: 'aria', description: 'The role attribute must name a role' },
+  'unknown-role': { severity: 'error', spec: 'aria', description: 'Roles must be defined in WAI-ARIA, DPUB-ARIA or Graphics-ARIA' },
+  'abstract-role': { severity: 'error', spec: 'aria', description: 'Abstract roles must not be used in content' },
+  'unknown-attribute': { severity: 'error', spec: 'aria', description: 'aria-* attributes must be defined states or properties' },
+  'unsupported-attribute': { severity: 'error', spec: 'aria', description: 'aria-* attributes must be supported by the element\'s role' },
+  'prohibited-attribute': { severity: 'error', spec: 'aria', description: 'aria-* attributes must not be prohibited on the element\'s role' },
+  'deprecated-attribute': { severity: 'warning', spec: 'aria', description: 'aria-* attributes should not be deprecated on the element\'s role' },
+  'invalid-value': { severity: 'error', spec: 'aria', description: 'aria-* attribute values must be valid for their value type' },
+  'missing-required-attribute': { severity: 'error', spec: 'aria', description: 'Roles must have their required states and properties' },
+  'missing-id-reference': { severity: 'warning', spec: 'aria', description: 'ID references should point to elements in the same file' },
+  'role-not-allowed': { severity: 'error', spec: 'html-aria', description: 'Roles must be allowed on the element' },
+  'redundant-role': { severity: 'warning', spec: 'html-aria', description: 'Roles should not repeat the element\'s implicit role' },
+  'aria-not-allowed': { severity: 'error', spec: 'html-aria', description: 'aria-* attributes must be allowed on the element' },
+  'aria-value-not-allowed': { severity: 'error', spec: 'html-aria', description: 'aria-* attribute values must be allowed on the element' },
+  'native-attribute-conflict': { severity: 'warning', spec: 'html-aria', description: 'aria-* attributes should not duplicate a native attribute' },
+};
+
+// Checks that need an attribute's value, or the element's explicit role, before the code runs
+const valueRules = new Set(['invalid-value', 'aria-value-not-allowed', 'missing-id-reference']);
+const roleRules = new Set([
+  'unsupported-attribute',
+  'prohibited-attribute',
+  'deprecated-attribute',
+  'missing-required-attribute',
+  'role-not-allowed',
+  'redundant-role',
+]);
+
+const severityNames = { off: 'off', 0: 'off', warn: 'warning', warning: 'warning', 1: 'warning', error: 'error', 2: 'error' };
+
+/**
+ * Config files looked for in the working directory when --config is not given
+ */
+export const configFiles = ['.aria-lintrc.json', 'aria-lint.config.json'];
+
+/**
+ * Thrown for an unreadable or invalid lint config
+ */
+export class LintConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LintConfigError';
+  }
+}
+
+/**
+ * Load the lint config: { rules: { "rule-id": "off" | "warning" | "error" }, ignore: ["glob", ...] }
+ */
+export function loadLintConfig(file, cwd = process.cwd()) {
+  const configPath = file
+    ? path.resolve(cwd, file)
+    : configFiles.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate));
+  if (!configPath) return { rules: {}, ignore: [] };
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new LintConfigError(`Could not load ${configPath}: ${error.message}`);
+  }
+
+  const rules = {};
+  Object.entries(config.rules || {}).forEach(([id, setting]) => {
+    if (!lintRules[id]) {
+      throw new LintConfigError(`Unknown rule "${id}" in ${configPath}.${didYouMean(closestMatches(id, Object.keys(lintRules), { limit: 3 }))}`);
+    }
+    const severity = severityNames[String(setting).toLowerCase()];
+    if (!severity) {
+      throw new LintConfigError(`Invalid severity "${setting}" for ${id} in ${configPath}. Use off, warning or error`);
+    }
+    rules[id] = severity;
+  });
+  return { rules, ignore: [].concat(config.ignore || []), path: configPath };
+}
+
+/**
+ * Inline disable comments, in any comment syntax:
+ *   aria-lint-disable-next-line [rules]   the next line
+ *   aria-lint-disable-line [rules]        this line
+ *   aria-lint-disable [rules] ... aria-lint-enable [rules]   a block of lines
+ * Without rule ids a directive covers every rule; text after "--" is a reason and is ignored.
+ */
+function parseDirectives(source) {
+  const lineRules = new Map();
+  const blocks = [];
+  const open = [];
+  const cover = (line, rules) => {
+    if (!lineRules.has(line)) lineRules.set(line, []);
+    lineRules.get(line).push(rules);
+  };
+
+  source.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    for (const match of text.matchAll(/aria-lint-(disable-next-line|disable-line|disable|enable)\b(.*?)(?=\*\/|-->|\}|$)/g)) {
+      const ids = match[2].split('--')[0].split(/[\s,]+/).filter(Boolean);
+      const rules = ids.length ? new Set(ids) : null;
+      if (match[1] === 'disable-next-line') {
+        cover(line + 1, rules);
+      } else if (match[1] === 'disable-line') {
+        cover(line, rules);
+      } else if (match[1] === 'disable') {
+        open.push({ from: line, rules });
+      } else {
+        // enable closes the blocks it names, or every open block
+        for (let i = open.length - 1; i >= 0; i--) {
+          if (!rules || (open[i].rules && [...open[i].rules].every(id => rules.has(id)))) {
+            blocks.push({ ...open[i], to: line });
+            open.splice(i, 1);
+          }
+        }
+      }
+    }
+  });
+  open.forEach(block => blocks.push({ ...block, to: Infinity }));
+
+  const covers = (rules, id) => !rules || rules.has(id);
+  return {
+    suppresses: (id, lines) => lines.some(line =>
+      (lineRules.get(line) || []).some(rules => covers(rules, id)) ||
+      blocks.some(block => line >= block.from && line <= block.to && covers(block.rules, id))
+    ),
+  };
+}
+
+/**
+ * Short label for an element in lint messages (e.g., <div role="tab">, <Button>)
+ */
+function describeSourceElement(element) {
+  const role = element.attributes.role;
+  if (!role) return `<${element.name}>`;
+  return role.dynamic ? `<${element.name} role={…}>` : `<${element.name} role="${role.value}">`;
+}
+
+/**
+ * Lint one file's source. Returns its messages sorted by position.
+ */
+export function lintSource(source, { syntax = 'html', rules = {} } = {}) {
+  const { elements, html } = extractElements(source, syntax);
+  const document = parseFragment(html);
+  const directives = parseDirectives(source);
+  const messages = [];
+  // An id only known at runtime (id={useId()}, :id="labelId") may be the one a reference points to
+  const runtimeIds = elements.some(element => element.attributes.id?.dynamic);
+
+  for (const el of document.body.querySelectorAll('[data-aria-lint]')) {
+    const element = elements[Number(el.getAttribute('data-aria-lint'))];
+    const names = Object.keys(element.attributes);
+    if (!names.some(name => name === 'role' || name.startsWith('aria-'))) continue;
+    const roleDynamic = !!element.attributes.role?.dynamic;
+
+    auditElement(el, document).issues.forEach(issue => {
+      const attribute = issue.attribute && element.attributes[issue.attribute];
+      if (attribute?.dynamic && valueRules.has(issue.rule)) return;
+      if (roleDynamic && roleRules.has(issue.rule)) return;
+      // Spread props may supply the required attributes
+      if (element.spread && issue.rule === 'missing-required-attribute') return;
+      if (runtimeIds && issue.rule === 'missing-id-reference') return;
+
+      const severity = rules[issue.rule] || lintRules[issue.rule]?.severity || issue.severity;
+      if (severity === 'off') return;
+      const at = attribute || (/role/.test(issue.rule) && element.attributes.role) || element;
+      if (directives.suppresses(issue.rule, [...new Set([at.line, element.line])])) return;
+
+      messages.push({
+        ruleId: issue.rule,
+        severity,
+        message: issue.message,
+        line: at.line,
+        column: at.column,
+        element: describeSourceElement(element),
+        ...(issue.attribute && { attribute: issue.attribute }),
+      });
+    });
+  }
+
+  return messages.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Convert a glob (**, *, ?, {a,b}) to a regular expression over forward-slash paths
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (glob.startsWith('**/', i)) {
+      pattern += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      pattern += '.*';
+      i += 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        pattern += '\\{';
+      } else {
+        pattern += `(?:${glob.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+        i = end;
+      }
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+// Directories never worth linting
+const skippedDirectories = new Set(['node_modules', '.git']);
+
+/**
+ * Every lintable file under a directory, as paths relative to cwd
+ */
+function walk(dir, cwd, found = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.resolve(cwd, dir), { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  entries.forEach(entry => {
+    const relative = dir === '.' ? entry.name : path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!skippedDirectories.has(entry.name)) walk(relative, cwd, found);
+    } else if (syntaxes[path.extname(entry.name).toLowerCase()]) {
+      found.push(relative);
+    }
+  });
+  return found;
+}
+
+const toSlashes = (file) => file.split(path.sep).join('/');
+
+/**
+ * Expand file paths, directories and globs (e.g., "src/**\/*.tsx") to the files to lint
+ */
+export function expandFiles(patterns, { cwd = process.cwd(), ignore = [] } = {}) {
+  const ignored = ignore.map(globToRegExp);
+  const files = new Set();
+
+  patterns.forEach(pattern => {
+    const normalized = toSlashes(pattern).replace(/^\.\//, '');
+    if (!/[*?{]/.test(normalized)) {
+      const stat = fs.statSync(path.resolve(cwd, pattern), { throwIfNoEntry: false });
+      if (!stat) throw new LintConfigError(`No such file or directory: ${pattern}`);
+      if (stat.isDirectory()) walk(pattern, cwd).forEach(file => files.add(file));
+      else files.add(path.normalize(pattern));
+      return;
+    }
+    // Walk from the longest directory prefix without glob characters
+    const base = normalized.split('/').filter((_, i, parts) => !parts.slice(0, i + 1).some(p => /[*?{]/.test(p))).join('/') || '.';
+    const matcher = globToRegExp(normalized);
+    walk(base, cwd)
+      .filter(file => matcher.test(toSlashes(file)))
+      .forEach(file => files.add(file));
+  });
+
+  return [...files]
+    .filter(file => !ignored.some(matcher => matcher.test(toSlashes(file))))
+    .sort();
+}
+
+/**
+ * Lint files, directories or globs. Returns the messages per file and the totals.
+ */
+export function lintFiles(patterns, { cwd = process.cwd(), config = { rules: {}, ignore: [] } } = {}) {
+  const files = expandFiles(patterns, { cwd, ignore: config.ignore });
+  const results = files.map(file => {
+    const syntax = syntaxes[path.extname(file).toLowerCase()] || 'html';
+    const messages = lintSource(fs.readFileSync(path.resolve(cwd, file), 'utf-8'), { syntax, rules: config.rules });
+    return {
+      file,
+      errorCount: messages.filter(m => m.severity === 'error').length,
+      warningCount: messages.filter(m => m.severity === 'warning').length,
+      messages,
+    };
+  });
+
+  return {
+    results,
+    errorCount: results.reduce((n, r) => n + r.errorCount, 0),
+    warningCount: results.reduce((n, r) => n + r.warningCount, 0),
+  };
+}
+
+/**
+ * Terminal output: messages grouped by file, then a summary line
+ */
+export function formatStylish(report) {
+  const sections = report.results
+    .filter(result => result.messages.length)
+    .map(result => {
+      const rows = result.messages.map(m => [`${m.line}:${m.column}`, m.severity, m.message, m.ruleId]);
+      const widths = [0, 1].map(col => Math.max(...rows.map(row => row[col].length)));
+      return `${toSlashes(result.file)}\n${rows.map(row => `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}  ${row[3]}`).join('\n')}`;
+    });
+
+  const total = report.errorCount + report.warningCount;
+  if (!total) {
+    return `✔ No ARIA problems in ${report.results.length} file(s)`;
+  }
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return `${sections.join('\n\n')}\n\n✖ ${plural(total, 'problem')} (${plural(report.errorCount, 'error')}, ${plural(report.warningCount, 'warning')})`;
+}
+
+/**
+ * SARIF 2.1.0 log, for code scanning in CI (e.g., GitHub code scanning)
+ */
+export function formatSarif(report, { name = 'aria-mcp', version, informationUri } = {}) {
+  const ids = Object.keys(lintRules);
+  const specUrls = { aria: data.metadata.specUrl, 'html-aria': data.htmlAriaRules?.specUrl };
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name,
+          ...(version && { version }),
+          ...(informationUri && { informationUri }),
+          rules: ids.map(id => ({
+            id,
+            shortDescription: { text: lintRules[id].description },
+            ...(specUrls[lintRules[id].spec] && { helpUri: specUrls[lintRules[id].spec] }),
+            defaultConfiguration: { level: lintRules[id].severity },
+          })),
+        },
+      },
+      results: report.results.flatMap(result => result.messages.map(m => ({
+        ruleId: m.ruleId,
+        ruleIndex: ids.indexOf(m.ruleId),
+        level: m.severity,
+        message: { text: `${m.element}: ${m.message}` },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: toSlashes(result.file), uriBaseId: '%SRCROOT%' },
+            region: { startLine: m.line, startColumn: m.column },
+          },
+        }],
+      }))),
+    }],
+  };
+}
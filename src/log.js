@@ -0,0 +1,25 @@
+// Logging - leveled diagnostics on stderr, which stays clear of the stdio transport on stdout
+export const logLevels = ['debug', 'info', 'warn', 'error', 'silent'];
+
+let threshold = logLevels.indexOf('info');
+
+/**
+ * Only log messages at or above this level (e.g., --log-level warn)
+ */
+export function setLogLevel(level) {
+  if (!logLevels.includes(level)) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${logLevels.join(', ')}`);
+  }
+  threshold = logLevels.indexOf(level);
+}
+
+const write = (level) => (...args) => {
+  if (logLevels.indexOf(level) >= threshold) console.error(...args);
+};
+
+export const log = {
+  debug: write('debug'),
+  info: write('info'),
+  warn: write('warn'),
+  error: write('error'),
+};
@@ -0,0 +1,183 @@
+// Role ontology - the superclass/subclass graph of every role, its paths and diagram exports
+import { synonymOf } from './categories.js';
+
+/**
+ * Build the role ontology as a DAG: each role's superclasses and subclasses, combining
+ * superclassRoles with subclassRoles so either side of the spec's tables is enough.
+ * Roles with several superclasses (e.g., treegrid: grid and tree) keep all of them, and
+ * synonym-only records (img, presentation) take the superclasses of the role they stand for.
+ */
+export function buildOntology(roles) {
+  const parents = new Map(Object.keys(roles).map(name => [name, new Set()]));
+  const children = new Map(Object.keys(roles).map(name => [name, new Set()]));
+  const link = (parent, child) => {
+    if (!roles[parent] || !roles[child] || parent === child) return;
+    parents.get(child).add(parent);
+    children.get(parent).add(child);
+  };
+
+  Object.values(roles).forEach(role => {
+    const synonym = roles[synonymOf(role, roles)];
+    (role.superclassRoles?.length ? role.superclassRoles : synonym?.superclassRoles || []).forEach(parent => link(parent, role.name));
+    (role.subclassRoles || []).forEach(child => link(role.name, child));
+  });
+
+  const sorted = map => new Map([...map].map(([name, set]) => [name, [...set].sort()]));
+  return { roles, parents: sorted(parents), children: sorted(children) };
+}
+
+/**
+ * Every inheritance path from a root role (roletype) down to the role, each root first
+ */
+export function ancestorPaths(ontology, name, visiting = new Set()) {
+  const parents = ontology.parents.get(name) || [];
+  if (!parents.length || visiting.has(name)) return [[name]];
+  visiting.add(name);
+  const paths = parents.flatMap(parent => ancestorPaths(ontology, parent, visiting).map(path => [...path, name]));
+  visiting.delete(name);
+  return paths;
+}
+
+/**
+ * Every ancestor of a role, nearest first (breadth-first over all superclasses)
+ */
+export function ancestorsOf(ontology, name) {
+  return walk(ontology.parents, name);
+}
+
+/**
+ * Every descendant of a role, nearest first (breadth-first over all subclasses)
+ */
+export function descendantsOf(ontology, name) {
+  return walk(ontology.children, name);
+}
+
+/**
+ * Breadth-first walk from a role along one edge direction, excluding the role itself
+ */
+function walk(edges, name) {
+  const seen = new Set([name]);
+  const queue = [name];
+  while (queue.length) {
+    (edges.get(queue.shift()) || []).forEach(next => {
+      if (seen.has(next)) return;
+      seen.add(next);
+      queue.push(next);
+    });
+  }
+  seen.delete(name);
+  return [...seen];
+}
+
+/**
+ * The subclass tree under a role as nested { name, children }. A role with several
+ * superclasses appears under each of them; its subtree is only expanded once (later
+ * occurrences are marked `repeated`) so the tree stays the size of the ontology.
+ */
+export function descendantTree(ontology, name, expanded = new Set()) {
+  if (expanded.has(name)) return { name, repeated: true, children: [] };
+  expanded.add(name);
+  return {
+    name,
+    children: (ontology.children.get(name) || []).map(child => descendantTree(ontology, child, expanded)),
+  };
+}
+
+/**
+ * Breadth-first distances from a role up to each of its ancestors (the role itself at 0),
+ * with the step each ancestor was reached from
+ */
+function upwardDistances(ontology, name) {
+  const reached = new Map([[name, { distance: 0, from: null }]]);
+  const queue = [name];
+  while (queue.length) {
+    const current = queue.shift();
+    (ontology.parents.get(current) || []).forEach(parent => {
+      if (reached.has(parent)) return;
+      reached.set(parent, { distance: reached.get(current).distance + 1, from: current });
+      queue.push(parent);
+    });
+  }
+  return reached;
+}
+
+/**
+ * The shortest path between two roles through their nearest common ancestor: up through
+ * superclasses from `from`, then down through subclasses to `to`. Returns
+ * { path, steps: [{ from, to, relation }], commonAncestor } where relation is 'superclass'
+ * for a step up and 'subclass' for a step down, or null when the roles share no ancestor.
+ */
+export function shortestRolePath(ontology, from, to) {
+  const up = upwardDistances(ontology, from);
+  const down = upwardDistances(ontology, to);
+  const common = [...up.keys()]
+    .filter(name => down.has(name))
+    .sort((a, b) => (up.get(a).distance + down.get(a).distance) - (up.get(b).distance + down.get(b).distance) || a.localeCompare(b))[0];
+  if (!common) return null;
+
+  const chain = (reached, name) => {
+    const names = [];
+    for (let current = name; current; current = reached.get(current).from) names.unshift(current);
+    return names; // starting role first, common ancestor last
+  };
+  const upward = chain(up, common);
+  const downward = chain(down, common).reverse().slice(1);
+  const steps = [
+    ...upward.slice(1).map((name, i) => ({ from: upward[i], to: name, relation: 'superclass' })),
+    ...downward.map((name, i) => ({ from: i ? downward[i - 1] : common, to: name, relation: 'subclass' })),
+  ];
+  return { path: [...upward, ...downward], steps, commonAncestor: common };
+}
+
+/**
+ * The nodes and superclass → subclass edges of the whole ontology, or of the subtree under root,
+ * optionally limited to the role names in `only` (edges are kept between the roles that remain)
+ */
+export function ontologyGraph(ontology, root, only) {
+  const names = (root ? [root, ...descendantsOf(ontology, root)] : Object.keys(ontology.roles))
+    .filter(name => !only || only.has(name));
+  const included = new Set(names);
+  const nodes = names.sort().map(name => ({
+    name,
+    module: ontology.roles[name].module || 'core',
+    isAbstract: !!ontology.roles[name].isAbstract,
+  }));
+  const edges = nodes.flatMap(({ name }) => (ontology.children.get(name) || [])
+    .filter(child => included.has(child))
+    .map(child => ({ from: name, to: child })));
+  return { nodes, edges };
+}
+
+/**
+ * Mermaid node ids cannot contain hyphens reliably; label the node with the role name instead
+ */
+const mermaidId = name => name.replace(/[^a-z0-9]/gi, '_');
+
+/**
+ * Render an ontology graph as a Mermaid flowchart, Graphviz DOT digraph or JSON.
+ * Edges point from superclass to subclass; abstract roles are drawn dashed.
+ */
+export function exportOntology({ nodes, edges }, notation) {
+  if (notation === 'json') {
+    return JSON.stringify({ nodes, edges }, null, 2);
+  }
+
+  if (notation === 'dot') {
+    return [
+      'digraph aria_roles {',
+      '  rankdir=TB;',
+      '  node [shape=box, fontname="Helvetica"];',
+      ...nodes.map(node => `  "${node.name}"${node.isAbstract ? ' [style=dashed]' : ''};`),
+      ...edges.map(edge => `  "${edge.from}" -> "${edge.to}";`),
+      '}',
+    ].join('\n');
+  }
+
+  const abstract = nodes.filter(node => node.isAbstract).map(node => mermaidId(node.name));
+  return [
+    'flowchart TD',
+    ...nodes.map(node => `  ${mermaidId(node.name)}["${node.name}"]`),
+    ...edges.map(edge => `  ${mermaidId(edge.from)} --> ${mermaidId(edge.to)}`),
+    ...(abstract.length ? ['  classDef abstract stroke-dasharray: 5 5', `  class ${abstract.join(',')} abstract`] : []),
+  ].join('\n');
+}
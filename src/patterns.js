@@ -0,0 +1,88 @@
+// APG design patterns - widget behaviour from the ARIA Authoring Practices Guide, cross-linked to the roles in aria-data.json
+import { data, findRole, checkRoleAttribute } from './data.js';
+import { closestMatches } from './search.js';
+
+/**
+ * Every APG pattern in the current dataset, keyed by pattern id
+ */
+export function getPatterns() {
+  return data.apgPatterns?.patterns || {};
+}
+
+/**
+ * Normalize a pattern name as typed by a user (e.g., "Tree View" -> "tree view")
+ */
+function normalizePatternName(name) {
+  return String(name || '').toLowerCase().replace(/[-_\s]+/g, ' ').trim();
+}
+
+/**
+ * Look up a pattern by id, name or alias (e.g., "tabs", "Tree View", "modal")
+ */
+export function findPattern(name) {
+  const wanted = normalizePatternName(name);
+  if (!wanted) return null;
+  return Object.values(getPatterns()).find(pattern =>
+    [pattern.id, pattern.name, ...(pattern.aliases || [])].some(candidate => normalizePatternName(candidate) === wanted)
+  ) || null;
+}
+
+/**
+ * Patterns that use a role
+ */
+export function getPatternsForRole(roleName) {
+  return Object.values(getPatterns()).filter(pattern => pattern.roles.includes(roleName));
+}
+
+/**
+ * Patterns whose id, name or aliases are closest to the query, for "did you mean" suggestions
+ */
+export function searchPatterns(query) {
+  const patterns = Object.values(getPatterns());
+  const byName = new Map();
+  patterns.forEach(pattern => {
+    [pattern.id, pattern.name, ...(pattern.aliases || [])].forEach(name => {
+      if (!byName.has(name)) byName.set(name, pattern);
+    });
+  });
+  const matches = closestMatches(query, [...byName.keys()], { limit: byName.size, normalize: normalizePatternName });
+  return [...new Set(matches.map(name => byName.get(name)))];
+}
+
+/**
+ * The spec entry behind each role a pattern uses, or found: false when this spec version lacks it
+ */
+export function patternRoles(pattern) {
+  return pattern.roles.map(name => {
+    const role = findRole(name);
+    if (!role) return { name, found: false };
+    return {
+      name,
+      found: true,
+      category: role.category || 'unknown',
+      accessibleNameRequired: !!role.accessibleNameRequired,
+      requiredAttributes: (role.allProps || []).filter(p => p.required).map(p => p.name),
+      requiredContextRole: role.requiredContextRole || [],
+      requiredOwnedElements: role.requiredOwnedElements || [],
+    };
+  });
+}
+
+/**
+ * A pattern's states and properties with the spec status of each on its role
+ * (required, supported, prohibited, ...), so APG guidance and the spec can be compared
+ */
+export function patternAttributes(pattern) {
+  return pattern.statesAndProperties.map(entry => {
+    const global = !!data.globalStatesAndProperties?.includes(entry.attribute);
+    const role = entry.role && findRole(entry.role);
+    let specStatus = global ? 'global' : 'not-applicable';
+    if (entry.role && !role) {
+      specStatus = 'unknown-role';
+    } else if (role) {
+      const { status } = checkRoleAttribute(role, entry.attribute);
+      if (status !== 'not-applicable') specStatus = status;
+    }
+    return { ...entry, specStatus };
+  });
+}
@@ -0,0 +1,252 @@
+// MCP prompts - reusable accessibility review workflows seeded with role data from aria-data.json
+import { data, getRoles, findRole } from './data.js';
+import { auditHtml } from './audit.js';
+import { nativeElementsFor } from './html.js';
+import { readResource } from './resources.js';
+import { suggestRoles, didYouMean } from './search.js';
+
+/**
+ * Thrown for an unknown prompt or bad prompt arguments; the code is JSON-RPC "invalid params"
+ */
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = -32602;
+  }
+}
+
+/**
+ * Look up a role named in a prompt argument, or fail with the closest matches
+ */
+function requireRole(name) {
+  const role = findRole(name);
+  if (role) return role;
+  throw new PromptError(`Role "${name}" not found.${didYouMean(suggestRoles(name))}`);
+}
+
+/**
+ * Roles named in free text (e.g., "a searchable combobox" -> combobox), longest names first
+ */
+function rolesInText(text) {
+  const words = new Set(String(text).toLowerCase().split(/[^a-z-]+/).filter(Boolean));
+  return Object.values(getRoles())
+    .filter(r => !r.isAbstract && words.has(r.name))
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+/**
+ * A role plus the roles it must own, followed down the required owned elements
+ */
+function withOwnedRoles(role) {
+  const found = new Map();
+  const visit = (current) => {
+    if (!current || found.has(current.name)) return;
+    found.set(current.name, current);
+    (current.requiredOwnedElements || [])
+      .flatMap(entry => entry.split(/\s*(?:→|->)\s*/))
+      .forEach(name => visit(findRole(name)));
+  };
+  visit(role);
+  return [...found.values()];
+}
+
+/**
+ * HTML elements whose implicit role is the given role, with the conditions under which they have it
+ */
+function nativeElements(roleName) {
+  return nativeElementsFor(roleName).map(({ markup, conditions }) => conditions ? `${markup} (${conditions})` : markup);
+}
+
+/**
+ * Compact plain-text summary of what the spec requires of a role
+ */
+function summarizeRole(role) {
+  const props = role.allProps || [];
+  const names = (filter) => props.filter(filter).map(p => p.name).join(', ') || 'none';
+  const lines = [
+    `role="${role.name}" (${role.category}${role.module && role.module !== 'core' ? `, ${role.module} module` : ''})`,
+    `- Required states and properties: ${names(p => p.required)}`,
+    `- Supported states and properties: ${names(p => !p.required && !p.disallowed && !p.deprecated && !data.globalStatesAndProperties?.includes(p.name))} (plus global attributes)`,
+    `- Prohibited: ${names(p => p.disallowed)}`,
+    `- Accessible name: ${role.accessibleNameRequired ? 'required' : 'not required'}; name from ${role.nameFrom?.join(', ') || 'not specified'}`,
+  ];
+  if (role.requiredContextRole?.length) {
+    lines.push(`- Must be owned by: ${role.requiredContextRole.join(', ')}`);
+  }
+  if (role.requiredOwnedElements?.length) {
+    lines.push(`- Must own: ${role.requiredOwnedElements.join(', ')}`);
+  }
+  if (role.childrenPresentational) {
+    lines.push('- Children are presentational');
+  }
+  const native = nativeElements(role.name);
+  if (native.length) {
+    lines.push(`- Native HTML with this role: ${native.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Prompt messages: the instructions, then each role's full record as an embedded resource
+ */
+function promptMessages(text, roles = []) {
+  return [
+    { role: 'user', content: { type: 'text', text } },
+    ...roles.map(role => ({
+      role: 'user',
+      content: { type: 'resource', resource: readResource(`aria://role/${role.name}`).contents[0] }
+    })),
+  ];
+}
+
+/**
+ * Prompt definitions for ARIA MCP
+ */
+export const prompts = [
+  {
+    name: 'review-component',
+    title: 'Review a component for ARIA misuse',
+    description: 'Review an HTML component for ARIA misuse, with the spec data for every role it uses and the tools to check it with.',
+    arguments: [
+      { name: 'html', description: 'The component markup to review', required: true },
+      { name: 'purpose', description: 'What the component is meant to be (e.g., "a disclosure menu")', required: false },
+    ],
+    build: (args) => {
+      const results = auditHtml(args.html);
+      const roles = [...new Set(results.map(r => r.role).filter(Boolean))].map(name => findRole(name)).filter(Boolean);
+      const issues = results.flatMap(r => r.issues.map(issue => `- ${r.element}: ${issue.message}`));
+
+      let text = `Review this component for ARIA misuse${args.purpose ? `. It is meant to be ${args.purpose}` : ''}.\n\n`;
+      text += '```html\n' + args.html + '\n```\n\n';
+      text += 'Work through it with the aria-mcp tools:\n';
+      text += '1. `audit-html` with the markup, for unknown roles, unsupported, prohibited or missing attributes and invalid values.\n';
+      text += '2. `validate-structure` with the markup as `html`, for required parent and child roles.\n';
+      text += '3. `compute-accessible-name` for each interactive element, to confirm it has a meaningful name.\n';
+      text += '4. `check-element-role` for any element whose role overrides its native semantics.\n\n';
+      text += 'Report each problem with the element, the rule it breaks, and a corrected snippet. Prefer native HTML over ARIA where an element already has the role.\n\n';
+
+      if (roles.length) {
+        text += `## Roles in this component\n\n${roles.map(summarizeRole).join('\n\n')}\n\n`;
+      }
+      text += issues.length
+        ? `## Initial audit findings\n\n${issues.join('\n')}\n`
+        : '## Initial audit findings\n\n`audit-html` found no issues; check names, keyboard support and structure.\n';
+
+      return { description: `Review of ${results.length} element(s) using role or aria-* attributes`, messages: promptMessages(text, roles) };
+    }
+  },
+
+  {
+    name: 'design-widget-aria',
+    title: 'Design the ARIA for a widget',
+    description: 'Design the roles, states and properties for a custom widget (e.g., a combobox), from the spec definitions of the widget role and the roles it must own.',
+    arguments: [
+      { name: 'widget', description: 'The widget role or a description of it (e.g., "combobox", "tabs with closable tabs")', required: true },
+      { name: 'framework', description: 'The UI framework the markup will be written in (e.g., "React")', required: false },
+    ],
+    build: (args) => {
+      const primary = findRole(args.widget) || rolesInText(args.widget)[0];
+      const roles = primary ? withOwnedRoles(primary) : [];
+
+      let text = `Design the ARIA for this widget: ${args.widget}${args.framework ? ` (written in ${args.framework})` : ''}.\n\n`;
+      if (!roles.length) {
+        text += 'No role matches this description directly. Start with `suggest-role` and `search-roles` to pick the widget role, then continue below.\n\n';
+      }
+      text += 'Produce:\n';
+      text += '1. The element tree with the role of every element, using native HTML where it already has the right semantics.\n';
+      text += '2. The states and properties on each element, which ones change with interaction, and their initial values.\n';
+      text += '3. How each element gets its accessible name.\n';
+      text += '4. The keyboard interaction and focus management.\n\n';
+      text += 'Check the design with the aria-mcp tools: `get-pattern` for the matching APG keyboard interaction and focus rules, `get-role` (verbose) and `get-required-attributes` for each role, `get-required-owned` and `get-required-context` for nesting, `validate-attribute-value` for each value you choose, and `validate-structure` on the final element tree.\n\n';
+
+      if (roles.length) {
+        text += `## Spec requirements\n\n${roles.map(summarizeRole).join('\n\n')}\n`;
+      }
+
+      return { description: `ARIA design for ${primary ? primary.name : args.widget}`, messages: promptMessages(text, roles) };
+    }
+  },
+
+  {
+    name: 'explain-role-to-developer',
+    title: 'Explain a role to a developer',
+    description: 'Explain an ARIA role to a developer: what it means, when to use it instead of native HTML, and what it requires.',
+    arguments: [
+      { name: 'role', description: 'The ARIA role to explain (e.g., "tabpanel")', required: true },
+      { name: 'audience', description: 'Who the explanation is for (e.g., "a React developer new to accessibility")', required: false },
+    ],
+    build: (args) => {
+      const role = requireRole(args.role);
+      const native = nativeElements(role.name);
+
+      let text = `Explain the ARIA role "${role.name}" to ${args.audience || 'a web developer'}.\n\n`;
+      text += 'Cover:\n';
+      text += '1. What the role communicates to assistive technology users, in plain words.\n';
+      text += native.length
+        ? `2. When to use the native element instead (${native.join(', ')}), and when the role is justified.\n`
+        : '2. Which patterns call for it, since no native HTML element has this role.\n';
+      text += '3. The states and properties it requires or supports, and any it prohibits.\n';
+      text += '4. Its required parent or child roles and how it gets an accessible name.\n';
+      text += '5. A short, correct code example and one common mistake.\n\n';
+      if (role.isAbstract) {
+        text += `Note that "${role.name}" is an abstract role: authors must not use it; explain the concrete roles that inherit from it instead (${role.subclassRoles?.join(', ') || 'see get-role-hierarchy'}).\n\n`;
+      }
+      text += 'Use `get-role` (verbose), `get-role-hierarchy` and `get-html-element` from aria-mcp for anything not in the data below.\n\n';
+      text += `## Spec definition\n\n${summarizeRole(role)}\n\n${role.description || ''}\n`;
+
+      return { description: `Explanation of role="${role.name}"`, messages: promptMessages(text, [role]) };
+    }
+  },
+
+  {
+    name: 'write-acceptance-criteria',
+    title: 'Write accessibility acceptance criteria',
+    description: 'Write testable accessibility acceptance criteria for a component built on an ARIA role, derived from the role\'s spec requirements.',
+    arguments: [
+      { name: 'role', description: 'The ARIA role the component implements (e.g., "dialog")', required: true },
+      { name: 'component', description: 'The component name used in the criteria (e.g., "Settings dialog")', required: false },
+    ],
+    build: (args) => {
+      const role = requireRole(args.role);
+      const roles = withOwnedRoles(role);
+      const component = args.component || `the ${role.name} component`;
+
+      let text = `Write accessibility acceptance criteria for ${component}, which implements role="${role.name}".\n\n`;
+      text += 'Write each criterion as a Given/When/Then statement that a tester can verify with a screen reader, the keyboard or an accessibility inspector. Include criteria for:\n';
+      text += '1. The exposed role of every element, including required owned and context roles.\n';
+      text += '2. The accessible name (and description, where one is expected).\n';
+      text += '3. Every required state and property, and each state change after user interaction.\n';
+      text += '4. Attributes that must not be present (prohibited on the role).\n';
+      text += '5. Keyboard operation and focus management.\n\n';
+      text += 'Use `get-required-attributes`, `get-prohibited-attributes`, `get-required-context`, `get-required-owned` and `check-name-requirements` from aria-mcp to confirm each requirement, and `audit-html` to check example markup.\n\n';
+      text += `## Spec requirements\n\n${roles.map(summarizeRole).join('\n\n')}\n`;
+
+      return { description: `Acceptance criteria for role="${role.name}"`, messages: promptMessages(text, roles) };
+    }
+  },
+];
+
+/**
+ * List prompts as MCP prompts/list entries
+ */
+export function listPrompts() {
+  return prompts.map(({ name, title, description, arguments: args }) => ({ name, title, description, arguments: args }));
+}
+
+/**
+ * Build a prompt's messages from its arguments, as an MCP prompts/get result
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = prompts.find(p => p.name === name);
+  if (!prompt) {
+    throw new PromptError(`Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(a => a.required && !String(args[a.name] ?? '').trim());
+  if (missing.length) {
+    throw new PromptError(`Prompt "${name}" requires: ${missing.map(a => a.name).join(', ')}`);
+  }
+
+  return prompt.build(args);
+}
@@ -0,0 +1,94 @@
+// Attribute provenance - where each entry in a role's allProps comes from in the role ontology
+import { synonymOf } from './categories.js';
+
+/**
+ * Specs that define the module roles; core roles link to the ARIA spec itself
+ */
+const moduleSpecUrls = {
+  dpub: 'https://w3c.github.io/dpub-aria/',
+  graphics: 'https://w3c.github.io/graphics-aria/',
+};
+
+/**
+ * The spec section defining a role (e.g., https://w3c.github.io/aria/#button)
+ */
+export function roleSpecUrl(role, specUrl = 'https://w3c.github.io/aria/') {
+  return `${moduleSpecUrls[role.module] || specUrl}#${role.name}`;
+}
+
+/**
+ * How a role treats one of its allProps entries: required, prohibited, deprecated or supported
+ */
+export function propStatus(prop) {
+  if (prop.required) return 'required';
+  if (prop.disallowed) return 'prohibited';
+  if (prop.deprecated) return 'deprecated';
+  return 'supported';
+}
+
+/**
+ * Superclasses a role inherits props from; synonym-only records (img) use the role they stand for
+ */
+function parentsOf(role, roles) {
+  if (role.parentRoles?.length) return role.parentRoles;
+  if (role.superclassRoles?.length) return role.superclassRoles;
+  return [synonymOf(role, roles)].filter(Boolean);
+}
+
+/**
+ * Collect a role's props the way the parser flattens them (own localProps first, then each
+ * superclass in order, the first definition winning), recording for each the role that
+ * declares it, the superclass path to that role, and the inherited entry a local one overrides
+ */
+function traceProps(roles, name, visited = new Set()) {
+  const role = roles[name];
+  if (!role || visited.has(name)) return [];
+  visited.add(name);
+
+  const inherited = [];
+  parentsOf(role, roles).forEach(parent => {
+    traceProps(roles, parent, visited).forEach(entry => {
+      if (!inherited.some(e => e.prop.name === entry.prop.name)) {
+        inherited.push({ ...entry, path: [name, ...entry.path] });
+      }
+    });
+  });
+
+  const local = (role.localProps || []).map(prop => {
+    const shadowed = inherited.find(entry => entry.prop.name === prop.name);
+    return {
+      prop,
+      from: name,
+      path: [name],
+      overrides: shadowed ? { from: shadowed.from, status: propStatus(shadowed.prop) } : null,
+    };
+  });
+  return [...local, ...inherited.filter(entry => !local.some(l => l.prop.name === entry.prop.name))];
+}
+
+/**
+ * Record provenance on every role's allProps entries:
+ * source (local, inherited, global or prohibited), from (the role that declares it),
+ * path (the role, its superclasses in turn, then that role) and overrides (the inherited
+ * entry a local declaration replaces, e.g., generic prohibiting the global aria-label).
+ * Entries are replaced rather than changed, since module roles can share them with core roles.
+ */
+export function annotateProvenance(roles) {
+  const isRoot = name => !parentsOf(roles[name] || {}, roles).length;
+
+  Object.values(roles).forEach(role => {
+    if (!role.allProps?.length) return;
+    const traced = new Map(traceProps(roles, role.name).map(entry => [entry.prop.name, entry]));
+
+    role.allProps = role.allProps.map(prop => {
+      const { from = null, path = [], overrides = null } = traced.get(prop.name) || {};
+      let source = 'inherited';
+      if (prop.disallowed) source = 'prohibited';
+      else if (from === role.name) source = 'local';
+      else if (from && isRoot(from)) source = 'global';
+      return { ...prop, source, from, path, overrides };
+    });
+  });
+
+  return roles;
+}
@@ -0,0 +1,161 @@
+// MCP resources - full role and attribute records from aria-data.json under aria:// URIs
+import { data, getRoles, findRole, findAttribute } from './data.js';
+
+const mimeType = 'application/json';
+
+/**
+ * Thrown when a URI does not name a known resource; the code is MCP's "resource not found"
+ */
+export class ResourceNotFoundError extends Error {
+  constructor(uri) {
+    super(`Resource not found: ${uri}`);
+    this.name = 'ResourceNotFoundError';
+    this.code = -32002;
+    this.data = { uri };
+  }
+}
+
+/**
+ * URI templates for every kind of resource the server serves
+ */
+export const resourceTemplates = [
+  {
+    uriTemplate: 'aria://role/{name}',
+    name: 'role',
+    title: 'ARIA role',
+    description: 'The full record for a WAI-ARIA, DPUB-ARIA or Graphics-ARIA role (e.g., aria://role/button)',
+    mimeType
+  },
+  {
+    uriTemplate: 'aria://attribute/{name}',
+    name: 'attribute',
+    title: 'ARIA state or property',
+    description: 'The full record for an ARIA state or property (e.g., aria://attribute/aria-expanded)',
+    mimeType
+  },
+  {
+    uriTemplate: 'aria://category/{category}',
+    name: 'category',
+    title: 'ARIA role category',
+    description: 'The full records of every role in a category (e.g., aria://category/landmark)',
+    mimeType
+  },
+];
+
+/**
+ * Role names grouped by how they get their accessible name
+ */
+function rolesByNameFrom(roles, source) {
+  return roles.filter(r => r.nameFrom?.includes(source)).map(r => r.name).sort();
+}
+
+/**
+ * The AccName spec summary together with each role's naming rules
+ */
+function accnameRecord() {
+  const roles = Object.values(getRoles()).filter(r => !r.isAbstract);
+  return {
+    ...data.accname,
+    nameFrom: {
+      author: rolesByNameFrom(roles, 'author'),
+      contents: rolesByNameFrom(roles, 'contents'),
+      prohibited: rolesByNameFrom(roles, 'prohibited'),
+    },
+    nameRequired: roles.filter(r => r.accessibleNameRequired).map(r => r.name).sort(),
+  };
+}
+
+/**
+ * Every role in a category across all modules
+ */
+function categoryRoles(category) {
+  return Object.values(getRoles())
+    .filter(r => (r.categories || [r.category]).includes(category))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * List every concrete resource: the AccName summary, categories, roles and attributes
+ */
+export function listResources() {
+  const resources = [{
+    uri: 'aria://accname',
+    name: 'accname',
+    title: data.accname?.title || 'Accessible Name and Description Computation',
+    description: 'AccName spec summary with the roles that take their name from authors or contents, prohibit naming, or require a name',
+    mimeType
+  }];
+
+  Object.keys(data.roleCategories).forEach(category => {
+    resources.push({
+      uri: `aria://category/${category}`,
+      name: `category/${category}`,
+      title: `${category} roles`,
+      description: `Full records of the ${categoryRoles(category).length} ${category} roles`,
+      mimeType
+    });
+  });
+
+  Object.values(getRoles())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(role => {
+      resources.push({
+        uri: `aria://role/${role.name}`,
+        name: `role/${role.name}`,
+        title: `${role.name} role`,
+        description: `${role.isAbstract ? 'Abstract ' : ''}${role.category} role (${role.module || 'core'} module)`,
+        mimeType
+      });
+    });
+
+  [...Object.values(data.states), ...Object.values(data.properties)]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(attr => {
+      resources.push({
+        uri: `aria://attribute/${attr.name}`,
+        name: `attribute/${attr.name}`,
+        title: `${attr.name} ${attr.type}`,
+        description: `${attr.isGlobal ? 'Global ' : ''}ARIA ${attr.type}${attr.valueType ? ` (${attr.valueType})` : ''}`,
+        mimeType
+      });
+    });
+
+  return resources;
+}
+
+/**
+ * Resolve an aria:// URI to its record, or null when there is none
+ */
+function resolveResource(uri) {
+  if (uri === 'aria://accname') return accnameRecord();
+
+  const match = /^aria:\/\/(role|attribute|category)\/([^/?#]+)$/.exec(uri);
+  if (!match) return null;
+
+  const [, kind, rawName] = match;
+  let name;
+  try {
+    name = decodeURIComponent(rawName);
+  } catch {
+    return null;
+  }
+
+  if (kind === 'role') return findRole(name);
+  if (kind === 'attribute') return findAttribute(name);
+
+  const roles = data.roleCategories[name] ? categoryRoles(name) : null;
+  return roles && { category: name, roles };
+}
+
+/**
+ * Read a resource, returning MCP resources/read contents
+ */
+export function readResource(uri) {
+  const record = resolveResource(uri);
+  if (!record) {
+    throw new ResourceNotFoundError(uri);
+  }
+  return {
+    contents: [{ uri, mimeType, text: JSON.stringify(record, null, 2) }]
+  };
+}
@@ -0,0 +1,265 @@
+// Output schemas - JSON Schema fragments describing the structuredContent tools return
+
+/**
+ * Object schema whose listed properties are all required unless given explicitly
+ */
+export function objectSchema(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+export const stringList = { type: 'array', items: { type: 'string' } };
+
+export const nullableString = { type: ['string', 'null'] };
+
+/**
+ * A role's state or property entry (allProps/localProps). allProps entries also record
+ * their provenance: where in the role's ancestry the entry is declared.
+ */
+export const propSchema = objectSchema({
+  name: { type: 'string' },
+  is: { type: 'string', enum: ['state', 'property'] },
+  required: { type: 'boolean' },
+  disallowed: { type: 'boolean' },
+  deprecated: { type: 'boolean' },
+  source: { type: 'string', enum: ['local', 'inherited', 'global', 'prohibited'] },
+  from: nullableString,
+  path: stringList,
+  overrides: {
+    anyOf: [
+      objectSchema({ from: { type: 'string' }, status: { type: 'string', enum: ['required', 'supported', 'prohibited', 'deprecated'] } }),
+      { type: 'null' }
+    ]
+  },
+}, ['name']);
+
+/**
+ * A full role record as stored in aria-data.json
+ */
+export const roleSchema = objectSchema({
+  name: { type: 'string' },
+  module: { type: 'string', enum: ['core', 'dpub', 'graphics'] },
+  category: { type: 'string' },
+  categories: stringList,
+  description: { type: 'string' },
+  isAbstract: { type: 'boolean' },
+  superclassRoles: stringList,
+  subclassRoles: stringList,
+  requiredContextRole: stringList,
+  requiredOwnedElements: stringList,
+  nameFrom: stringList,
+  accessibleNameRequired: { type: 'boolean' },
+  childrenPresentational: { type: 'boolean' },
+  localProps: { type: 'array', items: propSchema },
+  allProps: { type: 'array', items: propSchema },
+}, ['name']);
+
+/**
+ * The short form of a role used by listing and search tools
+ */
+export const roleSummarySchema = objectSchema({
+  name: { type: 'string' },
+  module: { type: 'string', enum: ['core', 'dpub', 'graphics'] },
+  category: { type: 'string' },
+  categories: stringList,
+  isAbstract: { type: 'boolean' },
+  description: { type: 'string' },
+});
+
+/**
+ * A full state or property record as stored in aria-data.json
+ */
+export const attributeSchema = objectSchema({
+  name: { type: 'string' },
+  type: { type: 'string', enum: ['state', 'property'] },
+  description: { type: 'string' },
+  valueType: { type: 'string' },
+  defaultValue: { type: 'string' },
+  minimum: { type: 'number' },
+  values: stringList,
+  valueDescriptions: { type: 'object', additionalProperties: { type: 'string' } },
+  isGlobal: { type: 'boolean' },
+  applicableRoles: stringList,
+  inheritedIntoRoles: stringList,
+  requiredInRoles: stringList,
+  prohibitedInRoles: stringList,
+}, ['name', 'type']);
+
+/**
+ * The short form of a state or property used by listing tools
+ */
+export const attributeSummarySchema = objectSchema({
+  name: { type: 'string' },
+  type: { type: 'string', enum: ['state', 'property'] },
+  isGlobal: { type: 'boolean' },
+  valueType: nullableString,
+  description: { type: 'string' },
+});
+
+/**
+ * A problem reported by an audit or validation
+ */
+export const issueSchema = objectSchema({
+  severity: { type: 'string', enum: ['error', 'warning'] },
+  rule: { type: 'string' },
+  attribute: { type: 'string' },
+  path: { type: 'string' },
+  message: { type: 'string' },
+}, ['severity', 'message']);
+
+/**
+ * An HTML-AAM element mapping
+ */
+export const htmlMappingSchema = objectSchema({
+  id: { type: 'string' },
+  element: { type: 'string' },
+  condition: { type: 'string' },
+  implicitRole: nullableString,
+  implicitValues: { type: 'object', additionalProperties: { type: 'string' } },
+  allowedRoles: { type: ['string', 'array'], items: { type: 'string' } },
+}, ['id', 'element', 'implicitRole', 'allowedRoles']);
+
+/**
+ * Added, removed, deprecated and changed entities between two spec versions
+ */
+export const entityDiffSchema = objectSchema({
+  added: stringList,
+  removed: stringList,
+  deprecated: {
+    type: 'array',
+    items: objectSchema({ name: { type: 'string' }, in: { type: 'string' } }),
+  },
+  changed: {
+    type: 'array',
+    items: objectSchema({
+      name: { type: 'string' },
+      changes: {
+        type: 'array',
+        items: objectSchema({ field: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' } }),
+      },
+    }),
+  },
+});
+
+/**
+ * A deprecation registry entry (see buildDeprecations)
+ */
+export const deprecationSchema = objectSchema({
+  name: { type: 'string' },
+  entity: { type: 'string', enum: ['role', 'attribute'] },
+  module: { type: 'string', enum: ['core', 'dpub', 'graphics'] },
+  since: nullableString,
+  scope: { type: 'string', enum: ['everywhere', 'global', 'roles'] },
+  replacement: nullableString,
+  guidance: { type: 'string' },
+  roles: stringList,
+});
+
+/**
+ * One semantic change in the spec changelog (see listSpecChanges)
+ */
+export const specChangeSchema = objectSchema({
+  entity: { type: 'string', enum: ['role', 'attribute'] },
+  name: { type: 'string' },
+  change: {
+    type: 'string',
+    enum: ['added', 'removed', 'deprecated', 'changed', 'description-changed', 'attribute-added', 'attribute-removed', 'attribute-changed'],
+  },
+  attribute: { type: 'string' },
+  field: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  summary: { type: 'string' },
+}, ['entity', 'name', 'change', 'summary']);
+
+/**
+ * Where one side of a changelog entry came from
+ */
+const changelogSourceSchema = objectSchema({
+  version: nullableString,
+  commit: nullableString,
+  date: nullableString,
+  subject: nullableString,
+  generatedAt: nullableString,
+});
+
+/**
+ * One regeneration of the latest dataset and the changes it brought in
+ */
+export const changelogEntrySchema = objectSchema({
+  from: changelogSourceSchema,
+  to: changelogSourceSchema,
+  changes: { type: 'array', items: specChangeSchema },
+});
+
+/**
+ * One row of an APG keyboard interaction table
+ */
+export const keyboardInteractionSchema = objectSchema({
+  keys: { type: 'string' },
+  action: { type: 'string' },
+  optional: { type: 'boolean' },
+}, ['keys', 'action']);
+
+/**
+ * The short form of an APG pattern used by listing tools
+ */
+export const patternSummarySchema = objectSchema({
+  id: { type: 'string' },
+  name: { type: 'string' },
+  url: { type: 'string' },
+  description: { type: 'string' },
+  roles: stringList,
+});
+
+/**
+ * A full APG pattern record as stored in aria-data.json
+ */
+export const patternSchema = objectSchema({
+  id: { type: 'string' },
+  name: { type: 'string' },
+  url: { type: 'string' },
+  aliases: stringList,
+  description: { type: 'string' },
+  roles: stringList,
+  statesAndProperties: {
+    type: 'array',
+    items: objectSchema({
+      role: nullableString,
+      attribute: { type: 'string' },
+      required: { type: 'boolean' },
+      usage: { type: 'string' },
+    }),
+  },
+  keyboard: { type: 'array', items: keyboardInteractionSchema },
+  focusManagement: stringList,
+}, ['id', 'name', 'url', 'roles', 'statesAndProperties', 'keyboard', 'focusManagement']);
+
+/**
+ * A ranked search result
+ */
+export const searchHitSchema = objectSchema({
+  type: { type: 'string', enum: ['role', 'attribute', 'pattern', 'spec'] },
+  name: { type: 'string' },
+  label: { type: 'string' },
+  module: { type: 'string', enum: ['core', 'dpub', 'graphics'] },
+  score: { type: 'number' },
+  snippet: { type: 'string' },
+}, ['type', 'name', 'label', 'score', 'snippet']);
+
+/**
+ * A recommended role with the reasons it fits and what it takes to use it
+ */
+export const roleRecommendationSchema = objectSchema({
+  name: { type: 'string' },
+  module: { type: 'string', enum: ['core', 'dpub', 'graphics'] },
+  category: { type: 'string' },
+  score: { type: 'number' },
+  rationale: stringList,
+  requiredAttributes: stringList,
+  requiredContextRole: stringList,
+  requiredOwnedElements: stringList,
+  accessibleNameRequired: { type: 'boolean' },
+  nativeElements: stringList,
+  nativeRecommendation: nullableString,
+  patterns: stringList,
+});
@@ -0,0 +1,380 @@
+// Spec search - a BM25 index over role, attribute, pattern and AccName prose, plus the fuzzy name matcher used by every lookup
+import { data, getRoles } from './data.js';
+
+// BM25 tuning: term frequency saturation and document length normalization
+const k1 = 1.2;
+const b = 0.75;
+
+// Field weights: a term in an entity's name counts as much as several in its description
+const nameWeight = 4;
+const keywordWeight = 2;
+
+// How much a query term counts when it was reached through a synonym, typo or prefix
+const synonymWeight = 0.8;
+const typoWeight = 0.6;
+const prefixWeight = 0.5;
+// Hits reached only through typos or prefixes are kept when they score at least this share
+// of the best such hit, so one misspelled word does not pull in every loosely related entity
+const fuzzyCutoff = 0.5;
+
+const stopWords = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have', 'if', 'in',
+  'into', 'is', 'it', 'its', 'may', 'must', 'not', 'of', 'on', 'or', 'should', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'when', 'which', 'will', 'with', 'within',
+]);
+
+/**
+ * Everyday UI vocabulary mapped to the spec's terms (e.g., "dropdown" -> combobox, listbox)
+ */
+const synonyms = {
+  dropdown: ['combobox', 'listbox', 'menu'],
+  select: ['combobox', 'listbox', 'option'],
+  picker: ['combobox', 'listbox'],
+  autosuggest: ['combobox', 'autocomplete'],
+  typeahead: ['combobox', 'autocomplete'],
+  modal: ['dialog', 'alertdialog'],
+  popup: ['dialog', 'menu', 'haspopup'],
+  popover: ['dialog', 'tooltip'],
+  overlay: ['dialog'],
+  lightbox: ['dialog'],
+  toast: ['status', 'alert'],
+  snackbar: ['status', 'alert'],
+  notification: ['alert', 'status'],
+  announce: ['live', 'alert', 'status'],
+  toggle: ['switch', 'checkbox', 'pressed'],
+  hint: ['tooltip', 'describedby'],
+  nav: ['navigation'],
+  header: ['banner', 'heading'],
+  footer: ['contentinfo'],
+  sidebar: ['complementary'],
+  aside: ['complementary'],
+  spinner: ['progressbar', 'spinbutton', 'busy'],
+  loading: ['progressbar', 'busy'],
+  stepper: ['spinbutton'],
+  range: ['slider'],
+  textfield: ['textbox'],
+  input: ['textbox', 'searchbox', 'combobox'],
+  field: ['textbox'],
+  hyperlink: ['link'],
+  anchor: ['link'],
+  picture: ['img', 'image'],
+  icon: ['img', 'image'],
+  photo: ['img', 'image'],
+  gauge: ['meter'],
+  datagrid: ['grid'],
+  spreadsheet: ['grid'],
+  accordion: ['accordion', 'expanded'],
+  collapse: ['expanded'],
+  expand: ['expanded'],
+  collapsible: ['expanded'],
+  error: ['invalid', 'errormessage'],
+  card: ['article', 'group'],
+};
+
+/**
+ * Reduce a word to a rough stem so "tabs", "checked" and "expanding" match "tab", "check" and "expand"
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into stemmed search terms, dropping stop words
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !stopWords.has(word))
+    .map(stem);
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swapped neighbours
+ * ("lable" -> "label" is one edit), giving up (returning max + 1) once it exceeds max
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edits tolerated for a word of this length: none for short words, more for long ones
+ */
+function typoAllowance(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Rank candidate names by closeness to what the user typed, for "did you mean" suggestions.
+ * Matches substrings either way, typos within the typo allowance, and synonyms.
+ */
+export function closestMatches(input, candidates, { limit = 5, normalize = name => name } = {}) {
+  const wanted = normalize(String(input || '').toLowerCase().trim());
+  if (!wanted) return [];
+
+  const synonymTargets = new Set(synonyms[wanted] || []);
+  const allowance = Math.max(typoAllowance(wanted.length), Math.floor(wanted.length / 4));
+  const scored = [];
+  new Set(candidates).forEach(candidate => {
+    const name = normalize(candidate.toLowerCase());
+    // Lower is closer: synonyms, then names containing the input, typos, then names the input contains
+    const ranks = [];
+    if (synonymTargets.has(name)) ranks.push(0);
+    if (wanted.length > 2 && name.includes(wanted)) ranks.push(0.5 + (name.length - wanted.length) / (2 * name.length));
+    if (name.length > 2 && wanted.includes(name)) ranks.push(1 + (wanted.length - name.length) / wanted.length);
+    const distance = editDistance(wanted, name, allowance);
+    if (distance <= allowance) ranks.push(distance);
+    if (ranks.length) scored.push({ candidate, rank: Math.min(...ranks) });
+  });
+
+  return scored
+    .sort((x, y) => x.rank - y.rank || x.candidate.localeCompare(y.candidate))
+    .slice(0, limit)
+    .map(entry => entry.candidate);
+}
+
+/**
+ * Role names closest to a role the user typed
+ */
+export function suggestRoles(name, module = 'all', limit = 5) {
+  return closestMatches(String(name || '').replace(/^role:/i, ''), Object.keys(getRoles(module)), { limit });
+}
+
+/**
+ * Attribute names closest to an attribute the user typed (with or without the aria- prefix)
+ */
+export function suggestAttributes(name, limit = 5) {
+  return closestMatches(name, [...Object.keys(data.states), ...Object.keys(data.properties)], {
+    limit,
+    normalize: attrName => attrName.replace(/^aria-/, ''),
+  });
+}
+
+/**
+ * Format suggestions as a sentence to append to a not-found message
+ */
+export function didYouMean(suggestions) {
+  return suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+}
+
+/**
+ * The searchable documents of the current dataset: every role, attribute and pattern,
+ * and the AccName summary
+ */
+function collectDocuments() {
+  const documents = [];
+  const roles = getRoles();
+  const roleNames = Object.keys(roles);
+
+  Object.values(roles).forEach(role => {
+    // Compound names contain other role names (menuitemcheckbox -> menuitem, checkbox)
+    const parts = roleNames.filter(other => other !== role.name && other.length > 3 && role.name.includes(other));
+    documents.push({
+      type: 'role',
+      name: role.name,
+      label: `${role.name} (${role.category}${role.module && role.module !== 'core' ? `, ${role.module}` : ''} role)`,
+      module: role.module || 'core',
+      names: [role.name],
+      keywords: [...parts, ...(role.categories || [role.category])],
+      body: role.description || '',
+    });
+  });
+
+  [...Object.values(data.states), ...Object.values(data.properties)].forEach(attr => {
+    documents.push({
+      type: 'attribute',
+      name: attr.name,
+      label: `${attr.name} (${attr.isGlobal ? 'global ' : ''}${attr.type})`,
+      names: [attr.name],
+      keywords: attr.values || [],
+      body: [attr.description, ...Object.entries(attr.valueDescriptions || {}).map(([value, text]) => `${value}: ${text}`)]
+        .filter(Boolean)
+        .join(' '),
+    });
+  });
+
+  Object.values(data.apgPatterns?.patterns || {}).forEach(pattern => {
+    documents.push({
+      type: 'pattern',
+      name: pattern.id,
+      label: `${pattern.name} (APG pattern)`,
+      names: [pattern.id, pattern.name],
+      keywords: [...(pattern.aliases || []), ...pattern.roles],
+      body: [pattern.description, ...pattern.focusManagement, ...pattern.keyboard.map(k => `${k.keys}: ${k.action}`)].join(' '),
+    });
+  });
+
+  if (data.accname) {
+    documents.push({
+      type: 'spec',
+      name: 'accname',
+      label: data.accname.title || 'Accessible Name and Description Computation',
+      names: ['accname', 'accessible name'],
+      keywords: ['accessible name', 'accessible description', 'name computation'],
+      body: data.accname.abstract || '',
+    });
+  }
+
+  return documents;
+}
+
+/**
+ * Build the BM25 index: weighted term frequencies per document and document frequencies per term
+ */
+function buildIndex() {
+  const documents = collectDocuments().map(doc => {
+    const terms = new Map();
+    const add = (text, weight) => tokenize(text).forEach(term => terms.set(term, (terms.get(term) || 0) + weight));
+    doc.names.forEach(name => add(name, nameWeight));
+    doc.keywords.forEach(keyword => add(keyword, keywordWeight));
+    add(doc.body, 1);
+    const length = [...terms.values()].reduce((sum, count) => sum + count, 0);
+    return { ...doc, terms, length };
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach(doc => {
+    doc.terms.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+  return { documents, documentFrequency, averageLength, vocabulary: [...documentFrequency.keys()] };
+}
+
+const indexCache = new WeakMap();
+
+/**
+ * The index for the spec version of the current call, built on first use
+ */
+function getIndex() {
+  const key = data.roles;
+  if (!indexCache.has(key)) {
+    indexCache.set(key, buildIndex());
+  }
+  return indexCache.get(key);
+}
+
+/**
+ * Expand each query term into the index terms it should match, with a weight:
+ * the term itself, its synonyms, close misspellings and (for partial words) prefix matches
+ */
+function expandQuery(query, index) {
+  const expanded = new Map();
+  const add = (term, weight) => {
+    if (index.documentFrequency.has(term) && weight > (expanded.get(term) || 0)) {
+      expanded.set(term, weight);
+    }
+  };
+
+  String(query || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).forEach(word => {
+    const term = stem(word);
+    if (stopWords.has(word)) return;
+    add(term, 1);
+    (synonyms[word] || synonyms[term] || []).flatMap(tokenize).forEach(synonym => add(synonym, synonymWeight));
+
+    if (index.documentFrequency.has(term)) return;
+    const allowance = typoAllowance(term.length);
+    index.vocabulary.forEach(candidate => {
+      if (allowance && editDistance(term, candidate, allowance) <= allowance) {
+        add(candidate, typoWeight);
+      } else if (term.length >= 3 && candidate.startsWith(term)) {
+        add(candidate, prefixWeight);
+      }
+    });
+  });
+
+  return expanded;
+}
+
+/**
+ * The sentence of a document that best matches the query terms, trimmed for display
+ */
+function snippet(body, terms, maxLength = 200) {
+  const sentences = String(body || '').split(/(?<=[.!?])\s+/).filter(Boolean);
+  if (!sentences.length) return '';
+
+  let best = sentences[0];
+  let bestHits = 0;
+  sentences.forEach(sentence => {
+    const hits = new Set(tokenize(sentence).filter(term => terms.has(term))).size;
+    if (hits > bestHits) {
+      best = sentence;
+      bestHits = hits;
+    }
+  });
+
+  return best.length > maxLength ? `${best.slice(0, maxLength - 1).trimEnd()}…` : best;
+}
+
+/**
+ * Search role, attribute, pattern and AccName prose, ranked by BM25.
+ * Returns hits of { type, name, label, score, snippet } (plus module for roles), best first.
+ */
+export function searchSpec(query, { types, module = 'all', limit = 10 } = {}) {
+  const index = getIndex();
+  const terms = expandQuery(query, index);
+  if (!terms.size) return [];
+
+  const total = index.documents.length;
+  const hits = [];
+  index.documents.forEach(doc => {
+    if (types && !types.includes(doc.type)) return;
+    if (module !== 'all' && doc.type === 'role' && doc.module !== module) return;
+
+    let score = 0;
+    let fuzzy = true;
+    terms.forEach((weight, term) => {
+      const frequency = doc.terms.get(term);
+      if (!frequency) return;
+      const df = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      score += weight * idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * doc.length / index.averageLength));
+      if (weight > typoWeight) fuzzy = false;
+    });
+    if (score > 0) {
+      hits.push({
+        fuzzy,
+        type: doc.type,
+        name: doc.name,
+        label: doc.label,
+        ...(doc.module && { module: doc.module }),
+        score: Math.round(score * 1000) / 1000,
+        snippet: snippet(doc.body, terms),
+      });
+    }
+  });
+
+  // Exact and synonym matches rank above hits found only through typos or prefixes
+  const bestFuzzy = Math.max(0, ...hits.filter(hit => hit.fuzzy).map(hit => hit.score));
+  return hits
+    .filter(hit => !hit.fuzzy || hit.score >= bestFuzzy * fuzzyCutoff)
+    .sort((x, y) => x.fuzzy - y.fuzzy || y.score - x.score || x.name.localeCompare(y.name))
+    .slice(0, limit)
+    .map(({ fuzzy, ...hit }) => hit);
+}
@@ -0,0 +1,192 @@
+// MCP request dispatch - the one set of method handlers behind the stdio, Streamable HTTP and Netlify transports
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+} from '@modelcontextprotocol/sdk/types.js';
+import { tools } from './tools.js';
+import { resourceTemplates, listResources, readResource } from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { closestMatches, didYouMean } from './search.js';
+import { log } from './log.js';
+
+export const serverInfo = {
+  name: 'aria-mcp',
+  version: '1.0.0',
+};
+
+export const capabilities = {
+  tools: {},
+  resources: {},
+  prompts: {},
+};
+
+/**
+ * Thrown for an unknown method or tool; the code is the JSON-RPC error code
+ */
+export class MethodError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MethodError';
+    this.code = code;
+  }
+}
+
+let enabledTools = tools;
+
+/**
+ * The tools this server exposes
+ */
+export function getTools() {
+  return enabledTools;
+}
+
+/**
+ * Expose only some tools (e.g., --tools get-role,audit-html or --exclude-tools suggest-role)
+ */
+export function selectTools({ include = [], exclude = [] } = {}) {
+  const names = tools.map(t => t.name);
+  const unknown = [...include, ...exclude].filter(name => !names.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown tool "${unknown[0]}".${didYouMean(closestMatches(unknown[0], names, { limit: 3 }))}`);
+  }
+  enabledTools = tools.filter(t => (!include.length || include.includes(t.name)) && !exclude.includes(t.name));
+  if (!enabledTools.length) {
+    throw new Error('The tool selection leaves no tools to serve');
+  }
+  return enabledTools;
+}
+
+/**
+ * Request handlers keyed by JSON-RPC method; each takes the request params and returns the result
+ */
+export const methods = {
+  'tools/list': async () => ({
+    tools: enabledTools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      outputSchema: tool.outputSchema
+    }))
+  }),
+  'tools/call': async (params) => {
+    const tool = enabledTools.find(t => t.name === params?.name);
+    if (!tool) {
+      throw new MethodError(`Unknown tool: ${params?.name}`, -32602);
+    }
+    log.debug(`tools/call ${tool.name} ${JSON.stringify(params.arguments || {})}`);
+    return await tool.handler(params.arguments || {});
+  },
+  'resources/list': async () => ({ resources: listResources() }),
+  'resources/templates/list': async () => ({ resourceTemplates }),
+  'resources/read': async (params) => readResource(params?.uri),
+  'prompts/list': async () => ({ prompts: listPrompts() }),
+  'prompts/get': async (params) => getPrompt(params?.name, params?.arguments),
+  'ping': async () => ({}),
+};
+
+// The SDK request schema each method is registered under (the SDK Server answers ping itself)
+const requestSchemas = {
+  'tools/list': ListToolsRequestSchema,
+  'tools/call': CallToolRequestSchema,
+  'resources/list': ListResourcesRequestSchema,
+  'resources/templates/list': ListResourceTemplatesRequestSchema,
+  'resources/read': ReadResourceRequestSchema,
+  'prompts/list': ListPromptsRequestSchema,
+  'prompts/get': GetPromptRequestSchema,
+};
+
+/**
+ * Pick the protocol version for a session: the client's if the SDK supports it, otherwise the latest
+ */
+export function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Whether a protocol version (e.g., from an MCP-Protocol-Version header) is one this server speaks
+ */
+export function isSupportedProtocolVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+}
+
+/**
+ * The initialize result for a client's initialize params
+ */
+export function initializeResult(params) {
+  return {
+    protocolVersion: negotiateProtocolVersion(params?.protocolVersion),
+    capabilities,
+    serverInfo,
+  };
+}
+
+/**
+ * Create an SDK Server with every method registered; one per stdio process or HTTP session
+ */
+export function createServer() {
+  const server = new Server(serverInfo, { capabilities });
+  Object.entries(requestSchemas).forEach(([method, schema]) => {
+    server.setRequestHandler(schema, (request) => methods[method](request.params));
+  });
+  return server;
+}
+
+/**
+ * Answer one JSON-RPC message without the SDK, for stateless hosts such as Netlify Functions.
+ * Returns null for notifications and responses, which get no reply.
+ */
+export async function dispatchJsonRpc(message) {
+  const { method, params, id } = message || {};
+  if (id === undefined || id === null) {
+    return null;
+  }
+
+  try {
+    if (message.jsonrpc !== '2.0' || typeof method !== 'string') {
+      throw new MethodError('Invalid Request: expected a JSON-RPC 2.0 request', -32600);
+    }
+    let result;
+    if (method === 'initialize') {
+      result = initializeResult(params);
+    } else if (methods[method]) {
+      result = await methods[method](params);
+    } else {
+      throw new MethodError('Method not found', -32601);
+    }
+    return { jsonrpc: '2.0', id, result };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: Number.isInteger(error.code) ? error.code : -32603,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      }
+    };
+  }
+}
+
+/**
+ * Health check body shared by the HTTP server and the Netlify function
+ */
+export function healthStatus(details = {}) {
+  return {
+    ...serverInfo,
+    status: 'healthy',
+    protocol: 'MCP Streamable HTTP',
+    protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+    tools: enabledTools.length,
+    resourceTemplates: resourceTemplates.length,
+    prompts: listPrompts().length,
+    ...details,
+  };
+}
@@ -0,0 +1,292 @@
+// Structural nesting validation - required context roles and required owned elements
+import { findRole } from './data.js';
+import { parseFragment, describeElement } from './audit.js';
+import { getImplicitMapping } from './html.js';
+import { suggestRoles } from './search.js';
+
+// Roles that do not count as an accessibility parent or child
+const transparentRoles = new Set(['generic', 'none', 'presentation']);
+
+// Container roles that may sit between a role and its required context (e.g., group in a listbox)
+const intermediateRoles = new Set(['group', 'rowgroup']);
+
+/**
+ * Split a required owned entry such as "group → option" into [container, child]
+ */
+function parseOwnedEntry(entry) {
+  return entry.split(/\s*(?:→|->)\s*/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Check a JSON role tree's shape before building it: every node must be an object such as
+ * { role, children } and children must be an array. Returns a message naming the first bad
+ * node (e.g., "tree.children[1]"), or null when the tree is well formed.
+ */
+export function jsonTreeShapeError(input) {
+  const expected = 'expected an object such as { "role": "list", "children": [{ "role": "listitem" }] }';
+  const check = (item, at) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      return `${at} is ${item === null ? 'null' : Array.isArray(item) ? 'an array' : `a ${typeof item}`}; ${expected}`;
+    }
+    if (item.role !== undefined && item.role !== null && typeof item.role !== 'string') {
+      return `${at}.role must be a string`;
+    }
+    if (item.children === undefined || item.children === null) return null;
+    if (!Array.isArray(item.children)) return `${at}.children must be an array of nodes`;
+    for (const [i, child] of item.children.entries()) {
+      const error = check(child, `${at}.children[${i}]`);
+      if (error) return error;
+    }
+    return null;
+  };
+
+  if (!Array.isArray(input)) return check(input, 'tree');
+  for (const [i, item] of input.entries()) {
+    const error = check(item, `tree[${i}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Build a node tree from a JSON role tree ({ role, id, owns, children }), already checked
+ * with jsonTreeShapeError
+ */
+export function buildTreeFromJson(input) {
+  const toNode = (item, index) => {
+    const owns = item.owns ?? item['aria-owns'] ?? [];
+    const node = {
+      role: item.role ? String(item.role).trim().toLowerCase().split(/\s+/)[0] : null,
+      id: item.id || null,
+      owns: Array.isArray(owns) ? owns : String(owns).split(/\s+/).filter(Boolean),
+      label: item.label || item.name || item.id || `${item.role || 'node'}[${index}]`,
+      children: [],
+    };
+    node.children = (item.children || []).map((child, i) => {
+      const childNode = toNode(child, i);
+      childNode.parent = node;
+      return childNode;
+    });
+    return node;
+  };
+
+  const items = Array.isArray(input) ? input : [input];
+  const root = { role: null, id: null, owns: [], label: 'root', children: [] };
+  root.children = items.map((item, i) => {
+    const node = toNode(item, i);
+    node.parent = root;
+    return node;
+  });
+  return root;
+}
+
+/**
+ * Build a node tree from an HTML fragment, using explicit roles and HTML-AAM implicit roles
+ */
+export function buildTreeFromHtml(html) {
+  const document = parseFragment(html);
+
+  const toNode = (el) => {
+    const tokens = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const explicit = tokens.map(t => findRole(t)).find(r => r && !r.isAbstract);
+    const node = {
+      role: explicit?.name || getImplicitMapping(el)?.implicitRole || null,
+      id: el.getAttribute('id'),
+      owns: (el.getAttribute('aria-owns') || '').split(/\s+/).filter(Boolean),
+      label: describeElement(el),
+      children: [],
+    };
+    node.children = [...el.children].map(child => {
+      const childNode = toNode(child);
+      childNode.parent = node;
+      return childNode;
+    });
+    return node;
+  };
+
+  const root = { role: null, id: null, owns: [], label: 'root', children: [] };
+  root.children = [...document.body.children].map(el => {
+    const node = toNode(el);
+    node.parent = root;
+    return node;
+  });
+  return root;
+}
+
+/**
+ * Move aria-owns targets under their owner, as user agents do when building the
+ * accessibility tree. Returns a list of problems found while re-parenting.
+ */
+export function applyAriaOwns(root) {
+  const problems = [];
+  const byId = new Map();
+  const all = [];
+  const walk = (node) => {
+    all.push(node);
+    if (node.id) byId.set(node.id, node);
+    node.children.forEach(walk);
+  };
+  walk(root);
+
+  const claimed = new Set();
+  all.forEach(owner => {
+    owner.owns.forEach(id => {
+      const target = byId.get(id);
+      if (!target) {
+        problems.push({ severity: 'warning', path: pathOf(owner), message: `aria-owns references missing ID "${id}"` });
+        return;
+      }
+      if (claimed.has(target)) {
+        problems.push({ severity: 'error', path: pathOf(owner), message: `"${id}" is already owned by another element; an element can only have one owner` });
+        return;
+      }
+      for (let node = owner; node; node = node.parent) {
+        if (node === target) {
+          problems.push({ severity: 'error', path: pathOf(owner), message: `aria-owns="${id}" would create a cycle` });
+          return;
+        }
+      }
+      claimed.add(target);
+      target.parent.children = target.parent.children.filter(c => c !== target);
+      target.parent = owner;
+      owner.children.push(target);
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Human-readable path from the root to a node
+ */
+function pathOf(node) {
+  const parts = [];
+  for (let current = node; current && current.parent; current = current.parent) {
+    parts.unshift(current.label);
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Nearest ancestor with a role that counts in the accessibility tree
+ */
+function accessibilityParent(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current.role && !transparentRoles.has(current.role)) return current;
+  }
+  return null;
+}
+
+/**
+ * Children that count in the accessibility tree, looking through transparent nodes
+ */
+function accessibilityChildren(node) {
+  return node.children.flatMap(child =>
+    child.role && !transparentRoles.has(child.role) ? [child] : accessibilityChildren(child)
+  );
+}
+
+/**
+ * Check a node's required context role
+ */
+function checkContext(node, role, problems) {
+  const context = role.requiredContextRole || [];
+  if (!context.length) return;
+
+  const parent = accessibilityParent(node);
+  if (!parent || !context.includes(parent.role)) {
+    problems.push({
+      severity: 'error',
+      path: pathOf(node),
+      message: `role "${role.name}" must be owned by ${context.join(', ')}, but its parent is ${parent ? `"${parent.role}"` : 'missing'}`,
+    });
+    return;
+  }
+
+  // An intermediate group/rowgroup only counts when it is itself inside a proper container
+  if (intermediateRoles.has(parent.role)) {
+    const containers = context.filter(r => !intermediateRoles.has(r));
+    const grandparent = accessibilityParent(parent);
+    if (containers.length && (!grandparent || !containers.includes(grandparent.role))) {
+      problems.push({
+        severity: 'error',
+        path: pathOf(node),
+        message: `role "${role.name}" is inside a "${parent.role}" that is not owned by ${containers.join(', ')}`,
+      });
+    }
+  }
+}
+
+/**
+ * Check a node's required owned elements
+ */
+function checkOwned(node, role, problems) {
+  const owned = (role.requiredOwnedElements || []).map(parseOwnedEntry);
+  if (!owned.length) return;
+
+  const direct = new Set(owned.filter(e => e.length === 1).map(e => e[0]));
+  const viaContainer = new Map();
+  owned.filter(e => e.length === 2).forEach(([container, child]) => {
+    if (!viaContainer.has(container)) viaContainer.set(container, new Set());
+    viaContainer.get(container).add(child);
+  });
+
+  const children = accessibilityChildren(node);
+  if (!children.length) {
+    problems.push({
+      severity: 'warning',
+      path: pathOf(node),
+      message: `role "${role.name}" has no owned elements; expected ${role.requiredOwnedElements.join(', ')}`,
+    });
+    return;
+  }
+
+  children.forEach(child => {
+    if (direct.has(child.role)) return;
+
+    if (viaContainer.has(child.role)) {
+      const allowed = viaContainer.get(child.role);
+      accessibilityChildren(child)
+        .filter(grandchild => !allowed.has(grandchild.role))
+        .forEach(grandchild => {
+          problems.push({
+            severity: 'error',
+            path: pathOf(grandchild),
+            message: `role "${grandchild.role}" is not allowed in a "${child.role}" owned by "${role.name}"; expected ${[...allowed].join(', ')}`,
+          });
+        });
+      return;
+    }
+
+    problems.push({
+      severity: 'error',
+      path: pathOf(child),
+      message: `role "${child.role}" is not allowed as a child of "${role.name}"; expected ${role.requiredOwnedElements.join(', ')}`,
+    });
+  });
+}
+
+/**
+ * Validate every parent/child relationship in a node tree against the spec
+ */
+export function validateStructure(root) {
+  const problems = applyAriaOwns(root);
+  let checked = 0;
+
+  const walk = (node) => {
+    const role = node.role ? findRole(node.role) : null;
+    if (node.parent && node.role && !role) {
+      const similar = suggestRoles(node.role, 'all', 3);
+      problems.push({ severity: 'error', path: pathOf(node), message: `Unknown role "${node.role}"${similar.length ? ` (did you mean ${similar.join(', ')}?)` : ''}` });
+    }
+    if (role) {
+      checked++;
+      checkContext(node, role, problems);
+      checkOwned(node, role, problems);
+    }
+    node.children.forEach(walk);
+  };
+  walk(root);
+
+  return { checked, problems };
+}
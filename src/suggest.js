@@ -0,0 +1,266 @@
+// Role recommendations - scores roles against a component description from spec prose, superclass families and interaction hints
+import { getRoles, findRole } from './data.js';
+import { searchSpec } from './search.js';
+import { nativeElementsFor } from './html.js';
+import { getPatternsForRole } from './patterns.js';
+
+// A hint names the roles it points to in order of preference; later roles score a little less
+const hintWeight = 1;
+const hintStep = 0.1;
+const familyWeight = 0.4;
+// DPUB and Graphics roles only suit publishing and chart markup, so prose matches count for less
+const extensionWeight = 0.5;
+// Candidates scoring below this are noise from incidental words in the description;
+// a family match alone is just enough to be listed
+const minimumScore = 0.35;
+
+/**
+ * Plain-language descriptions of the abstract superclasses hints can point to
+ */
+const familyLabels = {
+  input: 'a form control',
+  select: 'a choice from a set of options',
+  range: 'a value within a range',
+  landmark: 'a region of the page',
+  composite: 'a widget with its own arrow key navigation',
+  command: 'something that performs an action',
+};
+
+/**
+ * Interaction hints: phrases in a description that point to specific roles (with the reason
+ * each fits) or to every role under an abstract superclass. This is a hand-maintained heuristic,
+ * kept to behavior the spec prose does not spell out (showing and hiding, choosing one or many,
+ * typing, dragging, confirming); components named after a role, such as "tooltip" or "footer",
+ * are found by the spec search and its synonyms instead.
+ */
+const interactionHints = [
+  {
+    pattern: /\b(expand\w*|collaps\w*|show\w*\s*(?:\/|and|or)\s*hid\w*|disclos\w*|accordion|reveal\w*)\b/,
+    roles: { button: 'A button with aria-expanded is the control that shows and hides the content' },
+  },
+  {
+    pattern: /\b(single (?:choice|selection|select)|choose one|pick one|one of (?:several|many|the|a)|mutually exclusive|only one)\b/,
+    roles: {
+      radiogroup: 'A small set of mutually exclusive options that are all visible',
+      listbox: 'A longer list of options where one is selected',
+      combobox: 'A single choice from a list that opens on demand',
+    },
+    family: 'select',
+  },
+  {
+    pattern: /\b(multi(?:ple)?[- ]?(?:choice|select\w*)|select (?:several|many|multiple)|checklist|any number of)\b/,
+    roles: {
+      checkbox: 'Each independent option is a checkbox',
+      listbox: 'A listbox with aria-multiselectable="true" for many options',
+    },
+    family: 'select',
+  },
+  {
+    pattern: /\b(opens? (?:a |an )?(?:popup|pop-up|menu|dialog|list|panel)|drop-?down|popover|pop-?up)\b/,
+    roles: {
+      combobox: 'An input that opens a popup of values to choose from',
+      button: 'A button with aria-haspopup and aria-expanded that opens the popup',
+      menu: 'The popup itself, when it offers actions',
+    },
+  },
+  {
+    pattern: /\b(auto-?complet\w*|autosuggest\w*|type-?ahead|suggestions?)\b/,
+    roles: { combobox: 'An input with a popup of suggested values, with aria-autocomplete describing how they are offered' },
+  },
+  {
+    pattern: /\b(toggl\w*|on\s*\/\s*off|on or off)\b/,
+    roles: {
+      switch: 'An on/off setting that takes effect immediately',
+      checkbox: 'A checked/unchecked option, typically submitted with a form',
+      button: 'A toggle button with aria-pressed for a pressed/not pressed command',
+    },
+  },
+  {
+    pattern: /\b(typ(?:e|es|ing) (?:in|text)|enter\w* text|text (?:input|entry|field|box)|free[- ]text|editable|textarea|input|\w+ fields?)\b/,
+    roles: {
+      textbox: 'Free-form text entry',
+      combobox: 'Text entry with suggested values',
+      searchbox: 'Text entry for a search query',
+    },
+    family: 'input',
+  },
+  {
+    pattern: /\b(numeric|number|quantity|increment\w*|decrement\w*|stepper)\b/,
+    roles: {
+      spinbutton: 'A number that can be typed or stepped up and down',
+      slider: 'A number chosen by moving a thumb along a range',
+    },
+    family: 'range',
+  },
+  {
+    pattern: /\b(range|drag\w*|scrub\w*|volume|brightness|thumb)\b/,
+    roles: { slider: 'A value chosen by moving a thumb along a range' },
+    family: 'range',
+  },
+  {
+    pattern: /\b(navigat\w*|goes to|go to|links? to|url)\b/,
+    roles: {
+      link: 'Navigates to another page or location',
+      navigation: 'A landmark grouping the main navigation links',
+    },
+  },
+  {
+    pattern: /\b(modal|overlay|lightbox|blocks? (?:the )?page)\b/,
+    roles: { dialog: 'A window with aria-modal="true" that keeps focus inside until it closes' },
+  },
+  {
+    pattern: /\b(confirm\w*|destructive|are you sure|interrupt\w*|urgent)\b/,
+    roles: {
+      alertdialog: 'A modal dialog that interrupts the user to get a response',
+      alert: 'An important, time-sensitive message that does not take focus',
+    },
+  },
+  {
+    pattern: /\b(announc\w*|notif\w*|toast|snackbar|status (?:message|update)|live updates?)\b/,
+    roles: {
+      status: 'Advisory updates announced politely, without moving focus',
+      alert: 'Important, time-sensitive messages announced immediately',
+      log: 'A sequence of messages where new ones are appended',
+    },
+  },
+  {
+    pattern: /\b(hierarch\w*|nested|tree|folders?|file (?:browser|explorer))\b/,
+    roles: {
+      tree: 'A hierarchical list whose items expand and collapse',
+      treegrid: 'A hierarchical list with columns of data',
+    },
+  },
+  {
+    pattern: /\b(tables?|rows?|columns?|cells?|tabular|spreadsheet|data grid)\b/,
+    roles: {
+      table: 'Static tabular data',
+      grid: 'Tabular data users navigate cell by cell with the arrow keys',
+    },
+  },
+  {
+    pattern: /\b(tabs|tabbed|tab (?:panels?|strip|bar|interface|list))\b/,
+    roles: { tablist: 'A set of tabs, each showing its own tab panel' },
+  },
+  {
+    pattern: /\b(search\w*|filter\w*)\b/,
+    roles: {
+      searchbox: 'Text entry for a search query',
+      search: 'A landmark containing the search facility',
+    },
+  },
+  {
+    pattern: /\b(commands?|actions?|context menu|menu)\b/,
+    roles: {
+      menu: 'A popup list of actions or choices',
+      menubar: 'A persistent, usually horizontal, menu of actions',
+    },
+    family: 'command',
+  },
+  {
+    pattern: /\b(click\w*|press\w*|activat\w*|submit\w*|trigger\w*|buttons?)\b/,
+    roles: { button: 'Performs an action when activated' },
+    family: 'command',
+  },
+  {
+    pattern: /\b(landmark|page (?:region|section)|region of the page|skip to)\b/,
+    family: 'landmark',
+  },
+  {
+    pattern: /\b(arrow keys?|keyboard navigation|roving)\b/,
+    family: 'composite',
+  },
+];
+
+/**
+ * Every superclass of a role, following superclassRoles up to the root
+ */
+function ancestorsOf(role, found = new Set()) {
+  (role.superclassRoles || []).forEach(name => {
+    if (found.has(name)) return;
+    found.add(name);
+    const parent = findRole(name);
+    if (parent) ancestorsOf(parent, found);
+  });
+  return found;
+}
+
+/**
+ * Recommend roles for a component description, best first. Each candidate is scored from how
+ * well its spec description matches, the interaction hints in the text, and the superclass
+ * families those hints point to, and comes with the reasons, required structure and any
+ * native HTML element that already has the role.
+ */
+export function recommendRoles(description, { limit = 5 } = {}) {
+  const text = String(description || '').toLowerCase();
+  const candidates = new Map();
+  const candidate = (name) => {
+    const role = findRole(name);
+    if (!role || role.isAbstract) return null;
+    if (!candidates.has(name)) candidates.set(name, { role, score: 0, rationale: [] });
+    return candidates.get(name);
+  };
+
+  const hits = searchSpec(text, { types: ['role'], limit: 20 });
+  const topScore = hits[0]?.score || 1;
+  hits.forEach(hit => {
+    const entry = candidate(hit.name);
+    if (!entry) return;
+    const relevance = (hit.score / topScore) * (hit.module === 'core' ? 1 : extensionWeight);
+    entry.score += relevance;
+    if (relevance >= 0.5) {
+      entry.rationale.push(`Its spec description matches: "${hit.snippet}"`);
+    }
+  });
+
+  const families = new Map();
+  interactionHints.forEach(hint => {
+    const match = text.match(hint.pattern);
+    if (!match) return;
+    Object.entries(hint.roles || {}).forEach(([name, reason], i) => {
+      const entry = candidate(name);
+      if (!entry) return;
+      entry.score += hintWeight - i * hintStep;
+      entry.rationale.push(`"${match[0]}": ${reason}`);
+    });
+    if (hint.family && !families.has(hint.family)) {
+      families.set(hint.family, match[0]);
+    }
+  });
+
+  if (families.size) {
+    Object.values(getRoles('core')).forEach(role => {
+      const ancestors = ancestorsOf(role);
+      families.forEach((phrase, family) => {
+        if (!ancestors.has(family)) return;
+        const entry = candidate(role.name);
+        if (!entry) return;
+        entry.score += familyWeight;
+        entry.rationale.push(`"${phrase}" suggests ${familyLabels[family]}, and ${role.name} is a kind of ${family}`);
+      });
+    });
+  }
+
+  return [...candidates.values()]
+    .filter(entry => entry.score >= minimumScore)
+    .sort((a, b) => b.score - a.score || a.role.name.localeCompare(b.role.name))
+    .slice(0, limit)
+    .map(({ role, score, rationale }) => {
+      const native = nativeElementsFor(role.name);
+      return {
+        name: role.name,
+        module: role.module || 'core',
+        category: role.category || 'unknown',
+        score: Math.round(score * 100) / 100,
+        rationale,
+        requiredAttributes: (role.allProps || []).filter(p => p.required).map(p => p.name),
+        requiredContextRole: role.requiredContextRole || [],
+        requiredOwnedElements: role.requiredOwnedElements || [],
+        accessibleNameRequired: !!role.accessibleNameRequired,
+        nativeElements: native.map(n => n.markup),
+        nativeRecommendation: native.length
+          ? `Use \`${native[0].markup}\`${native[0].conditions ? ` (${native[0].conditions})` : ''} instead of role="${role.name}"; it has the role built in`
+          : null,
+        patterns: getPatternsForRole(role.name).map(p => p.id),
+      };
+    });
+}
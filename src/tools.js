@@ -1,22 +1,204 @@
 // ARIA MCP Tools - Comprehensive accessibility specification tools
 // Import ARIA data generated from W3C specification
-import data from '../data/aria-data.json' with { type: 'json' };
+import {
+  data,
+  normalizeRoleName,
+  normalizeAttributeName,
+  roleModules,
+  getRoles,
+  findRole,
+  findAttribute,
+  checkRoleAttribute,
+  findDeprecation,
+  validateAttributeValue,
+  specVersions,
+  latestVersion,
+  defaultVersion,
+  getDataset,
+  withSpecVersion,
+} from './data.js';
+import { auditHtml } from './audit.js';
+import {
+  getElementMappings,
+  matchHtmlMapping,
+  describeMappingConditions,
+  checkElementConformance,
+  resolveRoleAttribute,
+} from './html.js';
+import { buildTreeFromJson, buildTreeFromHtml, jsonTreeShapeError, validateStructure } from './structure.js';
+import { computeAccessibleName } from './accname.js';
+import {
+  computeAccessibilityTree,
+  formatAccessibilityTree,
+  isFocusable,
+  globalAriaAttributes,
+} from './tree.js';
+import { diffSpecVersions } from './versions.js';
+import {
+  buildOntology,
+  ancestorPaths,
+  ancestorsOf,
+  descendantsOf,
+  descendantTree,
+  shortestRolePath,
+  ontologyGraph,
+  exportOntology,
+} from './ontology.js';
+import { roleCategoryInfo, explainRoleCategories } from './categories.js';
+import { deprecationWarning } from './deprecations.js';
+import { roleSpecUrl, propStatus } from './provenance.js';
+import { getSpecChanges, getEntityHistory } from './changelog.js';
+import { searchSpec, suggestRoles, suggestAttributes, didYouMean, closestMatches } from './search.js';
+import { recommendRoles } from './suggest.js';
+import {
+  getPatterns,
+  findPattern,
+  getPatternsForRole,
+  searchPatterns,
+  patternRoles,
+  patternAttributes,
+} from './patterns.js';
+import {
+  objectSchema,
+  stringList,
+  nullableString,
+  propSchema,
+  roleSchema,
+  roleSummarySchema,
+  attributeSchema,
+  attributeSummarySchema,
+  issueSchema,
+  htmlMappingSchema,
+  entityDiffSchema,
+  keyboardInteractionSchema,
+  patternSummarySchema,
+  patternSchema,
+  searchHitSchema,
+  roleRecommendationSchema,
+  specChangeSchema,
+  changelogEntrySchema,
+  deprecationSchema,
+} from './schemas.js';
 
 /**
- * Helper to create text response
+ * Helper to create text response, with the typed result as structuredContent
  */
-function textResponse(text) {
+function textResponse(text, structuredContent) {
   return {
-    content: [{ type: 'text', text }]
+    content: [{ type: 'text', text }],
+    ...(structuredContent && { structuredContent })
   };
 }
 
+/**
+ * Helper to create an error response (unknown role, invalid input, ...)
+ */
+function errorResponse(text) {
+  return {
+    content: [{ type: 'text', text }],
+    isError: true
+  };
+}
+
+/**
+ * Short form of a role for listings
+ */
+function roleSummary(role) {
+  return {
+    name: role.name,
+    module: role.module || 'core',
+    category: role.category || 'unknown',
+    categories: role.categories || [role.category || 'unknown'],
+    isAbstract: !!role.isAbstract,
+    description: role.description || '',
+  };
+}
+
+/**
+ * Short form of a state or property for listings
+ */
+function attributeSummary(attr) {
+  return {
+    name: attr.name,
+    type: attr.type,
+    isGlobal: !!attr.isGlobal,
+    valueType: attr.valueType || null,
+    description: attr.description || '',
+  };
+}
+
+/**
+ * Short form of an APG pattern for listings
+ */
+function patternSummary(pattern) {
+  return {
+    id: pattern.id,
+    name: pattern.name,
+    url: pattern.url,
+    description: pattern.description,
+    roles: pattern.roles,
+  };
+}
+
+/**
+ * Error for a role name that matches nothing, with the closest role names
+ */
+function roleNotFound(name, module) {
+  const where = module ? ` in ${moduleLabels[module]}` : '';
+  if (/\S\s+\S/.test(normalizeRoleName(name))) {
+    return errorResponse(`Role "${name}" not found${where}. It looks like a role attribute with fallback roles; use \`resolve-role\` to find the role it resolves to.`);
+  }
+  return errorResponse(`Role "${name}" not found${where}.${didYouMean(suggestRoles(name, module || 'all'))}`);
+}
+
+/**
+ * Error for an attribute name that matches nothing, with the closest attribute names
+ */
+function attributeNotFound(name) {
+  return errorResponse(`Attribute "${name}" not found.${didYouMean(suggestAttributes(name))}`);
+}
+
+/**
+ * Error for a pattern name that matches nothing, with the closest patterns
+ */
+function unknownPatternResponse(name) {
+  const similar = searchPatterns(name).slice(0, 5).map(p => p.id);
+  return errorResponse(`Pattern "${name}" not found.${didYouMean(similar)} Use \`list-patterns\` to see every pattern.`);
+}
+
+/**
+ * Where a role's allProps entry comes from, e.g. "inherited from command"
+ */
+function describeProvenance(prop) {
+  if (!prop?.source) return '';
+  return {
+    local: 'local',
+    inherited: `inherited from ${prop.from}`,
+    global: 'global',
+    prohibited: `prohibited by ${prop.from}`,
+  }[prop.source];
+}
+
+/**
+ * Display names for the role modules
+ */
+const moduleLabels = {
+  core: 'WAI-ARIA',
+  dpub: 'DPUB-ARIA',
+  graphics: 'Graphics-ARIA',
+};
+
 /**
  * Format role details for display
  */
 function formatRoleDetails(role, verbose = false) {
   let output = `## ${role.name}\n\n`;
-  output += `**Category:** ${role.category || 'unknown'}\n`;
+  const deprecation = deprecationWarning(findDeprecation('role', role.name));
+  if (deprecation) {
+    output += `⚠️ **Deprecated:** ${deprecation}\n\n`;
+  }
+  output += `**Module:** ${moduleLabels[role.module || 'core']}\n`;
+  output += `**Categories:** ${(role.categories || [role.category || 'unknown']).join(', ')}\n`;
   output += `**Abstract:** ${role.isAbstract ? 'Yes' : 'No'}\n\n`;
   
   if (role.description) {
@@ -46,24 +228,31 @@ function formatRoleDetails(role, verbose = false) {
     output += `**Name From:** ${role.nameFrom.join(', ')}\n`;
   }
   
+  const patterns = getPatternsForRole(role.name);
+  if (patterns.length) {
+    output += `**APG Patterns:** ${patterns.map(p => p.id).join(', ')}\n`;
+  }
+  
   if (verbose && role.allProps?.length) {
     output += `\n### Supported States and Properties\n`;
-    const required = role.allProps.filter(p => p.required);
-    const optional = role.allProps.filter(p => !p.required && !p.disallowed && !p.deprecated);
-    const deprecated = role.allProps.filter(p => p.deprecated);
-    const prohibited = role.allProps.filter(p => p.disallowed);
+    const status = p => checkRoleAttribute(role, p.name).status;
+    const required = role.allProps.filter(p => status(p) === 'required');
+    const optional = role.allProps.filter(p => status(p) === 'supported');
+    const deprecated = role.allProps.filter(p => status(p) === 'deprecated');
+    const prohibited = role.allProps.filter(p => status(p) === 'prohibited');
+    const since = p => findDeprecation('attribute', p.name)?.since;
     
     if (required.length) {
-      output += `\n**Required:**\n${required.map(p => `- ${p.name}`).join('\n')}\n`;
+      output += `\n**Required:**\n${required.map(p => `- ${p.name}${p.source ? ` (${describeProvenance(p)})` : ''}`).join('\n')}\n`;
     }
     if (optional.length) {
-      output += `\n**Supported:**\n${optional.map(p => `- ${p.name} (${p.is})`).join('\n')}\n`;
+      output += `\n**Supported:**\n${optional.map(p => `- ${p.name} (${[p.is, describeProvenance(p)].filter(Boolean).join(', ')})`).join('\n')}\n`;
     }
     if (deprecated.length) {
-      output += `\n**Deprecated:**\n${deprecated.map(p => `- ${p.name}`).join('\n')}\n`;
+      output += `\n**Deprecated:**\n${deprecated.map(p => `- ${p.name}${since(p) ? ` (since ${since(p)})` : ''}`).join('\n')}\n`;
     }
     if (prohibited.length) {
-      output += `\n**Prohibited:**\n${prohibited.map(p => `- ${p.name}`).join('\n')}\n`;
+      output += `\n**Prohibited:**\n${prohibited.map(p => `- ${p.name}${p.source ? ` (${describeProvenance(p)})` : ''}`).join('\n')}\n`;
     }
   }
   
@@ -75,6 +264,10 @@ function formatRoleDetails(role, verbose = false) {
  */
 function formatAttributeDetails(attr) {
   let output = `## ${attr.name}\n\n`;
+  const deprecation = deprecationWarning(findDeprecation('attribute', attr.name));
+  if (deprecation) {
+    output += `⚠️ **Deprecated:** ${deprecation}\n\n`;
+  }
   output += `**Type:** ${attr.type}\n`;
   
   if (attr.valueType) {
@@ -85,13 +278,20 @@ function formatAttributeDetails(attr) {
     output += `**Default Value:** ${attr.defaultValue}\n`;
   }
   
+  if (attr.minimum !== undefined) {
+    output += `**Minimum:** ${attr.minimum}\n`;
+  }
+  
   output += `**Global:** ${attr.isGlobal ? 'Yes' : 'No'}\n\n`;
   
   if (attr.description) {
     output += `### Description\n${attr.description}\n\n`;
   }
   
-  if (attr.values?.length) {
+  const valueDescriptions = Object.entries(attr.valueDescriptions || {});
+  if (valueDescriptions.length) {
+    output += `### Values\n${valueDescriptions.map(([v, desc]) => `- \`${v}\`${v === attr.defaultValue ? ' (default)' : ''}: ${desc}`).join('\n')}\n\n`;
+  } else if (attr.values?.length) {
     output += `### Allowed Values\n${attr.values.map(v => `- \`${v}\``).join('\n')}\n\n`;
   }
   
@@ -99,6 +299,60 @@ function formatAttributeDetails(attr) {
     output += `**Applicable to Roles:** ${attr.applicableRoles.join(', ')}\n`;
   }
   
+  if (attr.inheritedIntoRoles?.length) {
+    output += `**Inherited into Roles:** ${attr.isGlobal ? `all roles (global, ${attr.inheritedIntoRoles.length} roles)` : attr.inheritedIntoRoles.join(', ')}\n`;
+  }
+  
+  if (attr.requiredInRoles?.length) {
+    output += `**Required in Roles:** ${attr.requiredInRoles.join(', ')}\n`;
+  }
+  
+  if (attr.prohibitedInRoles?.length) {
+    output += `**Prohibited on Roles:** ${attr.prohibitedInRoles.join(', ')}\n`;
+  }
+  
+  return output;
+}
+
+/**
+ * Format an APG keyboard interaction table
+ */
+function formatKeyboardTable(keyboard) {
+  if (!keyboard.length) {
+    return 'No keyboard interaction: the pattern is not interactive, or relies on native elements.\n';
+  }
+  let output = `| Key | Action |\n|-----|--------|\n`;
+  keyboard.forEach(({ keys, action, optional }) => {
+    output += `| ${keys} | ${action}${optional ? ' _(optional)_' : ''} |\n`;
+  });
+  return output;
+}
+
+/**
+ * Format the roles ARIA in HTML allows in place of an element's implicit role
+ */
+function formatAllowedRoles(allowedRoles) {
+  if (allowedRoles === 'any') return 'Any role';
+  if (!allowedRoles?.length) return 'No role other than the implicit role';
+  return allowedRoles.join(', ');
+}
+
+/**
+ * Format a single HTML-AAM element mapping
+ */
+function formatHtmlMapping(mapping) {
+  let output = `**Implicit Role:** ${mapping.implicitRole || 'none (no corresponding role)'}\n`;
+  
+  const conditions = describeMappingConditions(mapping);
+  if (conditions) {
+    output += `**Conditions:** ${conditions}\n`;
+  }
+  
+  if (Object.keys(mapping.implicitValues || {}).length) {
+    output += `**Implicit Values:** ${Object.entries(mapping.implicitValues).map(([k, v]) => `${k}="${v}"`).join(', ')}\n`;
+  }
+  
+  output += `**Allowed Roles:** ${formatAllowedRoles(mapping.allowedRoles)}\n`;
   return output;
 }
 
@@ -123,108 +377,420 @@ export const tools = [
         verbose: {
           type: 'boolean',
           description: 'Include full list of supported states and properties (default: false)'
+        },
+        module: {
+          type: 'string',
+          description: 'Only look in this role module (default: all modules)',
+          enum: roleModules
         }
       },
       required: ['role']
     },
+    outputSchema: objectSchema({
+      role: roleSchema,
+      deprecation: { anyOf: [deprecationSchema, { type: 'null' }] },
+      warnings: stringList,
+    }),
     handler: async (args) => {
-      const roleName = args.role.toLowerCase().replace('role:', '').trim();
-      const role = data.roles[roleName];
+      const roleName = normalizeRoleName(args.role);
+      const module = args.module || 'all';
+      const role = findRole(roleName, module);
       
       if (!role) {
-        // Try to find similar roles
-        const similar = Object.keys(data.roles)
-          .filter(r => r.includes(roleName) || roleName.includes(r))
-          .slice(0, 5);
-        
-        let msg = `Role "${args.role}" not found.`;
-        if (similar.length) {
-          msg += ` Did you mean: ${similar.join(', ')}?`;
+        return roleNotFound(args.role, args.module);
+      }
+      
+      const deprecation = findDeprecation('role', role.name);
+      const warnings = [deprecationWarning(deprecation)].filter(Boolean);
+      return textResponse(formatRoleDetails(role, args.verbose), { role, deprecation, warnings });
+    }
+  },
+  
+  {
+    name: 'resolve-role',
+    description: 'Resolve a role attribute value (e.g., "switch checkbox") to the role user agents expose: the first known, non-abstract token wins and the rest are fallbacks. Applies the presentational role conflict rules, so role="none"/"presentation" is ignored on focusable elements and elements with global ARIA attributes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        role: {
+          type: 'string',
+          description: 'The role attribute value, with or without role="..." (e.g., "switch checkbox", "none")'
+        },
+        element: {
+          type: 'string',
+          description: 'The HTML element name, used for the implicit role and focusability (e.g., "button", "div")'
+        },
+        attributes: {
+          type: 'object',
+          description: 'Other attributes on the element; global aria-* attributes, tabindex, href, etc. count toward conflict resolution (e.g., {"tabindex": "0", "aria-label": "Close"})',
+          additionalProperties: { type: ['string', 'boolean'] }
+        },
+        focusable: {
+          type: 'boolean',
+          description: 'Whether the element is focusable (default: worked out from element and attributes)'
         }
-        return textResponse(msg);
+      },
+      required: ['role']
+    },
+    outputSchema: objectSchema({
+      input: { type: 'string' },
+      element: nullableString,
+      tokens: stringList,
+      role: nullableString,
+      source: { type: 'string', enum: ['explicit', 'fallback', 'implicit', 'none'] },
+      explicitRole: nullableString,
+      implicitRole: nullableString,
+      skipped: {
+        type: 'array',
+        items: objectSchema({
+          token: { type: 'string' },
+          reason: { type: 'string', enum: ['unknown', 'abstract'] },
+          suggestions: stringList
+        })
+      },
+      unusedFallbacks: stringList,
+      presentational: {
+        anyOf: [
+          objectSchema({ role: { type: 'string' }, ignored: { type: 'boolean' }, reasons: stringList }),
+          { type: 'null' }
+        ]
+      }
+    }),
+    handler: async (args) => {
+      const input = String(args.role || '').trim().replace(/^role\s*[=:]\s*/i, '').replace(/^(["'])(.*)\1$/s, '$2').trim();
+      const element = args.element ? args.element.toLowerCase().replace(/[<>/]/g, '').trim() : null;
+      
+      if (element && !getElementMappings(element).length) {
+        return errorResponse(`HTML element "${args.element}" not found.`);
+      }
+      
+      const attributes = Object.fromEntries(Object.entries(args.attributes || {}).map(([name, value]) => [name.toLowerCase(), value]));
+      delete attributes.role;
+      const resolved = resolveRoleAttribute(input, {
+        implicitRole: element ? matchHtmlMapping(element, attributes)?.implicitRole || null : null,
+        focusable: args.focusable ?? (element ? isFocusable(element, attributes) : false),
+        globalAttributes: globalAriaAttributes(Object.keys(attributes)),
+      });
+      const skipped = resolved.skipped.map(s => ({
+        ...s,
+        suggestions: s.reason === 'unknown' ? suggestRoles(s.token, 'all', 3) : [],
+      }));
+      
+      const target = element ? `<${element} role="${input}">` : `role="${input}"`;
+      let output = `# Resolved Role for \`${target}\`\n\n`;
+      const implicitText = element ? 'no role (the element has no implicit role)' : 'the implicit role (pass `element` to look it up)';
+      output += `**Effective Role:** ${resolved.role || (resolved.source === 'implicit' ? implicitText : 'no role')}\n`;
+      output += `**Source:** ${{
+        explicit: 'first role token',
+        fallback: 'fallback role token',
+        implicit: element ? `implicit role of <${element}>` : 'implicit role',
+        none: 'no usable role token',
+      }[resolved.source]}\n\n`;
+      
+      if (skipped.length) {
+        output += `### Skipped Tokens\n`;
+        output += skipped.map(s => `- \`${s.token}\`: ${s.reason === 'abstract' ? 'abstract role, authors must not use it' : 'not a known role'}${s.suggestions.length ? ` (did you mean ${s.suggestions.join(', ')}?)` : ''}`).join('\n') + '\n\n';
+      }
+      
+      if (resolved.unusedFallbacks.length) {
+        output += `**Unused Fallbacks:** ${resolved.unusedFallbacks.join(', ')} (only used by user agents that do not support \`${resolved.explicitRole}\`)\n\n`;
       }
       
-      return textResponse(formatRoleDetails(role, args.verbose));
+      if (resolved.presentational) {
+        const { role, ignored, reasons } = resolved.presentational;
+        output += `### Presentational Role Conflict\n`;
+        output += ignored
+          ? `role="${role}" is ignored because ${reasons.join(' and ')}; the element keeps its implicit role${resolved.implicitRole ? ` "${resolved.implicitRole}"` : ''}.\n`
+          : `role="${role}" applies: the element is not focusable and has no global ARIA attributes, so its implicit semantics are removed.\n`;
+      }
+      
+      return textResponse(output, { input, element, ...resolved, skipped });
     }
   },
   
   {
     name: 'list-roles',
-    description: 'List all ARIA roles, optionally filtered by category. Categories: widget, composite, document, landmark, liveRegion, window, abstract.',
+    description: `List all ARIA roles, optionally filtered by category and module. A role can be in several categories. Categories: ${Object.keys(roleCategoryInfo).join(', ')}. Modules: core (WAI-ARIA), dpub (DPUB-ARIA), graphics (Graphics-ARIA).`,
     inputSchema: {
       type: 'object',
       properties: {
         category: {
           type: 'string',
-          description: 'Filter by category',
-          enum: ['widget', 'composite', 'document', 'landmark', 'liveRegion', 'window', 'abstract', 'all']
+          description: 'Filter by category (see get-role-categories)',
+          enum: [...Object.keys(roleCategoryInfo), 'all']
+        },
+        module: {
+          type: 'string',
+          description: 'Filter by role module (default: all)',
+          enum: [...roleModules, 'all']
         }
       },
       required: []
     },
+    outputSchema: objectSchema({
+      category: { type: 'string' },
+      module: { type: 'string' },
+      roles: { type: 'array', items: roleSummarySchema }
+    }),
     handler: async (args) => {
       const category = args.category || 'all';
+      const module = args.module || 'all';
+      const modules = module === 'all' ? roleModules : [module];
+      
+      if (!roleModules.includes(module) && module !== 'all') {
+        return errorResponse(`Invalid module "${module}". Valid modules: ${roleModules.join(', ')}`);
+      }
+      
+      if (category !== 'all' && !data.roleCategories[category]) {
+        return errorResponse(`Invalid category "${category}". Valid categories: ${Object.keys(data.roleCategories).join(', ')}`);
+      }
+      
+      const roles = modules
+        .flatMap(m => Object.values(getRoles(m)))
+        .filter(r => category === 'all' || (r.categories || [r.category]).includes(category))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      const structured = { category, module, roles: roles.map(roleSummary) };
       
       if (category === 'all') {
         let output = '# All ARIA Roles by Category\n\n';
         
-        Object.entries(data.roleCategories).forEach(([cat, roles]) => {
+        if (modules.includes('core')) {
+          Object.entries(data.roleCategories).forEach(([cat, roles]) => {
+            if (roles.length) {
+              output += `## ${roleCategoryInfo[cat]?.title || `${cat.charAt(0).toUpperCase() + cat.slice(1)} Roles`} (${roles.length})\n`;
+              output += roles.sort().map(r => `- ${r}`).join('\n') + '\n\n';
+            }
+          });
+        }
+        
+        // Module roles are listed per module, with their category alongside
+        modules.filter(m => m !== 'core').forEach(m => {
+          const roles = Object.values(getRoles(m));
           if (roles.length) {
-            output += `## ${cat.charAt(0).toUpperCase() + cat.slice(1)} Roles (${roles.length})\n`;
-            output += roles.sort().map(r => `- ${r}`).join('\n') + '\n\n';
+            output += `## ${moduleLabels[m]} Roles (${roles.length})\n`;
+            output += roles.map(r => `- ${r.name} (${(r.categories || [r.category]).join(', ')})`).sort().join('\n') + '\n\n';
           }
         });
         
-        return textResponse(output);
-      }
-      
-      const roles = data.roleCategories[category];
-      if (!roles) {
-        return textResponse(`Invalid category "${category}". Valid categories: widget, composite, document, landmark, liveRegion, window, abstract`);
+        return textResponse(output, structured);
       }
       
       return textResponse(
-        `# ${category.charAt(0).toUpperCase() + category.slice(1)} Roles (${roles.length})\n\n` +
-        roles.sort().map(r => {
-          const role = data.roles[r];
-          return `- **${r}**: ${role?.description?.substring(0, 100)}...`;
-        }).join('\n')
+        `# ${roleCategoryInfo[category]?.title || `${category.charAt(0).toUpperCase() + category.slice(1)} Roles`} (${roles.length})\n\n` +
+        roles.map(role => {
+          return `- **${role.name}**${role.module && role.module !== 'core' ? ` [${moduleLabels[role.module]}]` : ''}: ${role.description?.substring(0, 100)}...`;
+        }).join('\n'),
+        structured
       );
     }
   },
   
+  {
+    name: 'get-role-categories',
+    description: 'Explain the role categories: the spec\'s categorization (abstract, widget, composite, document structure, generic, landmark, live region, window) and role families such as range, input and command widgets. Roles can be in several categories. Pass a role to see why it is in each of its categories.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          description: 'Only show this category',
+          enum: Object.keys(roleCategoryInfo)
+        },
+        role: {
+          type: 'string',
+          description: 'Show the categories of this role and why it belongs to each'
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      categories: {
+        type: 'array',
+        items: objectSchema({
+          name: { type: 'string' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          source: { type: 'string', enum: ['spec section', 'legacy list', 'role family'] },
+          specUrl: nullableString,
+          roles: stringList
+        })
+      },
+      role: {
+        anyOf: [
+          objectSchema({
+            name: { type: 'string' },
+            category: { type: 'string' },
+            categories: {
+              type: 'array',
+              items: objectSchema({ category: { type: 'string' }, reason: { type: 'string' } })
+            }
+          }),
+          { type: 'null' }
+        ]
+      }
+    }),
+    handler: async (args) => {
+      const roles = getRoles();
+      let roleInfo = null;
+      
+      const category = args.category && Object.keys(roleCategoryInfo).find(name => name.toLowerCase() === String(args.category).trim().toLowerCase());
+      if (args.category && !category) {
+        const similar = closestMatches(String(args.category), Object.keys(roleCategoryInfo), { limit: 3 });
+        return errorResponse(`Category "${args.category}" not found.${didYouMean(similar)} Valid categories: ${Object.keys(roleCategoryInfo).join(', ')}`);
+      }
+      
+      if (args.role) {
+        const role = findRole(normalizeRoleName(args.role));
+        if (!role) {
+          return roleNotFound(args.role);
+        }
+        roleInfo = {
+          name: role.name,
+          category: role.category,
+          categories: explainRoleCategories(roles, data.roleCategorySections, role.name),
+        };
+      }
+      
+      const legacy = !!data.legacyRoleCategorySections;
+      const sectionNote = legacy
+        ? 'Spec categories come from the category lists of a dataset generated before the parser read the spec\'s Categorization of Roles sections (run `npm run parse` to derive them from the spec)'
+        : 'Spec categories follow the spec\'s Categorization of Roles sections';
+      
+      const names = category
+        ? [category]
+        : roleInfo ? roleInfo.categories.map(c => c.category) : Object.keys(roleCategoryInfo);
+      const categories = names.map(name => {
+        const info = roleCategoryInfo[name];
+        return {
+          name,
+          title: info.title,
+          description: info.description,
+          source: info.family ? 'role family' : legacy ? 'legacy list' : 'spec section',
+          specUrl: info.section ? `${data.metadata.specUrl || 'https://w3c.github.io/aria/'}#${info.section}` : null,
+          roles: Object.values(roles)
+            .filter(r => (r.categories || [r.category]).includes(name))
+            .map(r => r.name)
+            .sort(),
+        };
+      });
+      
+      let output = '';
+      if (roleInfo) {
+        output += `# Categories for role="${roleInfo.name}"\n\n`;
+        output += `**Primary Category:** ${roleInfo.category}\n\n`;
+        output += roleInfo.categories.map(c => `- **${c.category}** (${roleCategoryInfo[c.category].title}): ${c.reason}`).join('\n') + '\n';
+        if (legacy) output += `\n${sectionNote}.\n`;
+        return textResponse(output, { categories, role: roleInfo });
+      }
+      
+      output += `# ARIA Role Categories\n\n`;
+      output += `${sectionNote}; roles not listed there (including DPUB-ARIA and Graphics-ARIA roles) inherit from their superclasses. Role families group the descendants of an abstract role. A role can be in several categories.\n\n`;
+      categories.forEach(c => {
+        output += `## ${c.title} (\`${c.name}\`, ${c.roles.length})\n\n`;
+        output += `${c.description}.${c.source === 'role family' ? '' : ` [Spec section](${c.specUrl})`}\n\n`;
+        output += c.roles.join(', ') + '\n\n';
+      });
+      
+      return textResponse(output, { categories, role: null });
+    }
+  },
+  
   {
     name: 'search-roles',
-    description: 'Search for ARIA roles by keyword in their name or description.',
+    description: 'Search for ARIA roles by keyword in their name or description, ranked by relevance, with typo tolerance and synonyms (e.g., "dropdown", "modal").',
     inputSchema: {
       type: 'object',
       properties: {
         query: {
           type: 'string',
           description: 'Search term to find in role names or descriptions'
+        },
+        module: {
+          type: 'string',
+          description: 'Only search this role module (default: all)',
+          enum: [...roleModules, 'all']
         }
       },
       required: ['query']
     },
+    outputSchema: objectSchema({
+      query: { type: 'string' },
+      matches: { type: 'array', items: roleSummarySchema }
+    }),
     handler: async (args) => {
-      const query = args.query.toLowerCase();
+      const hits = searchSpec(args.query, { types: ['role'], module: args.module || 'all', limit: Infinity });
+      const matches = hits.map(hit => findRole(hit.name));
       
-      const matches = Object.values(data.roles).filter(role => 
-        role.name.toLowerCase().includes(query) ||
-        role.description?.toLowerCase().includes(query)
-      );
+      const structured = { query: args.query, matches: matches.map(roleSummary) };
       
       if (!matches.length) {
-        return textResponse(`No roles found matching "${args.query}".`);
+        return textResponse(`No roles found matching "${args.query}".`, structured);
       }
       
       return textResponse(
         `# Roles matching "${args.query}" (${matches.length})\n\n` +
-        matches.map(r => `- **${r.name}** (${r.category}): ${r.description?.substring(0, 150)}...`).join('\n\n')
+        hits.map((hit, i) => {
+          const r = matches[i];
+          return `- **${r.name}** (${r.category}${r.module && r.module !== 'core' ? `, ${moduleLabels[r.module]}` : ''}): ${hit.snippet}`;
+        }).join('\n\n'),
+        structured
       );
     }
   },
   
+  {
+    name: 'search-spec',
+    description: 'Search roles, states and properties, APG patterns and AccName prose in one ranked list, with typo tolerance and synonyms (e.g., "dropdown" finds combobox and listbox).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words describing what you are looking for (e.g., "modal focus trap", "expanded state")'
+        },
+        type: {
+          type: 'string',
+          description: 'Only return hits of this type (default: all)',
+          enum: ['role', 'attribute', 'pattern', 'spec', 'all']
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of hits (default: 10)',
+          minimum: 1,
+          maximum: 50
+        }
+      },
+      required: ['query']
+    },
+    outputSchema: objectSchema({
+      query: { type: 'string' },
+      hits: { type: 'array', items: searchHitSchema }
+    }),
+    handler: async (args) => {
+      const type = args.type || 'all';
+      const limit = Math.min(Math.max(args.limit || 10, 1), 50);
+      const hits = searchSpec(args.query, { types: type === 'all' ? undefined : [type], limit });
+      
+      if (!hits.length) {
+        return textResponse(
+          `No results for "${args.query}".\n\nTry other words for the component or behavior (e.g., "modal", "expanded", "live region").`,
+          { query: args.query, hits }
+        );
+      }
+      
+      let output = `# Search results for "${args.query}" (${hits.length})\n\n`;
+      hits.forEach((hit, i) => {
+        output += `${i + 1}. **${hit.label}**\n`;
+        if (hit.snippet) {
+          output += `   ${hit.snippet}\n`;
+        }
+      });
+      output += `\nUse \`get-role\`, \`get-attribute\` or \`get-pattern\` for the full entry.`;
+      
+      return textResponse(output, { query: args.query, hits });
+    }
+  },
+  
   // ═══════════════════════════════════════════════════════════════════════════
   // STATE & PROPERTY TOOLS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -242,28 +808,106 @@ export const tools = [
       },
       required: ['attribute']
     },
+    outputSchema: objectSchema({
+      attribute: attributeSchema,
+      deprecation: { anyOf: [deprecationSchema, { type: 'null' }] },
+      warnings: stringList,
+    }),
     handler: async (args) => {
-      let attrName = args.attribute.toLowerCase().trim();
+      const attrName = normalizeAttributeName(args.attribute);
+      const attr = findAttribute(attrName);
       
-      // Normalize the attribute name
-      if (!attrName.startsWith('aria-')) {
-        attrName = 'aria-' + attrName;
+      if (!attr) {
+        return attributeNotFound(args.attribute);
       }
       
-      const attr = data.states[attrName] || data.properties[attrName];
+      const deprecation = findDeprecation('attribute', attr.name);
+      const warnings = [deprecationWarning(deprecation)].filter(Boolean);
+      return textResponse(formatAttributeDetails(attr), { attribute: attr, deprecation, warnings });
+    }
+  },
+  
+  {
+    name: 'get-roles-for-attribute',
+    description: 'List the roles that support an ARIA state or property (e.g., which roles can take aria-expanded), marking each as used in, inherited into, required or prohibited. Optionally filter by role category.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        attribute: {
+          type: 'string',
+          description: 'The ARIA attribute name (e.g., "aria-expanded")'
+        },
+        category: {
+          type: 'string',
+          description: 'Only include roles in this category',
+          enum: Object.keys(roleCategoryInfo)
+        }
+      },
+      required: ['attribute']
+    },
+    outputSchema: objectSchema({
+      attribute: { type: 'string' },
+      isGlobal: { type: 'boolean' },
+      category: nullableString,
+      required: stringList,
+      usedIn: stringList,
+      inheritedInto: stringList,
+      prohibited: stringList
+    }),
+    handler: async (args) => {
+      const attr = findAttribute(args.attribute);
       
       if (!attr) {
-        const allAttrs = [...Object.keys(data.states), ...Object.keys(data.properties)];
-        const similar = allAttrs.filter(a => a.includes(attrName) || attrName.includes(a)).slice(0, 5);
-        
-        let msg = `Attribute "${args.attribute}" not found.`;
-        if (similar.length) {
-          msg += ` Did you mean: ${similar.join(', ')}?`;
-        }
-        return textResponse(msg);
+        return attributeNotFound(args.attribute);
+      }
+      
+      // Abstract roles are only listed when asked for explicitly
+      const categoryRoles = args.category ? data.roleCategories[args.category] : null;
+      if (args.category && !categoryRoles) {
+        return errorResponse(`Invalid category "${args.category}". Valid categories: ${Object.keys(data.roleCategories).join(', ')}`);
+      }
+      const include = (roleName) => categoryRoles
+        ? categoryRoles.includes(roleName)
+        : !data.roles[roleName]?.isAbstract;
+      
+      const required = (attr.requiredInRoles || []).filter(include);
+      const usedIn = (attr.applicableRoles || []).filter(r => include(r) && !required.includes(r));
+      const inherited = (attr.inheritedIntoRoles || []).filter(r => include(r) && !required.includes(r));
+      const prohibited = (attr.prohibitedInRoles || []).filter(include);
+      const structured = {
+        attribute: attr.name,
+        isGlobal: !!attr.isGlobal,
+        category: args.category || null,
+        required,
+        usedIn,
+        inheritedInto: inherited,
+        prohibited,
+      };
+      
+      let output = `# Roles for ${attr.name}${args.category ? ` (${args.category} roles)` : ''}\n\n`;
+      
+      if (attr.isGlobal) {
+        output += `ℹ️ ${attr.name} is a global attribute and applies to all roles unless prohibited.\n\n`;
+      }
+      
+      if (!required.length && !usedIn.length && !inherited.length && !prohibited.length) {
+        return textResponse(output + 'No matching roles.', structured);
+      }
+      
+      if (required.length) {
+        output += `## Required (${required.length})\n${required.map(r => `- ${r}`).join('\n')}\n\n`;
+      }
+      if (usedIn.length) {
+        output += `## Used In (${usedIn.length})\n${usedIn.map(r => `- ${r}`).join('\n')}\n\n`;
+      }
+      if (inherited.length) {
+        output += `## Inherited Into (${inherited.length})\n${inherited.map(r => `- ${r}`).join('\n')}\n\n`;
+      }
+      if (prohibited.length) {
+        output += `## Prohibited (${prohibited.length})\n${prohibited.map(r => `- ${r}`).join('\n')}\n`;
       }
       
-      return textResponse(formatAttributeDetails(attr));
+      return textResponse(output, structured);
     }
   },
   
@@ -275,13 +919,17 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      states: { type: 'array', items: attributeSummarySchema }
+    }),
     handler: async () => {
       const states = Object.values(data.states);
       
       return textResponse(
         `# ARIA States (${states.length})\n\n` +
         `States reflect dynamic conditions that change based on user interaction.\n\n` +
-        states.map(s => `- **${s.name}**: ${s.description?.substring(0, 100)}...`).join('\n\n')
+        states.map(s => `- **${s.name}**: ${s.description?.substring(0, 100)}...`).join('\n\n'),
+        { states: states.map(attributeSummary) }
       );
     }
   },
@@ -299,6 +947,10 @@ export const tools = [
       },
       required: []
     },
+    outputSchema: objectSchema({
+      global: { type: 'boolean' },
+      properties: { type: 'array', items: attributeSummarySchema }
+    }),
     handler: async (args) => {
       let properties = Object.values(data.properties);
       
@@ -310,7 +962,8 @@ export const tools = [
       
       return textResponse(
         `# ${title} (${properties.length})\n\n` +
-        properties.map(p => `- **${p.name}**${p.isGlobal ? ' (global)' : ''}: ${p.description?.substring(0, 100)}...`).join('\n\n')
+        properties.map(p => `- **${p.name}**${p.isGlobal ? ' (global)' : ''}: ${p.description?.substring(0, 100)}...`).join('\n\n'),
+        { global: !!args.global, properties: properties.map(attributeSummary) }
       );
     }
   },
@@ -321,7 +974,7 @@ export const tools = [
   
   {
     name: 'validate-role-attributes',
-    description: 'Validate which ARIA attributes are allowed, required, or prohibited for a specific role.',
+    description: 'Validate which ARIA attributes are allowed, required, prohibited or deprecated for a specific role, with the replacement for anything deprecated.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -333,81 +986,316 @@ export const tools = [
           type: 'array',
           items: { type: 'string' },
           description: 'List of ARIA attributes to validate (e.g., ["aria-label", "aria-expanded"])'
+        },
+        module: {
+          type: 'string',
+          description: 'Only look up the role in this role module (default: all modules)',
+          enum: roleModules
         }
       },
       required: ['role', 'attributes']
     },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      results: {
+        type: 'array',
+        items: objectSchema({
+          attribute: { type: 'string' },
+          status: { type: 'string', enum: ['required', 'supported', 'prohibited', 'deprecated', 'not-applicable'] },
+          source: { type: 'string', enum: ['local', 'inherited', 'global', 'prohibited'] },
+          from: { type: 'string' },
+          warning: { type: 'string' }
+        }, ['attribute', 'status'])
+      },
+      warnings: stringList
+    }),
     handler: async (args) => {
       const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
+      const role = findRole(roleName, args.module || 'all');
       
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role, args.module);
       }
       
       const results = [];
-      const allProps = role.allProps || [];
+      const statuses = [];
+      const warnings = [deprecationWarning(findDeprecation('role', role.name))].filter(Boolean);
+      
+      // How far an attribute's deprecation reaches, from its registry entry
+      const deprecationScopes = { everywhere: 'on every role', global: 'as a global attribute', roles: 'on this role' };
       
       for (const attr of args.attributes) {
-        let attrName = attr.toLowerCase().trim();
-        if (!attrName.startsWith('aria-')) {
-          attrName = 'aria-' + attrName;
-        }
-        
-        const prop = allProps.find(p => p.name === attrName);
+        const { name: attrName, status, prop } = checkRoleAttribute(role, attr);
+        const deprecation = status === 'deprecated' ? findDeprecation('attribute', attrName) : null;
+        const warning = status === 'deprecated'
+          ? deprecationWarning(deprecation, role.name) || `"${attrName}" is deprecated on role "${role.name}".`
+          : null;
+        statuses.push({
+          attribute: attrName,
+          status,
+          ...(prop?.source && { source: prop.source, from: prop.from }),
+          ...(warning && { warning }),
+        });
+        if (warning) warnings.push(warning);
         
-        if (!prop) {
+        const origin = prop?.source ? ` (${describeProvenance(prop)})` : '';
+        if (status === 'not-applicable') {
           results.push(`- ⚠️ **${attrName}**: Not applicable to this role`);
-        } else if (prop.required) {
-          results.push(`- ✅ **${attrName}**: Required`);
-        } else if (prop.disallowed) {
-          results.push(`- ❌ **${attrName}**: Prohibited`);
-        } else if (prop.deprecated) {
-          results.push(`- ⚠️ **${attrName}**: Deprecated`);
+        } else if (status === 'required') {
+          results.push(`- ✅ **${attrName}**: Required${origin}`);
+        } else if (status === 'prohibited') {
+          results.push(`- ❌ **${attrName}**: Prohibited${origin}`);
+        } else if (status === 'deprecated') {
+          results.push(`- ⚠️ **${attrName}**: Deprecated ${deprecationScopes[deprecation?.scope || 'roles']}. ${warning}`);
         } else {
-          results.push(`- ✅ **${attrName}**: Supported`);
+          results.push(`- ✅ **${attrName}**: Supported${origin}`);
         }
       }
       
+      const roleWarning = findDeprecation('role', role.name) ? `⚠️ ${warnings[0]}\n\n` : '';
       return textResponse(
         `# Attribute Validation for role="${roleName}"\n\n` +
-        results.join('\n')
+        roleWarning +
+        results.join('\n') +
+        '\n\nUse `explain-role-attribute` to see where in the role hierarchy an attribute comes from.',
+        { role: role.name, results: statuses, warnings }
       );
     }
   },
   
   {
-    name: 'get-required-attributes',
-    description: 'Get all required ARIA attributes for a specific role.',
+    name: 'explain-role-attribute',
+    description: 'Explain why a role supports, requires, prohibits or does not take an ARIA attribute: walks from the role through the superclasses it inherits the attribute from to the role that declares it (or the global states and properties), noting local overrides, and cites the spec section for each step.',
     inputSchema: {
       type: 'object',
       properties: {
         role: {
           type: 'string',
-          description: 'The ARIA role name'
+          description: 'The ARIA role (e.g., "button")'
+        },
+        attribute: {
+          type: 'string',
+          description: 'The ARIA state or property (e.g., "aria-expanded")'
+        },
+        module: {
+          type: 'string',
+          description: 'Only look up the role in this role module (default: all modules)',
+          enum: roleModules
         }
       },
-      required: ['role']
+      required: ['role', 'attribute']
     },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      attribute: { type: 'string' },
+      status: { type: 'string', enum: ['required', 'supported', 'prohibited', 'deprecated', 'not-applicable'] },
+      source: { type: ['string', 'null'], enum: ['local', 'inherited', 'global', 'prohibited', null] },
+      from: nullableString,
+      path: stringList,
+      steps: {
+        type: 'array',
+        items: objectSchema({
+          role: { type: 'string' },
+          statement: { type: 'string' },
+          specUrl: { type: 'string' }
+        })
+      }
+    }),
     handler: async (args) => {
-      const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
-      
+      const role = findRole(normalizeRoleName(args.role), args.module || 'all');
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role, args.module);
+      }
+      const attr = findAttribute(args.attribute);
+      if (!attr) {
+        return attributeNotFound(args.attribute);
       }
       
-      const required = (role.allProps || []).filter(p => p.required);
-      
-      if (!required.length) {
-        return textResponse(`# Required Attributes for role="${roleName}"\n\nNo ARIA attributes are required for this role.\n\nHowever, the role ${role.accessibleNameRequired ? '**does require**' : 'does not require'} an accessible name.`);
+      const specUrl = data.metadata.specUrl || 'https://w3c.github.io/aria/';
+      const roles = getRoles();
+      const { status, prop } = checkRoleAttribute(role, attr.name);
+      const characteristic = {
+        required: 'Required States and Properties',
+        prohibited: 'Prohibited States and Properties',
+      }[prop && propStatus(prop)] || 'Supported States and Properties';
+      const steps = [];
+      
+      if (!prop) {
+        steps.push({
+          role: role.name,
+          statement: `"${role.name}" does not declare ${attr.name}, and none of the roles it inherits from do.`,
+          specUrl: roleSpecUrl(role, specUrl),
+        });
+        const usedIn = [...new Set([...(attr.applicableRoles || []), ...(attr.requiredInRoles || [])])];
+        if (usedIn.length) {
+          steps.push({ role: role.name, statement: `${attr.name} is used in roles: ${usedIn.join(', ')}.`, specUrl: `${specUrl}#${attr.name}` });
+        }
+      } else {
+        (prop.path || []).slice(0, -1).forEach((name, i) => {
+          const next = prop.path[i + 1];
+          const relation = roles[name]?.superclassRoles?.includes(next) || roles[name]?.parentRoles?.includes(next)
+            ? `inherits it from its superclass "${next}"`
+            : `is a synonym of "${next}" and inherits from it`;
+          steps.push({ role: name, statement: `"${name}" ${relation}.`, specUrl: roleSpecUrl(roles[name] || { name }, specUrl) });
+        });
+        const deprecation = findDeprecation('attribute', attr.name);
+        if (prop.source === 'global') {
+          // A deprecated global is still declared on roletype, but no longer inherited as a supported attribute
+          const inherited = {
+            global: `every role inherits it, but it is deprecated as a global attribute${deprecation?.since ? ` since ${deprecation.since}` : ''}, so roles that do not list it themselves inherit it only as deprecated`,
+            everywhere: `every role inherits it, but it is deprecated on every role${deprecation?.since ? ` since ${deprecation.since}` : ''}`,
+          }[deprecation?.scope] || 'every role inherits it';
+          steps.push({ role: prop.from, statement: `${attr.name} is a global ${attr.type}: "${prop.from}" declares it, so ${inherited}.`, specUrl: `${specUrl}#global_states` });
+        } else if (prop.from) {
+          steps.push({ role: prop.from, statement: `"${prop.from}" lists ${attr.name} under ${characteristic}.`, specUrl: roleSpecUrl(roles[prop.from] || { name: prop.from }, specUrl) });
+        }
+        if (prop.overrides) {
+          steps.push({
+            role: prop.overrides.from,
+            statement: `This overrides the ${prop.overrides.status} ${attr.name} that "${role.name}" would otherwise inherit from "${prop.overrides.from}".`,
+            specUrl: roleSpecUrl(roles[prop.overrides.from] || { name: prop.overrides.from }, specUrl),
+          });
+        }
+        const warning = status === 'deprecated' && deprecationWarning(deprecation, role.name);
+        if (warning) {
+          steps.push({ role: role.name, statement: warning, specUrl: `${specUrl}#${attr.name}` });
+        }
       }
       
-      return textResponse(
-        `# Required Attributes for role="${roleName}"\n\n` +
-        required.map(p => `- **${p.name}** (${p.is})`).join('\n') +
-        `\n\nAccessible Name Required: ${role.accessibleNameRequired ? 'Yes' : 'No'}`
-      );
+      let output = `# Why ${attr.name} is ${status === 'not-applicable' ? 'not applicable to' : `${status} on`} role="${role.name}"\n\n`;
+      if (prop?.source) {
+        output += `**Source:** ${describeProvenance(prop)}\n`;
+        output += `**Path:** ${prop.path.join(' → ')}\n\n`;
+      }
+      output += steps.map((step, i) => `${i + 1}. ${step.statement} ([§ ${step.specUrl.split('#')[1]}](${step.specUrl}))`).join('\n') + '\n';
+      
+      return textResponse(output, {
+        role: role.name,
+        attribute: attr.name,
+        status,
+        source: prop?.source || null,
+        from: prop?.from || null,
+        path: prop?.path || [],
+        steps,
+      });
+    }
+  },
+  
+  {
+    name: 'validate-attribute-value',
+    description: 'Check whether a value is valid for an ARIA attribute (e.g., aria-checked="yes", aria-level="0") against its value type, allowed tokens and bounds, and explain why not.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        attribute: {
+          type: 'string',
+          description: 'The ARIA attribute name (e.g., "aria-haspopup")'
+        },
+        value: {
+          type: 'string',
+          description: 'The attribute value to check (e.g., "dialog")'
+        }
+      },
+      required: ['attribute', 'value']
+    },
+    outputSchema: objectSchema({
+      attribute: { type: 'string' },
+      value: { type: 'string' },
+      valid: { type: 'boolean' },
+      reason: nullableString,
+      valueType: nullableString,
+      allowedValues: stringList,
+      minimum: { type: ['number', 'null'] },
+      defaultValue: nullableString,
+      isDefault: { type: 'boolean' },
+      meaning: nullableString
+    }),
+    handler: async (args) => {
+      const attr = findAttribute(args.attribute);
+      
+      if (!attr) {
+        return attributeNotFound(args.attribute);
+      }
+      
+      const reason = validateAttributeValue(attr, args.value);
+      let output = `# ${attr.name}="${args.value}"\n\n`;
+      output += reason ? `❌ **Invalid:** ${reason}\n\n` : `✅ **Valid**\n\n`;
+      
+      output += `**Value Type:** ${attr.valueType || 'Not specified'}\n`;
+      if (attr.values?.length) {
+        output += `**Allowed Tokens:** ${attr.values.map(v => `\`${v}\``).join(', ')}\n`;
+      }
+      if (attr.minimum !== undefined) {
+        output += `**Minimum:** ${attr.minimum}\n`;
+      }
+      if (attr.defaultValue) {
+        output += `**Default Value:** ${attr.defaultValue}\n`;
+      }
+      
+      const token = String(args.value).trim().toLowerCase();
+      const meaning = (!reason && attr.valueDescriptions?.[token]) || null;
+      const isDefault = !reason && !!attr.defaultValue && token === attr.defaultValue;
+      if (meaning) {
+        output += `\n**Meaning:** ${meaning}\n`;
+      }
+      if (isDefault) {
+        output += `\nℹ️ This is the default value; omitting the attribute has the same effect.\n`;
+      }
+      
+      return textResponse(output, {
+        attribute: attr.name,
+        value: String(args.value),
+        valid: !reason,
+        reason: reason || null,
+        valueType: attr.valueType || null,
+        allowedValues: attr.values || [],
+        minimum: attr.minimum ?? null,
+        defaultValue: attr.defaultValue || null,
+        isDefault,
+        meaning,
+      });
+    }
+  },
+  
+  {
+    name: 'get-required-attributes',
+    description: 'Get all required ARIA attributes for a specific role.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        role: {
+          type: 'string',
+          description: 'The ARIA role name'
+        }
+      },
+      required: ['role']
+    },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      required: { type: 'array', items: propSchema },
+      accessibleNameRequired: { type: 'boolean' }
+    }),
+    handler: async (args) => {
+      const roleName = args.role.toLowerCase();
+      const role = findRole(roleName);
+      
+      if (!role) {
+        return roleNotFound(args.role);
+      }
+      
+      const required = (role.allProps || []).filter(p => p.required);
+      const structured = { role: role.name, required, accessibleNameRequired: !!role.accessibleNameRequired };
+      
+      if (!required.length) {
+        return textResponse(`# Required Attributes for role="${roleName}"\n\nNo ARIA attributes are required for this role.\n\nHowever, the role ${role.accessibleNameRequired ? '**does require**' : 'does not require'} an accessible name.`, structured);
+      }
+      
+      return textResponse(
+        `# Required Attributes for role="${roleName}"\n\n` +
+        required.map(p => `- **${p.name}** (${p.is})`).join('\n') +
+        `\n\nAccessible Name Required: ${role.accessibleNameRequired ? 'Yes' : 'No'}`,
+        structured
+      );
     }
   },
   
@@ -424,35 +1312,99 @@ export const tools = [
       },
       required: ['role']
     },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      prohibited: { type: 'array', items: propSchema }
+    }),
     handler: async (args) => {
       const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
+      const role = findRole(roleName);
       
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role);
       }
       
       const prohibited = (role.allProps || []).filter(p => p.disallowed);
+      const structured = { role: role.name, prohibited };
       
       if (!prohibited.length) {
-        return textResponse(`# Prohibited Attributes for role="${roleName}"\n\nNo ARIA attributes are prohibited for this role.`);
+        return textResponse(`# Prohibited Attributes for role="${roleName}"\n\nNo ARIA attributes are prohibited for this role.`, structured);
       }
       
       return textResponse(
         `# Prohibited Attributes for role="${roleName}"\n\n` +
         `The following attributes MUST NOT be used with this role:\n\n` +
-        prohibited.map(p => `- **${p.name}**`).join('\n')
+        prohibited.map(p => `- **${p.name}**`).join('\n'),
+        structured
       );
     }
   },
   
+  {
+    name: 'audit-html',
+    description: 'Audit an HTML snippet for ARIA misuse: unknown roles, unsupported, prohibited or deprecated attributes, missing required attributes, and invalid attribute values.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        html: {
+          type: 'string',
+          description: 'The HTML markup to audit (e.g., \'<div role="checkbox" aria-label="Subscribe"></div>\')'
+        }
+      },
+      required: ['html']
+    },
+    outputSchema: objectSchema({
+      elementsChecked: { type: 'integer' },
+      errors: { type: 'integer' },
+      warnings: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: objectSchema({
+          element: { type: 'string' },
+          role: nullableString,
+          implicit: { type: 'boolean' },
+          issues: { type: 'array', items: issueSchema }
+        })
+      }
+    }),
+    handler: async (args) => {
+      const results = auditHtml(args.html);
+      const errors = results.reduce((n, r) => n + r.issues.filter(i => i.severity === 'error').length, 0);
+      const warnings = results.reduce((n, r) => n + r.issues.filter(i => i.severity === 'warning').length, 0);
+      const structured = { elementsChecked: results.length, errors, warnings, results };
+      
+      if (!results.length) {
+        return textResponse(`# HTML Audit\n\nNo elements with a \`role\` or \`aria-*\` attribute were found.`, structured);
+      }
+      
+      let output = `# HTML Audit\n\n`;
+      output += `**Elements Checked:** ${results.length}\n`;
+      output += `**Errors:** ${errors}\n`;
+      output += `**Warnings:** ${warnings}\n\n`;
+      
+      results.forEach((result, i) => {
+        output += `## ${i + 1}. \`${result.element}\`\n`;
+        if (result.role) {
+          output += `**Role:** ${result.role}${result.implicit ? ' (implicit)' : ''}\n`;
+        }
+        if (!result.issues.length) {
+          output += `- ✅ No issues found\n\n`;
+          return;
+        }
+        output += result.issues.map(issue => `- ${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.message}`).join('\n') + '\n\n';
+      });
+      
+      return textResponse(output, structured);
+    }
+  },
+  
   // ═══════════════════════════════════════════════════════════════════════════
   // ROLE RELATIONSHIP TOOLS
   // ═══════════════════════════════════════════════════════════════════════════
   
   {
     name: 'get-role-hierarchy',
-    description: 'Get the inheritance hierarchy for a role, showing parent and child roles.',
+    description: 'Get the inheritance hierarchy for a role: every inheritance path up to roletype (following all superclasses, e.g., treegrid inherits from both grid and tree), its direct superclass and subclass roles, and its full descendant subtree.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -463,40 +1415,206 @@ export const tools = [
       },
       required: ['role']
     },
+    outputSchema: {
+      ...objectSchema({
+        role: { type: 'string' },
+        ancestors: stringList,
+        ancestorPaths: { type: 'array', items: stringList },
+        superclassRoles: stringList,
+        subclassRoles: stringList,
+        descendants: stringList,
+        descendantTree: { $ref: '#/$defs/node' }
+      }),
+      $defs: {
+        node: objectSchema({
+          name: { type: 'string' },
+          repeated: { type: 'boolean' },
+          children: { type: 'array', items: { $ref: '#/$defs/node' } }
+        }, ['name', 'children'])
+      }
+    },
     handler: async (args) => {
-      const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
+      const roleName = normalizeRoleName(args.role);
+      const role = findRole(roleName);
       
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role);
       }
       
-      let output = `# Role Hierarchy for "${roleName}"\n\n`;
+      const ontology = buildOntology(getRoles());
+      const paths = ancestorPaths(ontology, role.name);
+      // Root first: a superclass always has fewer ancestors than its subclasses
+      const depth = name => ancestorsOf(ontology, name).length;
+      const ancestors = ancestorsOf(ontology, role.name).sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+      const descendants = descendantsOf(ontology, role.name);
+      const tree = descendantTree(ontology, role.name);
       
-      // Build ancestry chain
-      const ancestors = [];
-      let current = role;
-      while (current?.superclassRoles?.length) {
-        const parentName = current.superclassRoles[0];
-        ancestors.unshift(parentName);
-        current = data.roles[parentName];
-      }
+      let output = `# Role Hierarchy for "${role.name}"\n\n`;
       
       if (ancestors.length) {
-        output += `## Inheritance Chain\n`;
-        output += ancestors.map((a, i) => '  '.repeat(i) + `└── ${a}`).join('\n');
-        output += '\n' + '  '.repeat(ancestors.length) + `└── **${roleName}** (current)\n\n`;
+        output += `## Inheritance Paths\n`;
+        output += paths.map(path => `- ${path.slice(0, -1).join(' → ')} → **${role.name}**`).join('\n') + '\n\n';
+      }
+      
+      if (ontology.parents.get(role.name).length) {
+        output += `**Direct Superclass Roles:** ${ontology.parents.get(role.name).join(', ')}\n`;
+      }
+      
+      if (ontology.children.get(role.name).length) {
+        output += `**Direct Subclass Roles:** ${ontology.children.get(role.name).join(', ')}\n`;
+      }
+      
+      if (descendants.length) {
+        const formatTree = (nodes, depth) => nodes
+          .map(node => `${'  '.repeat(depth)}- ${node.name}${node.repeated ? ' _(see above)_' : ''}\n${formatTree(node.children, depth + 1)}`)
+          .join('');
+        output += `\n## Descendants (${descendants.length})\n${formatTree(tree.children, 0)}`;
+      }
+      
+      return textResponse(output, {
+        role: role.name,
+        ancestors,
+        ancestorPaths: paths,
+        superclassRoles: ontology.parents.get(role.name),
+        subclassRoles: ontology.children.get(role.name),
+        descendants,
+        descendantTree: tree,
+      });
+    }
+  },
+  
+  {
+    name: 'get-role-path',
+    description: 'Find the shortest path between two roles in the role ontology: up through superclasses to their nearest common ancestor, then down through subclasses (e.g., switch → checkbox → input → widget ← command ← button).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          description: 'The role to start from (e.g., "switch")'
+        },
+        to: {
+          type: 'string',
+          description: 'The role to reach (e.g., "button")'
+        }
+      },
+      required: ['from', 'to']
+    },
+    outputSchema: objectSchema({
+      from: { type: 'string' },
+      to: { type: 'string' },
+      relationship: { type: 'string', enum: ['same', 'ancestor', 'descendant', 'related', 'unrelated'] },
+      commonAncestor: nullableString,
+      path: stringList,
+      steps: {
+        type: 'array',
+        items: objectSchema({
+          from: { type: 'string' },
+          to: { type: 'string' },
+          relation: { type: 'string', enum: ['superclass', 'subclass'] }
+        })
+      }
+    }),
+    handler: async (args) => {
+      const from = findRole(normalizeRoleName(args.from));
+      if (!from) return roleNotFound(args.from);
+      const to = findRole(normalizeRoleName(args.to));
+      if (!to) return roleNotFound(args.to);
+      
+      const ontology = buildOntology(getRoles());
+      const result = shortestRolePath(ontology, from.name, to.name) || { path: [], steps: [], commonAncestor: null };
+      const relations = new Set(result.steps.map(step => step.relation));
+      const relationship = from.name === to.name ? 'same'
+        : !result.path.length ? 'unrelated'
+        : relations.size === 2 ? 'related'
+        : relations.has('superclass') ? 'ancestor' : 'descendant';
+      
+      let output = `# Role Path from "${from.name}" to "${to.name}"\n\n`;
+      if (relationship === 'unrelated') {
+        output += `"${from.name}" and "${to.name}" are not connected in the role ontology.\n`;
+      } else {
+        output += `\`${result.path[0]}${result.steps.map(step => ` ${step.relation === 'superclass' ? '→' : '←'} ${step.to}`).join('')}\`\n\n`;
+        output += {
+          same: 'Both names are the same role.',
+          ancestor: `"${to.name}" is an ancestor (superclass) of "${from.name}", ${result.steps.length} level(s) up.`,
+          descendant: `"${to.name}" is a descendant (subclass) of "${from.name}", ${result.steps.length} level(s) down.`,
+          related: `The nearest common ancestor is "${result.commonAncestor}".`,
+        }[relationship] + '\n\n';
+        output += '_Arrows point from a subclass to its superclass._\n';
       }
       
-      if (role.superclassRoles?.length) {
-        output += `**Direct Superclass Roles:** ${role.superclassRoles.join(', ')}\n`;
+      return textResponse(output, { from: from.name, to: to.name, relationship, ...result });
+    }
+  },
+  
+  {
+    name: 'export-role-ontology',
+    description: 'Export the role ontology (every role with its superclass → subclass links) or the subtree under one role as a Mermaid flowchart, Graphviz DOT digraph or JSON, ready to paste into design docs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        notation: {
+          type: 'string',
+          description: 'Diagram notation (default: mermaid)',
+          enum: ['mermaid', 'dot', 'json']
+        },
+        role: {
+          type: 'string',
+          description: 'Only export this role and its descendants (e.g., "widget"; default: the whole ontology)'
+        },
+        module: {
+          type: 'string',
+          description: 'Only include roles from this role module, plus the core roles they inherit from (default: all modules)',
+          enum: roleModules
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      notation: { type: 'string', enum: ['mermaid', 'dot', 'json'] },
+      root: nullableString,
+      nodes: {
+        type: 'array',
+        items: objectSchema({
+          name: { type: 'string' },
+          module: { type: 'string', enum: ['core', 'dpub', 'graphics'] },
+          isAbstract: { type: 'boolean' }
+        })
+      },
+      edges: {
+        type: 'array',
+        items: objectSchema({ from: { type: 'string' }, to: { type: 'string' } })
+      },
+      diagram: { type: 'string' }
+    }),
+    handler: async (args) => {
+      const notation = args.notation || 'mermaid';
+      const root = args.role ? findRole(normalizeRoleName(args.role)) : null;
+      if (args.role && !root) {
+        return roleNotFound(args.role);
       }
       
-      if (role.subclassRoles?.length) {
-        output += `**Direct Subclass Roles:** ${role.subclassRoles.join(', ')}\n`;
+      // The graph is built from every role so synonyms (img → image) resolve; a module's roles
+      // then keep the roles they inherit from, so the diagram stays connected
+      const all = getRoles();
+      const ontology = buildOntology(all);
+      let only = null;
+      if (args.module) {
+        only = new Set(Object.keys(all).filter(name => (all[name].module || 'core') === args.module));
+        [...only].forEach(name => ancestorsOf(ontology, name).forEach(ancestor => only.add(ancestor)));
       }
+      if (root && only && !only.has(root.name)) {
+        return errorResponse(`Role "${root.name}" is not in the ${moduleLabels[args.module]} ontology.`);
+      }
+      
+      const { nodes, edges } = ontologyGraph(ontology, root?.name, only);
+      const diagram = exportOntology({ nodes, edges }, notation);
       
-      return textResponse(output);
+      let output = `# Role Ontology${root ? ` under "${root.name}"` : ''}${args.module ? ` (${moduleLabels[args.module]})` : ''}\n\n`;
+      output += `${nodes.length} roles, ${edges.length} superclass → subclass links. Abstract roles are drawn dashed.\n\n`;
+      output += `\`\`\`${notation}\n${diagram}\n\`\`\`\n`;
+      
+      return textResponse(output, { notation, root: root?.name || null, nodes, edges, diagram });
     }
   },
   
@@ -513,22 +1631,29 @@ export const tools = [
       },
       required: ['role']
     },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      requiredContextRole: stringList
+    }),
     handler: async (args) => {
       const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
+      const role = findRole(roleName);
       
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role);
       }
       
+      const structured = { role: role.name, requiredContextRole: role.requiredContextRole || [] };
+      
       if (!role.requiredContextRole?.length) {
-        return textResponse(`# Required Context for role="${roleName}"\n\nThis role has no required parent context. It can be used anywhere in the document.`);
+        return textResponse(`# Required Context for role="${roleName}"\n\nThis role has no required parent context. It can be used anywhere in the document.`, structured);
       }
       
       return textResponse(
         `# Required Context for role="${roleName}"\n\n` +
         `This role MUST be contained within an element with one of these roles:\n\n` +
-        role.requiredContextRole.map(r => `- **${r}**`).join('\n')
+        role.requiredContextRole.map(r => `- **${r}**`).join('\n'),
+        structured
       );
     }
   },
@@ -546,26 +1671,317 @@ export const tools = [
       },
       required: ['role']
     },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      requiredOwnedElements: stringList
+    }),
     handler: async (args) => {
       const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
+      const role = findRole(roleName);
       
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role);
       }
       
+      const structured = { role: role.name, requiredOwnedElements: role.requiredOwnedElements || [] };
+      
       if (!role.requiredOwnedElements?.length) {
-        return textResponse(`# Required Owned Elements for role="${roleName}"\n\nThis role has no required child elements.`);
+        return textResponse(`# Required Owned Elements for role="${roleName}"\n\nThis role has no required child elements.`, structured);
       }
       
       return textResponse(
         `# Required Owned Elements for role="${roleName}"\n\n` +
         `This role MUST contain elements with one of these roles:\n\n` +
-        role.requiredOwnedElements.map(r => `- **${r}**`).join('\n')
+        role.requiredOwnedElements.map(r => `- **${r}**`).join('\n'),
+        structured
       );
     }
   },
   
+  {
+    name: 'validate-structure',
+    description: 'Validate parent/child role nesting (required context roles and required owned elements) for a role tree given as JSON or HTML, including intermediate group/rowgroup containers and aria-owns re-parenting.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tree: {
+          type: ['object', 'array', 'string'],
+          description: 'Role tree as JSON: {"role": "listbox", "children": [{"role": "option"}]}. Nodes may have "id" and "owns" (aria-owns IDs).'
+        },
+        html: {
+          type: 'string',
+          description: 'HTML markup to validate instead of a JSON tree; explicit and implicit roles are used'
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      checked: { type: 'integer' },
+      problems: { type: 'array', items: issueSchema }
+    }),
+    handler: async (args) => {
+      let root;
+      if (args.html) {
+        root = buildTreeFromHtml(args.html);
+      } else if (args.tree) {
+        let tree = args.tree;
+        if (typeof tree === 'string') {
+          try {
+            tree = JSON.parse(tree);
+          } catch (error) {
+            return errorResponse(`Invalid JSON tree: ${error.message}`);
+          }
+        }
+        const shapeError = jsonTreeShapeError(tree);
+        if (shapeError) {
+          return errorResponse(`Invalid tree: ${shapeError}.`);
+        }
+        root = buildTreeFromJson(tree);
+      } else {
+        return errorResponse('Provide either a JSON `tree` or an `html` snippet to validate.');
+      }
+      
+      const { checked, problems } = validateStructure(root);
+      const structured = { checked, problems };
+      
+      let output = `# Structure Validation\n\n`;
+      output += `**Roles Checked:** ${checked}\n`;
+      output += `**Problems:** ${problems.length}\n\n`;
+      
+      if (!problems.length) {
+        output += `✅ All parent/child role relationships satisfy the spec.\n`;
+        return textResponse(output, structured);
+      }
+      
+      output += problems
+        .map(p => `- ${p.severity === 'error' ? '❌' : '⚠️'} ${p.path ? `\`${p.path}\`: ` : ''}${p.message}`)
+        .join('\n');
+      
+      return textResponse(output, structured);
+    }
+  },
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HTML ELEMENT TOOLS
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  {
+    name: 'get-html-element',
+    description: 'Get the HTML-AAM implicit role mappings for an HTML element, including the conditions each mapping depends on and which ARIA roles may override it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        element: {
+          type: 'string',
+          description: 'The HTML element name (e.g., "a", "section", "input")'
+        }
+      },
+      required: ['element']
+    },
+    outputSchema: objectSchema({
+      element: { type: 'string' },
+      mappings: { type: 'array', items: htmlMappingSchema }
+    }),
+    handler: async (args) => {
+      const element = args.element.toLowerCase().replace(/[<>/]/g, '').trim();
+      const mappings = getElementMappings(element);
+      
+      if (!mappings.length) {
+        const similar = Object.keys(data.htmlMappings || {})
+          .filter(e => e.includes(element) || element.includes(e))
+          .slice(0, 5);
+        
+        let msg = `HTML element "${args.element}" not found.`;
+        if (similar.length) {
+          msg += ` Did you mean: ${similar.join(', ')}?`;
+        }
+        return errorResponse(msg);
+      }
+      
+      let output = `# HTML Element <${element}>\n\n`;
+      
+      mappings.forEach(mapping => {
+        output += `## ${mapping.condition || 'All cases'}\n`;
+        output += formatHtmlMapping(mapping) + '\n';
+      });
+      
+      return textResponse(output, { element, mappings });
+    }
+  },
+  
+  {
+    name: 'get-implicit-role',
+    description: 'Get the implicit ARIA role of an HTML element given its attributes and ancestors (e.g., an "a" with or without href, or a "header" inside an article).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        element: {
+          type: 'string',
+          description: 'The HTML element name (e.g., "a", "header", "input")'
+        },
+        attributes: {
+          type: 'object',
+          description: 'Attributes present on the element (e.g., {"type": "checkbox"} or {"href": "/home"})',
+          additionalProperties: { type: ['string', 'boolean'] }
+        },
+        ancestors: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Ancestor element names, nearest first (e.g., ["article", "body"])'
+        },
+        hasAccessibleName: {
+          type: 'boolean',
+          description: 'Whether the element has an accessible name (defaults to checking aria-label, aria-labelledby and title)'
+        }
+      },
+      required: ['element']
+    },
+    outputSchema: objectSchema({
+      element: { type: 'string' },
+      implicitRole: nullableString,
+      mapping: { anyOf: [htmlMappingSchema, { type: 'null' }] },
+      otherMappings: { type: 'array', items: htmlMappingSchema }
+    }),
+    handler: async (args) => {
+      const element = args.element.toLowerCase().replace(/[<>/]/g, '').trim();
+      
+      if (!getElementMappings(element).length) {
+        return errorResponse(`HTML element "${args.element}" not found.`);
+      }
+      
+      const mapping = matchHtmlMapping(element, args.attributes, {
+        ancestors: (args.ancestors || []).map(tag => ({ tag: tag.toLowerCase() })),
+        hasAccessibleName: args.hasAccessibleName,
+      });
+      
+      const others = getElementMappings(element).filter(m => m !== mapping);
+      const structured = { element, implicitRole: mapping?.implicitRole || null, mapping, otherMappings: others };
+      
+      if (!mapping) {
+        return textResponse(`# Implicit Role for <${element}>\n\nNo HTML-AAM mapping matches the given attributes and context. Use \`get-html-element\` to see all mappings for this element.`, structured);
+      }
+      
+      let output = `# Implicit Role for <${element}>\n\n`;
+      if (mapping.condition) {
+        output += `**Matched Mapping:** ${mapping.condition}\n`;
+      }
+      output += formatHtmlMapping(mapping);
+      
+      if (others.length) {
+        output += `\n### Other Mappings\n`;
+        output += others.map(m => `- ${m.condition || 'All cases'}: ${m.implicitRole || 'no corresponding role'}`).join('\n') + '\n';
+      }
+      
+      return textResponse(output, structured);
+    }
+  },
+  
+  {
+    name: 'check-element-role',
+    description: 'Check ARIA in HTML conformance for an HTML element: which role values are allowed, which are redundant with the implicit role, and which aria-* attributes are disallowed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        element: {
+          type: 'string',
+          description: 'The HTML element name (e.g., "a", "div", "input")'
+        },
+        attributes: {
+          type: 'object',
+          description: 'Attributes on the element, including role and aria-* (e.g., {"href": "/home", "role": "button"})',
+          additionalProperties: { type: ['string', 'boolean'] }
+        },
+        ancestors: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Ancestor element names, nearest first (e.g., ["article", "body"])'
+        }
+      },
+      required: ['element']
+    },
+    outputSchema: objectSchema({
+      element: { type: 'string' },
+      mapping: { anyOf: [htmlMappingSchema, { type: 'null' }] },
+      implicitRole: nullableString,
+      effectiveRole: nullableString,
+      allowedRoles: { type: ['string', 'array'], items: { type: 'string' } },
+      disallowed: stringList,
+      issues: { type: 'array', items: issueSchema }
+    }),
+    handler: async (args) => {
+      const element = args.element.toLowerCase().replace(/[<>/]/g, '').trim();
+      
+      if (!getElementMappings(element).length) {
+        return errorResponse(`HTML element "${args.element}" not found.`);
+      }
+      
+      const attributes = args.attributes || {};
+      const result = checkElementConformance(element, attributes, {
+        ancestors: (args.ancestors || []).map(tag => ({ tag: tag.toLowerCase() })),
+      });
+      const { mapping, rules } = result;
+      
+      let output = `# ARIA in HTML: <${element}>\n\n`;
+      if (mapping?.condition) {
+        output += `**Matched Mapping:** ${mapping.condition}\n`;
+      }
+      output += `**Implicit Role:** ${result.implicitRole || 'none (no corresponding role)'}\n`;
+      output += `**Allowed Roles:** ${formatAllowedRoles(result.allowedRoles)}\n`;
+      if (result.implicitRole) {
+        output += `**Redundant Role:** ${result.implicitRole} (SHOULD NOT be set explicitly)\n`;
+      }
+      
+      // Attributes that are disallowed regardless of what the author wrote
+      const disallowed = [];
+      if (rules.ariaAttributes === 'none') {
+        disallowed.push('All aria-* attributes');
+      } else if (Array.isArray(rules.ariaAttributes)) {
+        disallowed.push(`All aria-* attributes except ${rules.ariaAttributes.join(', ')}`);
+      }
+      (rules.disallowed || []).forEach(name => disallowed.push(name));
+      Object.entries(rules.disallowedValues || {}).forEach(([name, values]) => {
+        values.forEach(v => disallowed.push(`${name}="${v}"`));
+      });
+      const effectiveRole = findRole(result.effectiveRole);
+      (effectiveRole?.allProps || [])
+        .filter(p => p.disallowed)
+        .forEach(p => disallowed.push(`${p.name} (prohibited on role ${effectiveRole.name})`));
+      
+      output += `\n### Disallowed aria-* Attributes\n`;
+      output += disallowed.length ? disallowed.map(d => `- ${d}`).join('\n') + '\n' : 'None beyond the role rules.\n';
+      
+      const ariaNames = Object.keys(attributes).map(a => a.toLowerCase()).filter(a => a.startsWith('aria-'));
+      const issues = [...result.issues];
+      if (effectiveRole) {
+        ariaNames.forEach(name => {
+          const { status } = checkRoleAttribute(effectiveRole, name);
+          if (status === 'not-applicable' && findAttribute(name)) {
+            issues.push({ severity: 'error', rule: 'unsupported-attribute', attribute: name, message: `"${name}" is not supported on role "${effectiveRole.name}"` });
+          } else if (status === 'prohibited') {
+            issues.push({ severity: 'error', rule: 'prohibited-attribute', attribute: name, message: `"${name}" is prohibited on role "${effectiveRole.name}"` });
+          }
+        });
+      }
+      
+      if (attributes.role || ariaNames.length) {
+        output += `\n### Checked Attributes\n`;
+        output += issues.length
+          ? issues.map(issue => `- ${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.message}`).join('\n') + '\n'
+          : '- ✅ No conformance issues found\n';
+      }
+      
+      return textResponse(output, {
+        element,
+        mapping,
+        implicitRole: result.implicitRole,
+        effectiveRole: result.effectiveRole,
+        allowedRoles: result.allowedRoles,
+        disallowed,
+        issues,
+      });
+    }
+  },
+  
   // ═══════════════════════════════════════════════════════════════════════════
   // ACCESSIBLE NAME TOOLS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -583,12 +1999,18 @@ export const tools = [
       },
       required: ['role']
     },
+    outputSchema: objectSchema({
+      role: { type: 'string' },
+      accessibleNameRequired: { type: 'boolean' },
+      nameFrom: stringList,
+      childrenPresentational: { type: 'boolean' }
+    }),
     handler: async (args) => {
       const roleName = args.role.toLowerCase();
-      const role = data.roles[roleName];
+      const role = findRole(roleName);
       
       if (!role) {
-        return textResponse(`Role "${args.role}" not found.`);
+        return roleNotFound(args.role);
       }
       
       let output = `# Accessible Name for role="${roleName}"\n\n`;
@@ -611,7 +2033,143 @@ export const tools = [
         output += `⚠️ **Note:** Children are presentational - their semantics are hidden from assistive technology.\n`;
       }
       
-      return textResponse(output);
+      return textResponse(output, {
+        role: role.name,
+        accessibleNameRequired: !!role.accessibleNameRequired,
+        nameFrom: role.nameFrom || [],
+        childrenPresentational: !!role.childrenPresentational,
+      });
+    }
+  },
+  
+  {
+    name: 'compute-accessible-name',
+    description: 'Compute the accessible name and description of an element in an HTML fragment using the AccName 1.2 algorithm, with a step-by-step trace of which rule produced each piece.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        html: {
+          type: 'string',
+          description: 'The HTML fragment containing the element and anything it references'
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector for the element to name (e.g., "#save", "button", "[role=checkbox]")'
+        }
+      },
+      required: ['html', 'selector']
+    },
+    outputSchema: objectSchema({
+      element: { type: 'string' },
+      role: nullableString,
+      nameFrom: stringList,
+      name: { type: 'string' },
+      description: { type: 'string' },
+      warnings: stringList,
+      trace: {
+        type: 'array',
+        items: objectSchema({
+          step: { type: 'string' },
+          rule: { type: 'string' },
+          element: { type: 'string' },
+          depth: { type: 'integer' },
+          text: { type: 'string' }
+        })
+      }
+    }),
+    handler: async (args) => {
+      let result;
+      try {
+        result = computeAccessibleName(args.html, args.selector);
+      } catch (error) {
+        return errorResponse(`Invalid selector "${args.selector}": ${error.message}`);
+      }
+      
+      if (!result) {
+        return errorResponse(`No element matches selector "${args.selector}".`);
+      }
+      
+      let output = `# Accessible Name for \`${result.element}\`\n\n`;
+      output += `**Role:** ${result.role || 'none'}\n`;
+      output += `**Name From:** ${result.nameFrom.join(', ') || 'Not specified'}\n`;
+      output += `**Name:** ${result.name ? `"${result.name}"` : '(empty)'}\n`;
+      output += `**Description:** ${result.description ? `"${result.description}"` : '(empty)'}\n\n`;
+      
+      if (result.warnings.length) {
+        output += result.warnings.map(w => `⚠️ ${w}`).join('\n') + '\n\n';
+      }
+      
+      if (result.trace.length) {
+        output += `### Computation Trace\n`;
+        output += result.trace
+          .map(t => `${'  '.repeat(t.depth)}- **${t.step}** ${t.rule} on \`${t.element}\`${t.text ? `: "${t.text}"` : ''}`)
+          .join('\n') + '\n';
+      }
+      
+      return textResponse(output, result);
+    }
+  },
+  
+  {
+    name: 'get-accessibility-tree',
+    description: 'Build the accessibility tree browsers expose for an HTML fragment: implicit and explicit roles (with fallback lists), role="none"/"presentation" conflict resolution, hidden and aria-hidden pruning, presentational children, aria-owns re-parenting, and computed names and states.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        html: {
+          type: 'string',
+          description: 'The HTML fragment to build the tree for'
+        },
+        includeGeneric: {
+          type: 'boolean',
+          description: 'Keep generic containers (div, span, ...) that have no ARIA attributes or tabindex (default: false, they are collapsed)'
+        }
+      },
+      required: ['html']
+    },
+    outputSchema: {
+      ...objectSchema({
+        tree: { type: 'array', items: { $ref: '#/$defs/node' } },
+        nodeCount: { type: 'integer' },
+        excluded: {
+          type: 'array',
+          items: objectSchema({
+            element: { type: 'string' },
+            reason: { type: 'string' }
+          })
+        },
+        warnings: stringList
+      }),
+      $defs: {
+        node: objectSchema({
+          role: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          states: { type: 'object', additionalProperties: { type: 'string' } },
+          element: { type: 'string' },
+          children: { type: 'array', items: { $ref: '#/$defs/node' } }
+        }, ['role', 'children'])
+      }
+    },
+    handler: async (args) => {
+      const result = computeAccessibilityTree(args.html, { includeGeneric: !!args.includeGeneric });
+      
+      let output = `# Accessibility Tree\n\n`;
+      output += result.tree.length
+        ? `\`\`\`\n${formatAccessibilityTree(result.tree)}\n\`\`\`\n\n`
+        : `The fragment exposes nothing to assistive technology.\n\n`;
+      
+      if (result.excluded.length) {
+        output += `### Excluded\n`;
+        output += result.excluded.map(e => `- \`${e.element}\` (${e.reason})`).join('\n') + '\n\n';
+      }
+      
+      if (result.warnings.length) {
+        output += `### Warnings\n`;
+        output += result.warnings.map(w => `⚠️ ${w}`).join('\n') + '\n';
+      }
+      
+      return textResponse(output, result);
     }
   },
   
@@ -623,6 +2181,9 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      roles: { type: 'array', items: roleSummarySchema }
+    }),
     handler: async () => {
       const rolesWithName = Object.values(data.roles)
         .filter(r => r.accessibleNameRequired)
@@ -630,7 +2191,8 @@ export const tools = [
       
       return textResponse(
         `# Roles Requiring an Accessible Name (${rolesWithName.length})\n\n` +
-        rolesWithName.map(r => `- **${r.name}** (${r.category})`).join('\n')
+        rolesWithName.map(r => `- **${r.name}** (${r.category})`).join('\n'),
+        { roles: rolesWithName.map(roleSummary) }
       );
     }
   },
@@ -647,6 +2209,9 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      roles: { type: 'array', items: roleSummarySchema }
+    }),
     handler: async () => {
       const landmarks = data.roleCategories.landmark || [];
       
@@ -665,7 +2230,9 @@ export const tools = [
       output += `- Don't overuse landmarks - they should represent significant regions\n`;
       output += `- The \`main\` landmark should appear only once per page\n`;
       
-      return textResponse(output);
+      return textResponse(output, {
+        roles: landmarks.map(name => data.roles[name]).filter(Boolean).map(roleSummary)
+      });
     }
   },
   
@@ -687,16 +2254,23 @@ export const tools = [
       },
       required: []
     },
+    outputSchema: objectSchema({
+      type: { type: 'string' },
+      roles: { type: 'array', items: roleSummarySchema }
+    }),
     handler: async (args) => {
       const type = args.type || 'all';
       
+      // Composite widgets are widgets too; simple widgets are the rest
+      const composite = data.roleCategories.composite || [];
       let roles = [];
       if (type === 'all' || type === 'simple') {
-        roles = roles.concat(data.roleCategories.widget || []);
+        roles = roles.concat((data.roleCategories.widget || []).filter(name => !composite.includes(name)));
       }
       if (type === 'all' || type === 'composite') {
-        roles = roles.concat(data.roleCategories.composite || []);
+        roles = roles.concat(composite);
       }
+      roles = [...new Set(roles)];
       
       const title = type === 'composite' ? 'Composite Widget Roles' : 
                     type === 'simple' ? 'Simple Widget Roles' : 
@@ -707,7 +2281,8 @@ export const tools = [
         roles.sort().map(name => {
           const role = data.roles[name];
           return `- **${name}**: ${role?.description?.substring(0, 100)}...`;
-        }).join('\n\n')
+        }).join('\n\n'),
+        { type, roles: roles.map(name => data.roles[name]).filter(Boolean).map(roleSummary) }
       );
     }
   },
@@ -724,6 +2299,9 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      roles: { type: 'array', items: roleSummarySchema }
+    }),
     handler: async () => {
       const liveRegions = data.roleCategories.liveRegion || [];
       
@@ -745,7 +2323,9 @@ export const tools = [
       output += `- Use \`status\` for advisory information\n`;
       output += `- Avoid excessive live region announcements\n`;
       
-      return textResponse(output);
+      return textResponse(output, {
+        roles: liveRegions.map(name => data.roles[name]).filter(Boolean).map(roleSummary)
+      });
     }
   },
   
@@ -761,10 +2341,34 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      metadata: objectSchema({
+        version: { type: 'string' },
+        specUrl: { type: 'string' },
+        sourceUrl: { type: 'string' },
+        sourceCommit: {
+          anyOf: [objectSchema({ sha: { type: 'string' }, date: { type: 'string' }, subject: { type: 'string' } }), { type: 'null' }]
+        },
+        generatedAt: { type: 'string' }
+      }, ['version']),
+      statistics: objectSchema({
+        roles: { type: 'integer' },
+        dpubRoles: { type: 'integer' },
+        graphicsRoles: { type: 'integer' },
+        states: { type: 'integer' },
+        properties: { type: 'integer' },
+        globalAttributes: { type: 'integer' }
+      }),
+      availableVersions: stringList,
+      latestVersion: { type: 'string' },
+      defaultVersion: { type: 'string' }
+    }),
     handler: async () => {
       const meta = data.metadata;
       const stats = {
         roles: Object.keys(data.roles).length,
+        dpubRoles: Object.keys(getRoles('dpub')).length,
+        graphicsRoles: Object.keys(getRoles('graphics')).length,
         states: Object.keys(data.states).length,
         properties: Object.keys(data.properties).length,
         globalAttributes: data.globalStatesAndProperties?.length || 0,
@@ -775,16 +2379,297 @@ export const tools = [
         `**Version:** WAI-ARIA ${meta.version}\n` +
         `**Specification URL:** ${meta.specUrl}\n` +
         `**Source Repository:** ${meta.sourceUrl}\n` +
+        (meta.sourceCommit ? `**Upstream Commit:** ${meta.sourceCommit.sha.slice(0, 7)} (${meta.sourceCommit.date.slice(0, 10)})\n` : '') +
         `**Data Generated:** ${meta.generatedAt}\n\n` +
         `## Statistics\n\n` +
         `- **Roles:** ${stats.roles}\n` +
+        `- **DPUB-ARIA Roles:** ${stats.dpubRoles}\n` +
+        `- **Graphics-ARIA Roles:** ${stats.graphicsRoles}\n` +
         `- **States:** ${stats.states}\n` +
         `- **Properties:** ${stats.properties}\n` +
-        `- **Global Attributes:** ${stats.globalAttributes}\n`
+        `- **Global Attributes:** ${stats.globalAttributes}\n\n` +
+        `**Available Versions:** ${specVersions.join(', ')} (default: ${defaultVersion})\n`,
+        { metadata: meta, statistics: stats, availableVersions: specVersions, latestVersion, defaultVersion }
       );
     }
   },
   
+  {
+    name: 'diff-spec-versions',
+    description: 'Compare two ARIA spec versions: roles, states and properties, and role/attribute relationships that were added, removed, deprecated or changed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          description: 'The older spec version (e.g., "1.2")',
+          enum: specVersions
+        },
+        to: {
+          type: 'string',
+          description: `The newer spec version (default: ${latestVersion})`,
+          enum: specVersions
+        }
+      },
+      required: ['from']
+    },
+    outputSchema: objectSchema({
+      from: { type: 'string' },
+      to: { type: 'string' },
+      roles: entityDiffSchema,
+      attributes: entityDiffSchema,
+      relationships: objectSchema({
+        added: {
+          type: 'array',
+          items: objectSchema({ role: { type: 'string' }, attribute: { type: 'string' }, status: { type: 'string' } })
+        },
+        removed: {
+          type: 'array',
+          items: objectSchema({ role: { type: 'string' }, attribute: { type: 'string' }, status: { type: 'string' } })
+        },
+        changed: {
+          type: 'array',
+          items: objectSchema({
+            role: { type: 'string' },
+            attribute: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' }
+          })
+        }
+      })
+    }),
+    handler: async (args) => {
+      const to = args.to || latestVersion;
+      const fromData = getDataset(args.from);
+      const toData = getDataset(to);
+      
+      if (!fromData || !toData) {
+        const missing = !fromData ? args.from : to;
+        return errorResponse(
+          `No dataset for ARIA ${missing}. Available versions: ${specVersions.join(', ')}.\n\n` +
+          `Generate one with \`npm run parse -- --spec-version ${missing}\` (or \`npm run parse -- --all\`).`
+        );
+      }
+      
+      const diff = diffSpecVersions(fromData, toData);
+      let output = `# ARIA ${args.from} → ${to}\n\n`;
+      
+      const formatEntities = (label, { added, removed, deprecated, changed }) => {
+        let section = `## ${label}\n\n`;
+        if (!added.length && !removed.length && !deprecated.length && !changed.length) {
+          return section + 'No changes.\n\n';
+        }
+        if (added.length) section += `**Added (${added.length}):** ${added.join(', ')}\n\n`;
+        if (removed.length) section += `**Removed (${removed.length}):** ${removed.join(', ')}\n\n`;
+        if (deprecated.length) {
+          section += `**Deprecated (${deprecated.length}):** ${deprecated.map(d => `${d.name} (in ${d.in})`).join(', ')}\n\n`;
+        }
+        if (changed.length) {
+          section += `**Changed (${changed.length}):**\n`;
+          section += changed.map(entry =>
+            `- **${entry.name}**: ${entry.changes.map(c => `${c.field} ${c.from} → ${c.to}`).join('; ')}`
+          ).join('\n') + '\n\n';
+        }
+        return section;
+      };
+      
+      output += formatEntities('Roles', diff.roles);
+      output += formatEntities('States & Properties', diff.attributes);
+      
+      const { added, removed, changed } = diff.relationships;
+      output += `## Role/Attribute Relationships\n\n`;
+      if (!added.length && !removed.length && !changed.length) {
+        output += 'No changes.\n';
+      }
+      if (added.length) {
+        output += `**Added (${added.length}):**\n${added.map(r => `- ${r.role}: ${r.attribute} (${r.status})`).join('\n')}\n\n`;
+      }
+      if (removed.length) {
+        output += `**Removed (${removed.length}):**\n${removed.map(r => `- ${r.role}: ${r.attribute} (was ${r.status})`).join('\n')}\n\n`;
+      }
+      if (changed.length) {
+        output += `**Changed (${changed.length}):**\n${changed.map(r => `- ${r.role}: ${r.attribute} ${r.from} → ${r.to}`).join('\n')}\n`;
+      }
+      
+      return textResponse(output, diff);
+    }
+  },
+  
+  {
+    name: 'get-spec-changes',
+    description: 'List semantic ARIA spec changes recorded each time the data was regenerated from upstream w3c/aria: roles and attributes added, removed or deprecated, characteristics and descriptions changed, and attributes newly required, prohibited or supported on a role.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: {
+          type: 'string',
+          description: 'Only changes after this date (YYYY-MM-DD) or upstream w3c/aria commit SHA (default: all recorded changes)'
+        },
+        entity: {
+          type: 'string',
+          description: 'Only changes to roles or to attributes (default: both)',
+          enum: ['role', 'attribute']
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      since: nullableString,
+      currentCommit: nullableString,
+      totalChanges: { type: 'integer' },
+      entries: { type: 'array', items: changelogEntrySchema }
+    }),
+    handler: async (args) => {
+      let entries;
+      try {
+        entries = getSpecChanges(args.since);
+      } catch (error) {
+        return errorResponse(`${error.message}. Pass a date such as 2025-01-31 or a commit SHA from \`get-aria-version\`.`);
+      }
+      
+      if (args.entity) {
+        entries = entries
+          .map(entry => ({ ...entry, changes: entry.changes.filter(c => c.entity === args.entity || (args.entity === 'attribute' && c.attribute)) }))
+          .filter(entry => entry.changes.length);
+      }
+      
+      const totalChanges = entries.reduce((sum, entry) => sum + entry.changes.length, 0);
+      const structured = {
+        since: args.since || null,
+        currentCommit: data.metadata.sourceCommit?.sha || null,
+        totalChanges,
+        entries,
+      };
+      
+      let output = `# ARIA Spec Changes${args.since ? ` since ${args.since}` : ''}\n\n`;
+      if (!entries.length) {
+        output += `No spec changes recorded${args.since ? ' since then' : ''}. Changes are recorded when \`npm run parse\` regenerates the data from a newer upstream commit.\n`;
+        return textResponse(output, structured);
+      }
+      
+      output += `**${totalChanges} change${totalChanges === 1 ? '' : 's'}** in ${entries.length} update${entries.length === 1 ? '' : 's'}\n\n`;
+      [...entries].reverse().forEach(entry => {
+        const commit = entry.to.commit ? ` (w3c/aria ${entry.to.commit.slice(0, 7)})` : '';
+        output += `## ${(entry.to.date || entry.to.generatedAt || 'Unknown date').slice(0, 10)}${commit}\n\n`;
+        if (entry.to.subject) output += `_${entry.to.subject}_\n\n`;
+        output += entry.changes.map(c => `- ${c.summary}`).join('\n') + '\n\n';
+      });
+      
+      return textResponse(output, structured);
+    }
+  },
+  
+  {
+    name: 'get-entity-history',
+    description: 'Show the recorded change history of one role or attribute across upstream spec updates, including changes to which roles require, support or prohibit an attribute.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        role: {
+          type: 'string',
+          description: 'The ARIA role name (e.g., "combobox")'
+        },
+        attribute: {
+          type: 'string',
+          description: 'The ARIA state or property name (e.g., "aria-errormessage")'
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      entity: { type: 'string', enum: ['role', 'attribute'] },
+      name: { type: 'string' },
+      current: { type: 'boolean' },
+      history: {
+        type: 'array',
+        items: {
+          ...specChangeSchema,
+          properties: { ...specChangeSchema.properties, date: { type: 'string' }, commit: nullableString }
+        }
+      }
+    }),
+    handler: async (args) => {
+      if (!args.role === !args.attribute) {
+        return errorResponse('Provide either "role" or "attribute".');
+      }
+      
+      const entity = args.role ? 'role' : 'attribute';
+      const name = args.role ? normalizeRoleName(args.role) : normalizeAttributeName(args.attribute);
+      const current = !!(args.role ? findRole(name) : findAttribute(name));
+      const history = getEntityHistory(entity, name);
+      
+      if (!current && !history.length) {
+        return args.role ? roleNotFound(args.role) : attributeNotFound(args.attribute);
+      }
+      
+      let output = `# History of ${entity === 'role' ? `role="${name}"` : name}\n\n`;
+      if (!current) output += `⚠️ Not in the current spec data.\n\n`;
+      output += history.length
+        ? history.map(c => `- **${c.date.slice(0, 10)}**${c.commit ? ` (${c.commit.slice(0, 7)})` : ''}: ${c.summary}`).join('\n') + '\n'
+        : `No changes recorded. Changes are recorded when \`npm run parse\` regenerates the data from a newer upstream commit.\n`;
+      
+      return textResponse(output, { entity, name, current, history });
+    }
+  },
+  
+  {
+    name: 'list-deprecated',
+    description: 'List deprecated ARIA roles and attributes with when each was deprecated, the replacement the spec names, and its migration guidance. Includes attributes deprecated as global attributes, which stay allowed on roles that explicitly support them.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity: {
+          type: 'string',
+          description: 'Only list deprecated roles or deprecated attributes (default: both)',
+          enum: ['role', 'attribute']
+        },
+        module: {
+          type: 'string',
+          description: 'Only list roles from this role module (default: all modules)',
+          enum: roleModules
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      deprecations: { type: 'array', items: deprecationSchema }
+    }),
+    handler: async (args) => {
+      const registry = data.deprecations || { roles: {}, attributes: {} };
+      const roles = args.entity === 'attribute' ? [] : Object.values(registry.roles)
+        .filter(entry => !args.module || entry.module === args.module);
+      const attributes = args.entity === 'role' || (args.module && args.module !== 'core') ? [] : Object.values(registry.attributes);
+      const deprecations = [...roles, ...attributes].sort((a, b) => a.name.localeCompare(b.name));
+      
+      const formatEntry = (entry) => {
+        let section = `### ${entry.name}\n`;
+        if (entry.since) {
+          section += `**Deprecated in:** ${entry.since}${entry.scope === 'global' ? ' (as a global attribute)' : ''}\n`;
+        }
+        if (entry.scope !== 'everywhere') {
+          const shown = entry.roles.slice(0, 8).join(', ');
+          section += `**Deprecated on Roles:** ${shown}${entry.roles.length > 8 ? ` and ${entry.roles.length - 8} more` : ''}\n`;
+        }
+        section += `**Replacement:** ${entry.replacement || (entry.scope === 'everywhere' ? 'none named by the spec' : 'use only on roles that explicitly support it')}\n`;
+        if (entry.guidance) section += `\n${entry.guidance}\n`;
+        return section;
+      };
+      
+      let output = `# Deprecated Roles and Attributes (${deprecations.length})\n\n`;
+      if (!deprecations.length) {
+        output += 'Nothing is deprecated in this spec version.\n';
+      }
+      if (roles.length) {
+        output += `## Roles\n\n${deprecations.filter(e => e.entity === 'role').map(formatEntry).join('\n')}\n`;
+      }
+      if (attributes.length) {
+        output += `## States and Properties\n\n${deprecations.filter(e => e.entity === 'attribute').map(formatEntry).join('\n')}`;
+      }
+      
+      return textResponse(output, { deprecations });
+    }
+  },
+  
   {
     name: 'get-global-attributes',
     description: 'List all global ARIA states and properties that apply to any element.',
@@ -793,6 +2678,9 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      attributes: { type: 'array', items: attributeSummarySchema }
+    }),
     handler: async () => {
       const globals = data.globalStatesAndProperties || [];
       
@@ -803,95 +2691,280 @@ export const tools = [
           const attr = data.states[name] || data.properties[name];
           const type = attr?.type || 'attribute';
           return `- **${name}** (${type})`;
-        }).join('\n')
+        }).join('\n'),
+        {
+          attributes: globals
+            .map(name => data.states[name] || data.properties[name])
+            .filter(Boolean)
+            .map(attributeSummary)
+        }
       );
     }
   },
   
   // ═══════════════════════════════════════════════════════════════════════════
-  // GUIDANCE & BEST PRACTICES
+  // DESIGN PATTERN TOOLS
   // ═══════════════════════════════════════════════════════════════════════════
   
   {
-    name: 'suggest-role',
-    description: 'Suggest appropriate ARIA roles based on a description of the UI component.',
+    name: 'list-patterns',
+    description: 'List the ARIA Authoring Practices (APG) design patterns, such as tabs, combobox and dialog, with the roles each one uses.',
     inputSchema: {
       type: 'object',
       properties: {
-        description: {
+        role: {
           type: 'string',
-          description: 'Description of the UI component (e.g., "dropdown menu", "modal dialog", "tab interface")'
+          description: 'Only list patterns that use this role (e.g., "button")'
         }
       },
-      required: ['description']
+      required: []
     },
+    outputSchema: objectSchema({
+      role: nullableString,
+      patterns: { type: 'array', items: patternSummarySchema }
+    }),
     handler: async (args) => {
-      const desc = args.description.toLowerCase();
-      const suggestions = [];
-      
-      // Common patterns
-      const patterns = [
-        { keywords: ['button', 'click', 'action', 'submit'], roles: ['button'] },
-        { keywords: ['link', 'navigate', 'anchor'], roles: ['link'] },
-        { keywords: ['checkbox', 'toggle', 'check'], roles: ['checkbox', 'switch'] },
-        { keywords: ['radio', 'select one', 'mutually exclusive'], roles: ['radio', 'radiogroup'] },
-        { keywords: ['dropdown', 'select', 'combobox', 'autocomplete'], roles: ['combobox', 'listbox'] },
-        { keywords: ['menu', 'context menu', 'popup menu'], roles: ['menu', 'menubar', 'menuitem'] },
-        { keywords: ['tab', 'tabs', 'tabbed'], roles: ['tablist', 'tab', 'tabpanel'] },
-        { keywords: ['dialog', 'modal', 'popup', 'overlay'], roles: ['dialog', 'alertdialog'] },
-        { keywords: ['alert', 'notification', 'message'], roles: ['alert', 'status'] },
-        { keywords: ['navigation', 'nav', 'menu bar'], roles: ['navigation', 'menubar'] },
-        { keywords: ['tree', 'hierarchical', 'expand collapse'], roles: ['tree', 'treeitem'] },
-        { keywords: ['grid', 'spreadsheet', 'data grid'], roles: ['grid', 'gridcell'] },
-        { keywords: ['table', 'data table'], roles: ['table', 'row', 'cell'] },
-        { keywords: ['list', 'items'], roles: ['list', 'listitem'] },
-        { keywords: ['slider', 'range', 'volume'], roles: ['slider'] },
-        { keywords: ['progress', 'loading', 'percentage'], roles: ['progressbar'] },
-        { keywords: ['tooltip', 'hint', 'help text'], roles: ['tooltip'] },
-        { keywords: ['search', 'search box'], roles: ['search', 'searchbox'] },
-        { keywords: ['banner', 'header', 'masthead'], roles: ['banner'] },
-        { keywords: ['footer', 'content info'], roles: ['contentinfo'] },
-        { keywords: ['main', 'primary content'], roles: ['main'] },
-        { keywords: ['sidebar', 'aside', 'complementary'], roles: ['complementary'] },
-        { keywords: ['form', 'input form'], roles: ['form'] },
-        { keywords: ['text input', 'text field', 'textbox'], roles: ['textbox'] },
-        { keywords: ['heading', 'title', 'section header'], roles: ['heading'] },
-        { keywords: ['image', 'picture', 'graphic'], roles: ['img'] },
-        { keywords: ['article', 'blog post', 'news item'], roles: ['article'] },
-        { keywords: ['feed', 'stream', 'infinite scroll'], roles: ['feed'] },
-      ];
+      if (!Object.keys(getPatterns()).length) {
+        return errorResponse(`No APG patterns are available for ARIA ${data.metadata.version}.`);
+      }
+      
+      const roleName = args.role ? normalizeRoleName(args.role) : null;
+      const patterns = roleName
+        ? getPatternsForRole(roleName)
+        : Object.values(getPatterns());
+      
+      let output = roleName
+        ? `# APG Patterns Using role="${roleName}" (${patterns.length})\n\n`
+        : `# APG Design Patterns (${patterns.length})\n\n`;
+      
+      if (!patterns.length) {
+        output += `No pattern uses this role.${findRole(roleName) ? '' : ` "${args.role}" is not a known role.`}\n`;
+      }
       
       patterns.forEach(pattern => {
-        if (pattern.keywords.some(k => desc.includes(k))) {
-          suggestions.push(...pattern.roles);
+        output += `- **${pattern.name}** (\`${pattern.id}\`): ${pattern.description} Roles: ${pattern.roles.join(', ')}\n`;
+      });
+      
+      if (patterns.length) {
+        output += `\nUse \`get-pattern\` for a pattern's states, properties and focus rules, or \`get-keyboard-interactions\` for its keyboard table.`;
+      }
+      
+      return textResponse(output, { role: roleName, patterns: patterns.map(patternSummary) });
+    }
+  },
+  
+  {
+    name: 'get-pattern',
+    description: 'Get an APG design pattern: the roles involved and their spec requirements, the states and properties to set, the keyboard interaction table and focus management rules.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Pattern id, name or alias (e.g., "tabs", "combobox", "modal dialog", "tree view")'
+        }
+      },
+      required: ['pattern']
+    },
+    outputSchema: objectSchema({
+      pattern: patternSchema,
+      roles: {
+        type: 'array',
+        items: objectSchema({
+          name: { type: 'string' },
+          found: { type: 'boolean' },
+          category: { type: 'string' },
+          accessibleNameRequired: { type: 'boolean' },
+          requiredAttributes: stringList,
+          requiredContextRole: stringList,
+          requiredOwnedElements: stringList,
+        }, ['name', 'found']),
+      },
+      statesAndProperties: {
+        type: 'array',
+        items: objectSchema({
+          role: nullableString,
+          attribute: { type: 'string' },
+          required: { type: 'boolean' },
+          usage: { type: 'string' },
+          specStatus: { type: 'string' },
+        }),
+      },
+    }),
+    handler: async (args) => {
+      const pattern = findPattern(args.pattern);
+      if (!pattern) {
+        return unknownPatternResponse(args.pattern);
+      }
+      
+      const roles = patternRoles(pattern);
+      const attributes = patternAttributes(pattern);
+      
+      let output = `# ${pattern.name} Pattern\n\n`;
+      output += `${pattern.description}\n\n`;
+      output += `**APG:** ${pattern.url}\n\n`;
+      
+      output += `## Roles\n\n`;
+      roles.forEach(role => {
+        if (!role.found) {
+          output += `- **${role.name}**: not defined in ARIA ${data.metadata.version}\n`;
+          return;
+        }
+        const details = [role.category];
+        if (role.requiredAttributes.length) details.push(`requires ${role.requiredAttributes.join(', ')}`);
+        if (role.requiredContextRole.length) details.push(`owned by ${role.requiredContextRole.join(' or ')}`);
+        if (role.accessibleNameRequired) details.push('name required');
+        output += `- **${role.name}** (${details.join('; ')})\n`;
+      });
+      output += `\nUse \`get-role\` for the full spec entry of each role.\n\n`;
+      
+      if (attributes.length) {
+        output += `## States and Properties\n\n`;
+        output += `| Element | Attribute | Pattern | Spec | Usage |\n`;
+        output += `|---------|-----------|---------|------|-------|\n`;
+        attributes.forEach(entry => {
+          output += `| ${entry.role || '(other)'} | ${entry.attribute} | ${entry.required ? 'required' : 'optional'} | ${entry.specStatus} | ${entry.usage} |\n`;
+        });
+        output += '\n';
+      }
+      
+      output += `## Keyboard Interaction\n\n${formatKeyboardTable(pattern.keyboard)}\n`;
+      output += `## Focus Management\n\n${pattern.focusManagement.map(rule => `- ${rule}`).join('\n')}\n`;
+      
+      return textResponse(output, { pattern, roles, statesAndProperties: attributes });
+    }
+  },
+  
+  {
+    name: 'get-keyboard-interactions',
+    description: 'Get the APG keyboard interaction table and focus management rules for a pattern, or for every pattern that uses a role.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Pattern id, name or alias (e.g., "tabs", "menu button")'
+        },
+        role: {
+          type: 'string',
+          description: 'A role; returns the keyboard tables of every pattern that uses it (e.g., "treeitem")'
+        }
+      },
+      required: []
+    },
+    outputSchema: objectSchema({
+      patterns: {
+        type: 'array',
+        items: objectSchema({
+          id: { type: 'string' },
+          name: { type: 'string' },
+          url: { type: 'string' },
+          keyboard: { type: 'array', items: keyboardInteractionSchema },
+          focusManagement: stringList,
+        }),
+      }
+    }),
+    handler: async (args) => {
+      if (!args.pattern && !args.role) {
+        return errorResponse('Provide either "pattern" or "role".');
+      }
+      
+      let patterns;
+      if (args.pattern) {
+        const pattern = findPattern(args.pattern);
+        if (!pattern) {
+          return unknownPatternResponse(args.pattern);
+        }
+        patterns = [pattern];
+      } else {
+        const roleName = normalizeRoleName(args.role);
+        patterns = getPatternsForRole(roleName);
+        if (!patterns.length) {
+          return errorResponse(`No APG pattern uses role="${roleName}". Use \`list-patterns\` to see every pattern.`);
         }
+      }
+      
+      let output = '';
+      patterns.forEach(pattern => {
+        output += `# ${pattern.name} Keyboard Interaction\n\n`;
+        output += `**APG:** ${pattern.url}\n\n`;
+        output += formatKeyboardTable(pattern.keyboard) + '\n';
+        output += `**Focus management:**\n${pattern.focusManagement.map(rule => `- ${rule}`).join('\n')}\n\n`;
       });
       
-      // Remove duplicates
-      const unique = [...new Set(suggestions)];
+      return textResponse(output.trim(), {
+        patterns: patterns.map(({ id, name, url, keyboard, focusManagement }) => ({ id, name, url, keyboard, focusManagement }))
+      });
+    }
+  },
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // GUIDANCE & BEST PRACTICES
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  {
+    name: 'suggest-role',
+    description: 'Recommend ARIA roles for a UI component description, ranked by how well the spec descriptions, role families and interaction hints (e.g., "expands", "single choice", "opens a popup") fit, with the reasons, required structure, and the native HTML element to use instead where one exists.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        description: {
+          type: 'string',
+          description: 'Description of the UI component (e.g., "dropdown menu", "modal dialog", "section that expands when clicked")'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of roles to recommend (default: 5)',
+          minimum: 1,
+          maximum: 10
+        }
+      },
+      required: ['description']
+    },
+    outputSchema: objectSchema({
+      description: { type: 'string' },
+      suggestions: { type: 'array', items: roleRecommendationSchema }
+    }),
+    handler: async (args) => {
+      const limit = Math.min(Math.max(args.limit || 5, 1), 10);
+      const suggestions = recommendRoles(args.description, { limit });
+      const structured = { description: args.description, suggestions };
       
-      if (!unique.length) {
+      if (!suggestions.length) {
         return textResponse(
           `No specific role suggestions for "${args.description}".\n\n` +
-          `Try describing the component's behavior (e.g., "clickable button", "expandable tree", "modal dialog").\n\n` +
-          `You can also use \`search-roles\` to search by keyword.`
+          `Try describing the component's behavior (e.g., "expands when clicked", "single choice from a list", "opens a popup").\n\n` +
+          `You can also use \`search-spec\` to search the spec by keyword.`,
+          structured
         );
       }
       
       let output = `# Role Suggestions for "${args.description}"\n\n`;
       
-      unique.forEach(roleName => {
-        const role = data.roles[roleName];
-        if (role) {
-          output += `## ${roleName}\n`;
-          output += role.description?.substring(0, 200) + '...\n\n';
-          if (role.accessibleNameRequired) {
-            output += `⚠️ Requires accessible name\n\n`;
-          }
+      suggestions.forEach((suggestion, i) => {
+        output += `## ${i + 1}. ${suggestion.name} (${suggestion.category}, score ${suggestion.score})\n\n`;
+        if (suggestion.nativeRecommendation) {
+          output += `**Prefer native HTML:** ${suggestion.nativeRecommendation}\n\n`;
+        }
+        if (suggestion.rationale.length) {
+          output += `**Why:**\n${suggestion.rationale.map(reason => `- ${reason}`).join('\n')}\n\n`;
         }
+        
+        const structure = [];
+        if (suggestion.requiredAttributes.length) structure.push(`requires ${suggestion.requiredAttributes.join(', ')}`);
+        if (suggestion.requiredContextRole.length) structure.push(`must be owned by ${suggestion.requiredContextRole.join(' or ')}`);
+        if (suggestion.requiredOwnedElements.length) structure.push(`must own ${suggestion.requiredOwnedElements.join(' or ')}`);
+        if (suggestion.accessibleNameRequired) structure.push('needs an accessible name');
+        if (structure.length) {
+          output += `**Structure:** ${structure.join('; ')}\n`;
+        }
+        if (suggestion.patterns.length) {
+          output += `**APG Patterns:** ${suggestion.patterns.join(', ')} (see \`get-pattern\`)\n`;
+        }
+        output += '\n';
       });
       
-      return textResponse(output);
+      return textResponse(output.trim(), structured);
     }
   },
   
@@ -903,9 +2976,17 @@ export const tools = [
       properties: {},
       required: []
     },
+    outputSchema: objectSchema({
+      name: { type: 'string' },
+      version: { type: 'string' },
+      description: { type: 'string' },
+      toolCount: { type: 'integer' }
+    }),
     handler: async () => {
       const info = data.serverInfo;
-      const toolCount = tools.length;
+      // server.js imports this module, so the served selection (--tools, --exclude-tools) is read lazily
+      const { getTools } = await import('./server.js');
+      const toolCount = getTools().length;
       
       return textResponse(
         `# ${info.name} v${info.version}\n\n` +
@@ -917,8 +2998,52 @@ export const tools = [
         `- **Validation:** Check if attributes are valid for specific roles\n` +
         `- **Guidance:** Get suggestions for appropriate roles and best practices\n` +
         `- **Landmark & Widget Roles:** Specialized queries for common patterns\n\n` +
-        `Use \`get-aria-version\` for specification metadata.`
+        `Use \`get-aria-version\` for specification metadata.`,
+        { ...info, toolCount }
       );
     }
   }
 ];
+
+// Tools that compare versions themselves, or read the change feed of the latest version,
+// instead of querying one dataset
+const unversionedTools = new Set(['diff-spec-versions', 'get-spec-changes', 'get-entity-history']);
+
+/**
+ * Every other tool takes an optional spec version and runs against that dataset.
+ * Every tool takes a format: Markdown by default, or its structuredContent as JSON text.
+ */
+tools.forEach(tool => {
+  const handler = tool.handler;
+  const versioned = !unversionedTools.has(tool.name);
+  
+  if (versioned) {
+    // The default can change after load (--data, --spec-version), so it is read when listed
+    tool.inputSchema.properties.version = {
+      type: 'string',
+      get description() {
+        return `ARIA spec version to query (default: ${defaultVersion})`;
+      },
+      enum: specVersions
+    };
+  }
+  tool.inputSchema.properties.format = {
+    type: 'string',
+    description: 'Text content format: "markdown" (default) or "json" for the structured result',
+    enum: ['markdown', 'json']
+  };
+  
+  tool.handler = async (args = {}) => {
+    if (versioned && args.version && !getDataset(args.version)) {
+      return errorResponse(`ARIA version "${args.version}" is not available. Available versions: ${specVersions.join(', ')}`);
+    }
+    const result = versioned
+      ? await withSpecVersion(args.version, () => handler(args))
+      : await handler(args);
+    
+    if (args.format === 'json' && result.structuredContent) {
+      return { ...result, content: [{ type: 'text', text: JSON.stringify(result.structuredContent, null, 2) }] };
+    }
+    return result;
+  };
+});
@@ -0,0 +1,246 @@
+// Accessibility tree - the tree of roles, names and states a browser would expose for an HTML fragment
+import { data, findRole, findAttribute, checkRoleAttribute } from './data.js';
+import { parseFragment, describeElement } from './audit.js';
+import { getElementContext, getImplicitMapping, presentationalRoles, resolveRoleAttribute } from './html.js';
+import { getRole, isHidden, computeAccessibleNameForElement } from './accname.js';
+import { applyAriaOwns } from './structure.js';
+
+// Attributes that feed the name, description or tree shape rather than a state
+const nonStateAttributes = new Set([
+  'aria-label', 'aria-labelledby', 'aria-describedby', 'aria-description',
+  'aria-braillelabel', 'aria-hidden', 'aria-owns',
+]);
+
+const disableableTags = new Set(['button', 'input', 'select', 'textarea', 'fieldset', 'optgroup', 'option']);
+
+/**
+ * Collapse whitespace in text content
+ */
+function flatten(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Why an element itself is hidden from the accessibility tree, or null
+ */
+function hiddenReason(el) {
+  if (el.hasAttribute('hidden')) return 'hidden attribute';
+  if ((el.getAttribute('aria-hidden') || '').trim().toLowerCase() === 'true') return 'aria-hidden="true"';
+  const style = (el.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+  if (/display:none/.test(style)) return 'display: none';
+  if (/visibility:hidden/.test(style)) return 'visibility: hidden';
+  return null;
+}
+
+/**
+ * Whether an element can take focus, from its tag and attributes (names lowercased)
+ */
+export function isFocusable(tag, attributes = {}) {
+  const has = name => attributes[name] !== undefined && attributes[name] !== false;
+  if (has('tabindex')) return true;
+  if (disableableTags.has(tag) && has('disabled')) return false;
+  if (tag === 'a' || tag === 'area') return has('href');
+  if (tag === 'input') return String(attributes.type || '').toLowerCase() !== 'hidden';
+  if (['button', 'select', 'textarea', 'iframe', 'summary'].includes(tag)) return true;
+  return has('contenteditable') && String(attributes.contenteditable).toLowerCase() !== 'false';
+}
+
+/**
+ * Global ARIA attributes among the given attribute names (aria-hidden aside, which hides instead)
+ */
+export function globalAriaAttributes(names) {
+  return names.filter(name => name !== 'aria-hidden' && data.globalStatesAndProperties.includes(name));
+}
+
+/**
+ * Roles a presentational element passes its presentation on to, from its implicit
+ * role's required owned elements (e.g., <ul role="none"> makes its <li>s presentational)
+ */
+function inheritedPresentation(implicitRole) {
+  const owned = implicitRole ? findRole(implicitRole)?.requiredOwnedElements || [] : [];
+  return new Set(owned.flatMap(entry => entry.split('→').map(part => part.trim())));
+}
+
+/**
+ * Resolve the role the tree exposes for an element, recording skipped tokens and
+ * ignored presentation as warnings
+ */
+function resolveRole(el, inherited, warnings) {
+  const label = describeElement(el);
+  const { tag, attributes } = getElementContext(el);
+  const implicit = getImplicitMapping(el)?.implicitRole || null;
+  const resolved = resolveRoleAttribute(el.getAttribute('role'), {
+    implicitRole: implicit,
+    focusable: isFocusable(tag, attributes),
+    globalAttributes: globalAriaAttributes(Object.keys(attributes)),
+  });
+
+  resolved.skipped.forEach(({ token, reason }) => {
+    warnings.push(`${label}: ignored role "${token}" (${reason === 'abstract' ? 'abstract roles cannot be used' : 'unknown role'})`);
+  });
+  if (resolved.presentational?.ignored) {
+    const { role, reasons } = resolved.presentational;
+    warnings.push(`${label}: role="${role}" ignored because ${reasons.join(' and ')}; exposed as ${implicit ? `"${implicit}"` : 'its implicit role'}`);
+  }
+
+  if (!resolved.explicitRole && implicit && inherited.has(implicit)) {
+    return { role: 'none', implicit };
+  }
+  return { role: resolved.role, implicit };
+}
+
+/**
+ * States exposed for an element: supported aria-* attributes, then native HTML states
+ */
+function computeStates(el, role) {
+  const roleData = role ? findRole(role) : null;
+  const supports = (name) => {
+    if (!roleData) return !!findAttribute(name)?.isGlobal;
+    return ['required', 'supported', 'deprecated'].includes(checkRoleAttribute(roleData, name).status);
+  };
+
+  const states = {};
+  for (const name of el.getAttributeNames()) {
+    if (!name.startsWith('aria-') || nonStateAttributes.has(name)) continue;
+    const attr = findAttribute(name);
+    if (!attr || /id reference/i.test(attr.valueType || '') || !supports(name)) continue;
+    states[name.slice(5)] = flatten(el.getAttribute(name));
+  }
+
+  const tag = el.localName;
+  const type = (el.getAttribute('type') || '').toLowerCase();
+  const native = {};
+  if (disableableTags.has(tag) && (el.hasAttribute('disabled') || el.closest('fieldset[disabled]'))) native.disabled = 'true';
+  if (tag === 'input' && ['checkbox', 'radio'].includes(type)) native.checked = el.hasAttribute('checked') ? 'true' : 'false';
+  if (['input', 'select', 'textarea'].includes(tag) && el.hasAttribute('required')) native.required = 'true';
+  if (['input', 'textarea'].includes(tag) && el.hasAttribute('readonly')) native.readonly = 'true';
+  if (tag === 'select' && el.hasAttribute('multiple')) native.multiselectable = 'true';
+  if (tag === 'option') native.selected = el.hasAttribute('selected') ? 'true' : 'false';
+  if (tag === 'summary' && el.parentElement?.localName === 'details') {
+    native.expanded = el.parentElement.hasAttribute('open') ? 'true' : 'false';
+  }
+  if (/^h[1-6]$/.test(tag)) native.level = tag[1];
+
+  for (const [name, value] of Object.entries(native)) {
+    if (!(name in states) && supports(`aria-${name}`)) states[name] = value;
+  }
+  return states;
+}
+
+/**
+ * Build the full element tree (hidden nodes included, so aria-owns can still find them)
+ */
+function buildNodes(document, roles, warnings) {
+  const toNode = (el, parent, inherited) => {
+    const own = hiddenReason(el);
+    if (!own && isHidden(el) && !parent.hidden) return null; // never rendered (script, template, ...)
+
+    const { role, implicit } = resolveRole(el, inherited, warnings);
+    roles.set(el, role);
+    const node = {
+      el,
+      role,
+      id: el.getAttribute('id'),
+      owns: (el.getAttribute('aria-owns') || '').split(/\s+/).filter(Boolean),
+      label: describeElement(el),
+      hidden: own || (parent.hidden ? 'inside a hidden ancestor' : null),
+      parent,
+      children: [],
+    };
+
+    // Presentation flows to required owned elements, looking through generic wrappers
+    const passOn = presentationalRoles.has(role)
+      ? inheritedPresentation(implicit)
+      : (!role || role === 'generic') && !el.hasAttribute('role') ? inherited : new Set();
+    node.children = childNodes(el, node, passOn);
+    return node;
+  };
+
+  const childNodes = (el, parent, inherited) => [...el.childNodes].flatMap(child => {
+    if (child.nodeType === 3) {
+      return [{ text: child.textContent, id: null, owns: [], label: '#text', hidden: parent.hidden, parent, children: [] }];
+    }
+    if (child.nodeType !== 1) return [];
+    const node = toNode(child, parent, inherited);
+    return node ? [node] : [];
+  });
+
+  const root = { role: null, id: null, owns: [], label: 'root', hidden: null, children: [] };
+  root.children = childNodes(document.body, root, new Set());
+  return root;
+}
+
+/**
+ * Compute the accessibility tree of an HTML fragment.
+ * Generic containers without ARIA attributes or tabindex are collapsed unless includeGeneric is set.
+ */
+export function computeAccessibilityTree(html, { includeGeneric = false } = {}) {
+  const document = parseFragment(html);
+  const warnings = [];
+  const excluded = [];
+  const roles = new Map();
+  const root = buildNodes(document, roles, warnings);
+  const resolvedRole = el => (roles.has(el) ? roles.get(el) : getRole(el));
+
+  applyAriaOwns(root).forEach(problem => {
+    warnings.push(`${problem.path}: ${problem.message}`);
+  });
+
+  let count = 0;
+  const toTree = (node, parentHidden) => {
+    if (node.hidden) {
+      if (!parentHidden && node.el) excluded.push({ element: node.label, reason: node.hidden });
+      return [];
+    }
+
+    if (node.text !== undefined) {
+      const text = flatten(node.text);
+      if (!text) return [];
+      count++;
+      return [{ role: 'text', name: text, children: [] }];
+    }
+
+    const roleData = node.role ? findRole(node.role) : null;
+    const children = roleData?.childrenPresentational
+      ? []
+      : node.children.flatMap(child => toTree(child, false));
+
+    const el = node.el;
+    const keepGeneric = includeGeneric ||
+      el.hasAttribute('tabindex') ||
+      el.getAttributeNames().some(name => name.startsWith('aria-') && name !== 'aria-hidden');
+    if (!node.role || presentationalRoles.has(node.role) || (node.role === 'generic' && !keepGeneric)) {
+      return children;
+    }
+
+    count++;
+    const { name, description } = computeAccessibleNameForElement(el, document, { getRole: resolvedRole });
+    const states = computeStates(el, node.role);
+    const redundant = children.length === 1 && children[0].role === 'text' && children[0].name === name;
+    if (redundant) count--;
+    return [{
+      role: node.role,
+      ...(name && { name }),
+      ...(description && { description }),
+      ...(Object.keys(states).length && { states }),
+      element: node.label,
+      children: redundant ? [] : children,
+    }];
+  };
+
+  const tree = root.children.flatMap(child => toTree(child, false));
+  return { tree, nodeCount: count, excluded, warnings };
+}
+
+/**
+ * Render tree nodes as an indented outline, e.g. `- heading "Settings" [level=1]`
+ */
+export function formatAccessibilityTree(nodes, depth = 0) {
+  return nodes.map(node => {
+    const indent = '  '.repeat(depth);
+    if (node.role === 'text') return `${indent}- text: ${node.name}`;
+    const states = Object.entries(node.states || {}).map(([name, value]) => `${name}=${value}`);
+    const line = `${indent}- ${node.role}${node.name ? ` ${JSON.stringify(node.name)}` : ''}${states.length ? ` [${states.join(', ')}]` : ''}`;
+    return [line, ...(node.children.length ? [formatAccessibilityTree(node.children, depth + 1)] : [])].join('\n');
+  }).join('\n');
+}
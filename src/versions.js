@@ -0,0 +1,200 @@
+// Spec version comparison - what changed in roles, attributes and their relationships
+import { checkRoleAttribute } from './data.js';
+
+// Role characteristics compared between versions
+const roleFields = [
+  'isAbstract',
+  'superclassRoles',
+  'requiredContextRole',
+  'requiredOwnedElements',
+  'nameFrom',
+  'accessibleNameRequired',
+  'childrenPresentational',
+];
+
+// Attribute characteristics compared between versions
+const attributeFields = ['type', 'valueType', 'values', 'defaultValue', 'isGlobal'];
+
+/**
+ * Every role in a dataset, including the DPUB-ARIA and Graphics-ARIA module roles
+ */
+function allRoles(dataset) {
+  return {
+    ...dataset.roles,
+    ...dataset.extensions?.dpub,
+    ...dataset.extensions?.graphics,
+  };
+}
+
+/**
+ * Every state and property in a dataset
+ */
+function allAttributes(dataset) {
+  return { ...dataset.states, ...dataset.properties };
+}
+
+/**
+ * The version an entity was deprecated in, from its "[Deprecated in ARIA 1.2]" description prefix
+ */
+function deprecatedIn(entity) {
+  return entity?.description?.match(/^\[Deprecated in ARIA ([\d.]+)\]/i)?.[1] || null;
+}
+
+/**
+ * Format a characteristic value for display
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+  if (value === '' || value === undefined || value === null) return '(none)';
+  return String(value);
+}
+
+/**
+ * List the fields whose values differ between two records as { field, from, to }
+ */
+function diffFields(before, after, fields) {
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: formatValue(before[field]), to: formatValue(after[field]) }));
+}
+
+/**
+ * Compare two keyed collections (roles or attributes)
+ */
+function diffEntities(before, after, fields) {
+  const added = Object.keys(after).filter(name => !before[name]).sort();
+  const removed = Object.keys(before).filter(name => !after[name]).sort();
+  const common = Object.keys(after).filter(name => before[name]).sort();
+
+  const deprecated = common
+    .filter(name => deprecatedIn(after[name]) && !deprecatedIn(before[name]))
+    .map(name => ({ name, in: deprecatedIn(after[name]) }))
+    .concat(added
+      .filter(name => deprecatedIn(after[name]))
+      .map(name => ({ name, in: deprecatedIn(after[name]) })));
+
+  const changed = common
+    .map(name => ({ name, changes: diffFields(before[name], after[name], fields) }))
+    .filter(entry => entry.changes.length);
+
+  return { added, removed, deprecated, changed };
+}
+
+/**
+ * Compare each role's supported attributes (required, supported, prohibited, deprecated)
+ */
+function diffRelationships(beforeRoles, afterRoles) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  Object.keys(afterRoles)
+    .filter(name => beforeRoles[name])
+    .sort()
+    .forEach(roleName => {
+      const before = beforeRoles[roleName];
+      const after = afterRoles[roleName];
+      const names = new Set([
+        ...(before.allProps || []).map(p => p.name),
+        ...(after.allProps || []).map(p => p.name),
+      ]);
+
+      [...names].sort().forEach(attribute => {
+        const from = checkRoleAttribute(before, attribute).status;
+        const to = checkRoleAttribute(after, attribute).status;
+        if (from === to) return;
+
+        if (from === 'not-applicable') {
+          added.push({ role: roleName, attribute, status: to });
+        } else if (to === 'not-applicable') {
+          removed.push({ role: roleName, attribute, status: from });
+        } else {
+          changed.push({ role: roleName, attribute, from, to });
+        }
+      });
+    });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Diff two spec datasets. Returns added, removed, deprecated and changed roles and
+ * attributes, plus role/attribute relationship changes.
+ */
+export function diffSpecVersions(fromData, toData) {
+  const fromRoles = allRoles(fromData);
+  const toRoles = allRoles(toData);
+
+  return {
+    from: fromData.metadata?.version,
+    to: toData.metadata?.version,
+    roles: diffEntities(fromRoles, toRoles, roleFields),
+    attributes: diffEntities(allAttributes(fromData), allAttributes(toData), attributeFields),
+    relationships: diffRelationships(fromRoles, toRoles),
+  };
+}
+
+/**
+ * Collapse whitespace so reflowed spec prose does not count as a change
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Descriptions that differ between two keyed collections, as change records
+ */
+function descriptionChanges(entity, before, after) {
+  return Object.keys(after)
+    .filter(name => before[name] && normalizeText(before[name].description) !== normalizeText(after[name].description))
+    .sort()
+    .map(name => ({
+      entity,
+      name,
+      change: 'description-changed',
+      from: normalizeText(before[name].description),
+      to: normalizeText(after[name].description),
+      summary: `${entity === 'role' ? 'Role' : 'Attribute'} ${name}: description changed`,
+    }));
+}
+
+/**
+ * Flatten the differences between two datasets into one record per semantic change
+ * (entity added, removed or deprecated, a characteristic or description changed, or a
+ * role's relationship to an attribute changed), each with a one-line summary.
+ */
+export function listSpecChanges(fromData, toData) {
+  const diff = diffSpecVersions(fromData, toData);
+  const changes = [];
+
+  [['role', diff.roles], ['attribute', diff.attributes]].forEach(([entity, { added, removed, deprecated, changed }]) => {
+    const label = entity === 'role' ? 'Role' : 'Attribute';
+    added.forEach(name => changes.push({ entity, name, change: 'added', summary: `${label} ${name} added` }));
+    removed.forEach(name => changes.push({ entity, name, change: 'removed', summary: `${label} ${name} removed` }));
+    deprecated.forEach(({ name, in: version }) => changes.push({
+      entity, name, change: 'deprecated', to: version, summary: `${label} ${name} deprecated in ARIA ${version}`,
+    }));
+    changed.forEach(({ name, changes: fields }) => fields.forEach(({ field, from, to }) => changes.push({
+      entity, name, change: 'changed', field, from, to, summary: `${label} ${name}: ${field} ${from} → ${to}`,
+    })));
+  });
+
+  changes.push(...descriptionChanges('role', allRoles(fromData), allRoles(toData)));
+  changes.push(...descriptionChanges('attribute', allAttributes(fromData), allAttributes(toData)));
+
+  const { added, removed, changed } = diff.relationships;
+  added.forEach(({ role, attribute, status }) => changes.push({
+    entity: 'role', name: role, attribute, change: 'attribute-added', to: status,
+    summary: `${attribute} is now ${status} on role ${role}`,
+  }));
+  removed.forEach(({ role, attribute, status }) => changes.push({
+    entity: 'role', name: role, attribute, change: 'attribute-removed', from: status,
+    summary: `${attribute} no longer applies to role ${role} (was ${status})`,
+  }));
+  changed.forEach(({ role, attribute, from, to }) => changes.push({
+    entity: 'role', name: role, attribute, change: 'attribute-changed', from, to,
+    summary: `${attribute} is now ${to} on role ${role} (was ${from})`,
+  }));
+
+  return changes;
+}